@@ -15,6 +15,7 @@ import swaggerUi from 'swagger-ui-express';
 import { errorHandler, notFoundHandler } from './utils/error.util.js';
 import swaggerConfig from './config/swagger.config.js';
 import { authenticate } from './middleware/auth.middleware.js';
+import { getJwks } from './utils/jwt.utils.js';
 import crypto from 'crypto';
 
 //const secret = crypto.randomBytes(64).toString('hex');
@@ -22,10 +23,17 @@ import crypto from 'crypto';
 // Import routes
 import authRoutes from './routes/auth.routes.js';
 import eventRoutes from './routes/event.routes.js';
+import eventSeriesRoutes from './routes/eventSeries.routes.js';
 import attendeeRoutes from './routes/attendee.routes.js';
 import paymentRoutes from './routes/payment.routes.js';
 import exportRoutes from './routes/export.routes.js';
 import scanRoutes from './routes/scan.routes.js';
+import apiKeyRoutes from './routes/apiKey.routes.js';
+import adminRoutes from './routes/admin.routes.js';
+import waitlistRoutes from './routes/waitlist.routes.js';
+import publicEventRoutes from './routes/publicEvent.routes.js';
+import calendarRoutes from './routes/calendar.routes.js';
+import { startJobs } from './jobs/index.js';
 
 // Initialize Express app
 const app = express();
@@ -75,6 +83,10 @@ const upload = multer({
 
 // Middleware
 
+// Behind a load balancer req.ip must come from X-Forwarded-For (used for login throttling)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
 
 app.use(helmet());
 app.use(cors({
@@ -119,10 +131,22 @@ app.use(
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/events', eventRoutes);
+app.use('/api/event-series', authenticate, eventSeriesRoutes);
 app.use('/api/attendees', authenticate, attendeeRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/exports', authenticate, exportRoutes);
-app.use('/api/scan', authenticate, scanRoutes);
+app.use('/api/scan', scanRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/public/events', publicEventRoutes);
+app.use('/api/calendar', calendarRoutes);
+
+// Public keys for verifying the tokens we issue
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(StatusCodes.OK).json(getJwks());
+});
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -146,6 +170,7 @@ const PORT = process.env.PORT || 5000;
 httpServer.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  startJobs();
 });
 
 export default app;
@@ -0,0 +1,86 @@
+// src/config/jwt.config.js
+import crypto from 'crypto';
+
+/**
+ * JWT signing keys
+ *
+ * JWT_PRIVATE_KEY / JWT_KEY_ID  - current signing key (RSA for RS256, P-256 EC for ES256)
+ * JWT_VERIFICATION_KEYS         - JSON object of { "<kid>": "<public key PEM>" } for keys that
+ *                                 were rotated out but may still have live tokens
+ *
+ * Without a private key, tokens fall back to HS256 with JWT_SECRET (local development only).
+ */
+
+let keyStore;
+
+/**
+ * Read a PEM key from an environment variable (newlines may be escaped as \n)
+ * @param {string} value - Environment variable value
+ * @returns {string} PEM string
+ */
+const readPem = (value) => value.replace(/\\n/g, '\n');
+
+/**
+ * Get the JWS algorithm for a key
+ * @param {crypto.KeyObject} key - Public or private key
+ * @returns {string} RS256 or ES256
+ */
+const getAlgorithm = (key) => {
+  if (key.asymmetricKeyType === 'rsa') {
+    return 'RS256';
+  }
+
+  if (key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails?.namedCurve === 'prime256v1') {
+    return 'ES256';
+  }
+
+  throw new Error('JWT keys must be RSA or P-256 EC keys');
+};
+
+/**
+ * Load the signing key and verification keys from the environment
+ * Keys are loaded once and cached.
+ * @returns {Object} signingKey (or null) and verificationKeys (Map of kid to key)
+ */
+export const getJwtKeys = () => {
+  if (keyStore) {
+    return keyStore;
+  }
+
+  const verificationKeys = new Map();
+  let signingKey = null;
+
+  if (process.env.JWT_PRIVATE_KEY) {
+    const kid = process.env.JWT_KEY_ID;
+
+    if (!kid) {
+      throw new Error('JWT_KEY_ID is required when JWT_PRIVATE_KEY is set');
+    }
+
+    const privateKey = crypto.createPrivateKey(readPem(process.env.JWT_PRIVATE_KEY));
+    const algorithm = getAlgorithm(privateKey);
+
+    signingKey = { kid, algorithm, privateKey };
+    verificationKeys.set(kid, { kid, algorithm, publicKey: crypto.createPublicKey(privateKey) });
+  }
+
+  if (process.env.JWT_VERIFICATION_KEYS) {
+    const keys = JSON.parse(process.env.JWT_VERIFICATION_KEYS);
+
+    Object.entries(keys).forEach(([kid, pem]) => {
+      if (verificationKeys.has(kid)) {
+        return;
+      }
+
+      const publicKey = crypto.createPublicKey(readPem(pem));
+      verificationKeys.set(kid, { kid, algorithm: getAlgorithm(publicKey), publicKey });
+    });
+  }
+
+  if (!signingKey && process.env.NODE_ENV === 'production') {
+    console.warn('JWT_PRIVATE_KEY is not set; tokens are signed with the shared JWT_SECRET');
+  }
+
+  keyStore = { signingKey, verificationKeys };
+  return keyStore;
+};
@@ -39,7 +39,11 @@ const swaggerOptions = {
             description: { type: 'string' },
             start_date: { type: 'string' },
             end_date: { type: 'string' },
+            timezone: { type: 'string' },
+            start_date_local: { type: 'string' },
+            end_date_local: { type: 'string' },
             location: { type: 'string' },
+            image_url: { type: 'string', nullable: true },
           },
         Attendee: {
             type: 'object',
@@ -0,0 +1,236 @@
+import { StatusCodes } from 'http-status-codes';
+import { createError } from '../utils/error.util.js';
+import { getClientInfo } from '../utils/request.util.js';
+import {
+  listOrganizers,
+  findOrganizerForAdmin,
+  updateOrganizerStatus,
+  getOrganizerTotals,
+  recordAdminAction,
+  listAdminActions
+} from '../services/admin.service.js';
+import { revokeAllSessions, startImpersonationSession } from '../services/session.service.js';
+
+// Impersonation tokens are short-lived and cannot be refreshed
+const IMPERSONATION_EXPIRES_IN = '30m';
+
+/**
+ * List organizers, optionally filtered by a search term and status
+ */
+export const listOrganizersController = async (req, res, next) => {
+  try {
+    const { search, status, page = 1, limit = 20 } = req.query;
+
+    const { organizers, total } = await listOrganizers({
+      search,
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit),
+        limit: parseInt(limit)
+      },
+      data: { organizers }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an organizer with their event, attendee and revenue totals
+ */
+export const getOrganizerController = async (req, res, next) => {
+  try {
+    const organizer = await findOrganizerForAdmin(req.params.organizerId);
+
+    if (!organizer) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Organizer not found'));
+    }
+
+    const totals = await getOrganizerTotals(organizer.id);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: { organizer, totals }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Suspend an organizer and sign them out everywhere
+ */
+export const suspendOrganizerController = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    const organizer = await findOrganizerForAdmin(req.params.organizerId);
+
+    if (!organizer) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Organizer not found'));
+    }
+
+    if (organizer.id === req.user.id) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'You cannot suspend your own account'));
+    }
+
+    if (organizer.status === 'suspended') {
+      return next(createError(StatusCodes.CONFLICT, 'Organizer is already suspended'));
+    }
+
+    const updatedOrganizer = await updateOrganizerStatus(organizer.id, {
+      status: 'suspended',
+      suspended_at: new Date().toISOString(),
+      suspension_reason: reason
+    });
+
+    await revokeAllSessions(organizer.id);
+
+    await recordAdminAction({
+      adminId: req.user.id,
+      action: 'suspend',
+      targetOrganizerId: organizer.id,
+      reason,
+      metadata: { previousStatus: organizer.status },
+      ipAddress: req.ip
+    });
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: { organizer: updatedOrganizer }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reactivate a suspended organizer
+ */
+export const reactivateOrganizerController = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    const organizer = await findOrganizerForAdmin(req.params.organizerId);
+
+    if (!organizer) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Organizer not found'));
+    }
+
+    if (organizer.status !== 'suspended') {
+      return next(createError(StatusCodes.CONFLICT, 'Organizer is not suspended'));
+    }
+
+    // Accounts suspended before verifying their email still need to verify it
+    const updatedOrganizer = await updateOrganizerStatus(organizer.id, {
+      status: organizer.email_verified_at ? 'active' : 'pending_verification',
+      suspended_at: null,
+      suspension_reason: null
+    });
+
+    await recordAdminAction({
+      adminId: req.user.id,
+      action: 'reactivate',
+      targetOrganizerId: organizer.id,
+      reason,
+      ipAddress: req.ip
+    });
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: { organizer: updatedOrganizer }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Issue a short-lived access token to act as an organizer for a support case
+ */
+export const impersonateOrganizerController = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    const organizer = await findOrganizerForAdmin(req.params.organizerId);
+
+    if (!organizer) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Organizer not found'));
+    }
+
+    if (organizer.role === 'admin') {
+      return next(createError(StatusCodes.FORBIDDEN, 'Admins cannot be impersonated'));
+    }
+
+    if (organizer.status === 'suspended') {
+      return next(createError(StatusCodes.CONFLICT, 'Suspended organizers cannot be impersonated'));
+    }
+
+    const { ipAddress, userAgent } = getClientInfo(req);
+    const { accessToken, sessionId } = await startImpersonationSession(
+      organizer,
+      { id: req.user.id, email: req.user.email },
+      { ipAddress, userAgent },
+      IMPERSONATION_EXPIRES_IN
+    );
+
+    await recordAdminAction({
+      adminId: req.user.id,
+      action: 'impersonate',
+      targetOrganizerId: organizer.id,
+      reason,
+      metadata: { sessionId },
+      ipAddress
+    });
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        token: accessToken,
+        expiresIn: IMPERSONATION_EXPIRES_IN,
+        sessionId,
+        organizer: {
+          id: organizer.id,
+          name: organizer.name,
+          email: organizer.email
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the admin audit trail
+ */
+export const getAuditLogsController = async (req, res, next) => {
+  try {
+    const { organizerId, adminId, page = 1, limit = 50 } = req.query;
+
+    const { entries, total } = await listAdminActions({
+      organizerId,
+      adminId,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit),
+        limit: parseInt(limit)
+      },
+      data: { entries }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,64 @@
+import { StatusCodes } from 'http-status-codes';
+import { createError } from '../utils/error.util.js';
+import { createApiKey, findApiKeys, revokeApiKey } from '../services/apiKey.service.js';
+
+/**
+ * List the API keys of the current organizer
+ */
+export const getApiKeysController = async (req, res, next) => {
+  try {
+    const apiKeys = await findApiKeys(req.user.id);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      results: apiKeys.length,
+      data: { apiKeys }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an API key
+ * The plain key is only returned once.
+ */
+export const createApiKeyController = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    const { apiKey, key } = await createApiKey(req.user.id, {
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt
+    });
+
+    res.status(StatusCodes.CREATED).json({
+      status: 'success',
+      message: 'Store this key now; it will not be shown again',
+      data: { apiKey, key }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke an API key
+ */
+export const revokeApiKeyController = async (req, res, next) => {
+  try {
+    const revoked = await revokeApiKey(req.user.id, req.params.apiKeyId);
+
+    if (!revoked) {
+      return next(createError(StatusCodes.NOT_FOUND, 'API key not found'));
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
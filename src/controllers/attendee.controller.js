@@ -1,37 +1,154 @@
 import { StatusCodes } from 'http-status-codes';
 import { createError } from '../utils/error.util.js';
-import { 
-  findEventById 
-} from '../models/event.model.js';
+import { pickFields } from '../utils/object.util.js';
 import { 
   registerAttendee, 
-  findAttendeeById, 
   findAttendeesByEvent, 
   updateAttendee, 
   checkInAttendee,
   getAttendeeStats,
-  searchAttendees
+  searchAttendees,
+  findWaitlist,
+  getWaitlistPosition,
+  getWaitlistCounts,
+  findWaitlistOffer,
+  acceptWaitlistOffer,
+  declineWaitlistOffer
 } from '../models/attendee.model.js';
+import { findTicketTypeById } from '../models/ticketType.model.js';
+import { promoteFromWaitlistSafely } from '../services/waitlist.service.js';
+import { hashToken } from '../utils/token.util.js';
+import { CLOSED_EVENT_STATUSES } from '../utils/eventLifecycle.util.js';
+import { sendRegistrationConfirmation } from '../utils/email.util.js';
+import { createCalendarInvite, getEventLocation } from '../utils/calendar.util.js';
+import { formatInTimezone } from '../utils/timezone.util.js';
+
+// Statuses that hold one of the event's places
+const PLACE_HOLDING_STATUSES = ['registered', 'checked_in', 'offered'];
+
+// Fields taken from a registration request; status and ticket bookkeeping are set by register_attendee
+const REGISTRATION_FIELDS = ['name', 'email', 'phone', 'ticket_type_id'];
+
+// Contact details an organizer can edit on an attendee
+const EDITABLE_ATTENDEE_FIELDS = ['name', 'email', 'phone'];
+
+/**
+ * Status changes an organizer can make by editing an attendee
+ * A place is only gained through registration, check-in and waitlist offers,
+ * which check the capacity and the order of the waitlist.
+ */
+const ATTENDEE_STATUS_CHANGES = {
+  registered: ['cancelled'],
+  checked_in: ['registered', 'cancelled'],
+  waitlisted: ['cancelled'],
+  offered: ['cancelled'],
+  cancelled: []
+};
+
+// Each registration is an order of one ticket
+const REGISTRATION_ORDER_SIZE = 1;
+
+/**
+ * Check that a ticket type can be bought now in a registration
+ * Its quantity is checked by register_attendee, which also covers concurrent registrations.
+ * @param {Object} ticketType - Ticket type record
+ * @param {Date} [now] - Reference time for the sales window
+ * @returns {Object|null} Error message and code, or null if it is on sale
+ */
+const findTicketTypeSaleError = (ticketType, now = new Date()) => {
+  if (ticketType.sales_start && new Date(ticketType.sales_start) > now) {
+    return { message: 'Sales for this ticket type have not started', code: 'TICKET_SALES_NOT_STARTED' };
+  }
+  if (ticketType.sales_end && new Date(ticketType.sales_end) <= now) {
+    return { message: 'Sales for this ticket type have ended', code: 'TICKET_SALES_ENDED' };
+  }
+
+  const minPerOrder = ticketType.min_per_order ?? 1;
+  const maxPerOrder = ticketType.max_per_order;
+  if (REGISTRATION_ORDER_SIZE < minPerOrder || (maxPerOrder != null && REGISTRATION_ORDER_SIZE > maxPerOrder)) {
+    return {
+      message: `This ticket type is sold in orders of ${minPerOrder} to ${maxPerOrder ?? 'any number of'} tickets`,
+      code: 'ORDER_LIMIT'
+    };
+  }
+
+  return null;
+};
 
 /**
  * Register a new attendee for an event
+ * Once the event or ticket type is full the attendee is waitlisted, or
+ * rejected if the event has no waitlist.
  */
 export const registerAttendeeController = async (req, res, next) => {
   try {
     const { eventId } = req.params;
-    
-    // Verify the event exists and belongs to the organizer
-    const event = await findEventById(eventId);
-    if (event.organizer_id !== req.user.id) {
-      return next(createError(StatusCodes.FORBIDDEN, 'Not authorized to add attendees to this event'));
+
+    if (CLOSED_EVENT_STATUSES.includes(req.event.status)) {
+      return next(createError(
+        StatusCodes.CONFLICT,
+        `Registration is closed for a ${req.event.status} event`,
+        [],
+        'EVENT_CLOSED'
+      ));
+    }
+
+    let ticketType = null;
+    if (req.body.ticket_type_id) {
+      ticketType = await findTicketTypeById(eventId, req.body.ticket_type_id);
+      if (!ticketType) {
+        return next(createError(StatusCodes.NOT_FOUND, 'Ticket type not found'));
+      }
+
+      const saleError = findTicketTypeSaleError(ticketType);
+      if (saleError) {
+        return next(createError(StatusCodes.CONFLICT, saleError.message, [], saleError.code));
+      }
     }
 
     const attendee = await registerAttendee({
-      ...req.body,
+      ...pickFields(req.body, REGISTRATION_FIELDS),
       event_id: eventId,
       registered_by: req.user.id
     });
-    
+
+    if (!attendee) {
+      return next(createError(
+        StatusCodes.CONFLICT,
+        'This event is at capacity',
+        [],
+        'CAPACITY_REACHED'
+      ));
+    }
+
+    if (attendee.status === 'waitlisted') {
+      const waitlistPosition = await getWaitlistPosition(attendee);
+
+      return res.status(StatusCodes.ACCEPTED).json({
+        status: 'success',
+        message: 'The event is at capacity; the attendee has been added to the waitlist',
+        data: { attendee, waitlistPosition }
+      });
+    }
+
+    // Send the ticket with the event for the attendee's calendar; a failed email doesn't fail the registration
+    if (attendee.email) {
+      try {
+        await sendRegistrationConfirmation({
+          to: attendee.email,
+          attendeeName: attendee.name,
+          eventName: req.event.title,
+          eventDate: formatInTimezone(req.event.start_date, req.event.timezone),
+          eventLocation: getEventLocation(req.event),
+          ticketType: ticketType ? ticketType.name : attendee.ticket_type || 'General',
+          ticketNumber: attendee.id,
+          calendar: createCalendarInvite(req.event, attendee)
+        });
+      } catch (emailError) {
+        console.error('Error sending registration confirmation email:', emailError);
+      }
+    }
+
     res.status(StatusCodes.CREATED).json({
       status: 'success',
       data: { attendee }
@@ -48,12 +165,6 @@ export const getAttendeesController = async (req, res, next) => {
   try {
     const { eventId } = req.params;
     const { status, page = 1, limit = 20 } = req.query;
-    
-    // Verify the event exists and belongs to the organizer
-    const event = await findEventById(eventId);
-    if (event.organizer_id !== req.user.id) {
-      return next(createError(StatusCodes.FORBIDDEN, 'Not authorized to view attendees for this event'));
-    }
 
     const offset = (page - 1) * limit;
     const { data: attendees, count } = await findAttendeesByEvent(
@@ -81,15 +192,7 @@ export const getAttendeesController = async (req, res, next) => {
  */
 export const getAttendeeController = async (req, res, next) => {
   try {
-    const { attendeeId } = req.params;
-    
-    const attendee = await findAttendeeById(attendeeId);
-    
-    // Verify the event exists and belongs to the organizer
-    const event = await findEventById(attendee.event_id);
-    if (event.organizer_id !== req.user.id) {
-      return next(createError(StatusCodes.FORBIDDEN, 'Not authorized to view this attendee'));
-    }
+    const { attendee } = req;
     
     res.status(StatusCodes.OK).json({
       status: 'success',
@@ -102,21 +205,50 @@ export const getAttendeeController = async (req, res, next) => {
 
 /**
  * Update attendee information
+ * The status can only be cancelled, or moved back from checked in to registered.
+ * Cancelling an attendee who held a place offers it to the waitlist.
  */
 export const updateAttendeeController = async (req, res, next) => {
   try {
     const { attendeeId } = req.params;
-    
-    // Get the attendee to find the event ID
-    const attendee = await findAttendeeById(attendeeId);
-    
-    // Verify the event exists and belongs to the organizer
-    const event = await findEventById(attendee.event_id);
-    if (event.organizer_id !== req.user.id) {
-      return next(createError(StatusCodes.FORBIDDEN, 'Not authorized to update this attendee'));
+    const { attendee } = req;
+    const { status } = req.body;
+
+    const updates = pickFields(req.body, EDITABLE_ATTENDEE_FIELDS);
+
+    if (status !== undefined && status !== attendee.status) {
+      if (!ATTENDEE_STATUS_CHANGES[attendee.status].includes(status)) {
+        return next(createError(
+          StatusCodes.CONFLICT,
+          `Cannot change the status of a ${attendee.status} attendee to ${status}`,
+          [],
+          'INVALID_STATUS_TRANSITION'
+        ));
+      }
+
+      updates.status = status;
+
+      // Undoing a check-in clears its time; a cancelled offer can no longer be claimed
+      if (attendee.status === 'checked_in') {
+        updates.check_in_time = null;
+      }
+      if (attendee.status === 'offered') {
+        Object.assign(updates, { offer_token_hash: null, offer_expires_at: null });
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'No attendee fields to update'));
     }
 
-    const updatedAttendee = await updateAttendee(attendeeId, req.body);
+    const updatedAttendee = await updateAttendee(attendeeId, updates);
+
+    if (
+      updatedAttendee.status === 'cancelled' &&
+      PLACE_HOLDING_STATUSES.includes(attendee.status)
+    ) {
+      await promoteFromWaitlistSafely(updatedAttendee.event_id);
+    }
     
     res.status(StatusCodes.OK).json({
       status: 'success',
@@ -133,14 +265,10 @@ export const updateAttendeeController = async (req, res, next) => {
 export const checkInAttendeeController = async (req, res, next) => {
   try {
     const { attendeeId } = req.params;
-    
-    // Get the attendee to find the event ID
-    const attendee = await findAttendeeById(attendeeId);
-    
-    // Verify the event exists and belongs to the organizer
-    const event = await findEventById(attendee.event_id);
-    if (event.organizer_id !== req.user.id) {
-      return next(createError(StatusCodes.FORBIDDEN, 'Not authorized to check in this attendee'));
+    const { attendee } = req;
+
+    if (req.event.status === 'cancelled') {
+      return next(createError(StatusCodes.BAD_REQUEST, 'This event has been cancelled'));
     }
 
     // Check if already checked in
@@ -148,6 +276,11 @@ export const checkInAttendeeController = async (req, res, next) => {
       return next(createError(StatusCodes.BAD_REQUEST, 'Attendee already checked in'));
     }
 
+    // Cancelled and waitlisted attendees have no place at the event
+    if (attendee.status !== 'registered') {
+      return next(createError(StatusCodes.BAD_REQUEST, `Cannot check in an attendee who is ${attendee.status}`));
+    }
+
     const updatedAttendee = await checkInAttendee(attendeeId);
     
     res.status(StatusCodes.OK).json({
@@ -168,18 +301,15 @@ export const checkInAttendeeController = async (req, res, next) => {
 export const getAttendeeStatsController = async (req, res, next) => {
   try {
     const { eventId } = req.params;
-    
-    // Verify the event exists and belongs to the organizer
-    const event = await findEventById(eventId);
-    if (event.organizer_id !== req.user.id) {
-      return next(createError(StatusCodes.FORBIDDEN, 'Not authorized to view stats for this event'));
-    }
 
-    const stats = await getAttendeeStats(eventId);
+    const [stats, waitlist] = await Promise.all([
+      getAttendeeStats(eventId),
+      getWaitlistCounts(eventId)
+    ]);
     
     res.status(StatusCodes.OK).json({
       status: 'success',
-      data: { stats }
+      data: { stats: { ...stats, waitlist } }
     });
   } catch (error) {
     next(error);
@@ -197,12 +327,6 @@ export const searchAttendeesController = async (req, res, next) => {
     if (!query || query.length < 2) {
       return next(createError(StatusCodes.BAD_REQUEST, 'Search query must be at least 2 characters'));
     }
-    
-    // Verify the event exists and belongs to the organizer
-    const event = await findEventById(eventId);
-    if (event.organizer_id !== req.user.id) {
-      return next(createError(StatusCodes.FORBIDDEN, 'Not authorized to search attendees for this event'));
-    }
 
     const attendees = await searchAttendees(eventId, query);
     
@@ -215,3 +339,89 @@ export const searchAttendeesController = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Get the waitlist of an event in order
+ * Open offers are listed first, followed by attendees still waiting.
+ */
+export const getWaitlistController = async (req, res, next) => {
+  try {
+    const entries = await findWaitlist(req.params.eventId);
+
+    const offered = entries.filter(attendee => attendee.status === 'offered');
+    const waiting = entries
+      .filter(attendee => attendee.status === 'waitlisted')
+      .map((attendee, index) => ({ ...attendee, waitlistPosition: index + 1 }));
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      results: entries.length,
+      data: { offered, waitlisted: waiting }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Claim a place offered from the waitlist
+ */
+export const acceptWaitlistOfferController = async (req, res, next) => {
+  try {
+    const hashedToken = hashToken(req.body.token);
+    const offer = await findWaitlistOffer(hashedToken);
+
+    if (offer && CLOSED_EVENT_STATUSES.includes(offer.event.status)) {
+      return next(createError(
+        StatusCodes.CONFLICT,
+        `Registration is closed for a ${offer.event.status} event`,
+        [],
+        'EVENT_CLOSED'
+      ));
+    }
+
+    const attendee = offer && await acceptWaitlistOffer(hashedToken);
+
+    if (!attendee) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'Invalid or expired waitlist offer'));
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      message: 'Your place is confirmed',
+      data: {
+        attendee: {
+          id: attendee.id,
+          name: attendee.name,
+          event_id: attendee.event_id,
+          status: attendee.status
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Turn down a place offered from the waitlist
+ * The place is offered to the next person in line straight away.
+ */
+export const declineWaitlistOfferController = async (req, res, next) => {
+  try {
+    const attendee = await declineWaitlistOffer(hashToken(req.body.token));
+
+    if (!attendee) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'Invalid or expired waitlist offer'));
+    }
+
+    await promoteFromWaitlistSafely(attendee.event_id);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      message: 'You have left the waitlist'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
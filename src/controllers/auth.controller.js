@@ -1,10 +1,216 @@
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import { StatusCodes } from 'http-status-codes';
 import { supabase } from '../app.js';
-import { generateTokens } from '../utils/jwt.utils.js';
-import { createOrganizer, findOrganizerByEmail } from '../services/organizer.service.js';
+import { generateActionToken, verifyActionToken } from '../utils/jwt.utils.js';
+import {
+  startSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions
+} from '../services/session.service.js';
+import OrganizerService, {
+  createOrganizer,
+  findOrganizerByEmail,
+  resetPasswordWithToken,
+  consumeMagicLinkToken
+} from '../services/organizer.service.js';
 import { createError } from '../utils/error.util.js';
+import { generateOneTimeToken, hashToken } from '../utils/token.util.js';
+import { getClientInfo } from '../utils/request.util.js';
+import { verifySecondFactor } from '../services/twoFactor.service.js';
+import {
+  getLoginBlock,
+  recordLoginFailure,
+  clearLoginFailures,
+  LOCKOUT_MINUTES
+} from '../services/loginThrottle.service.js';
+import {
+  sendAccountLockedEmail,
+  sendMagicLinkEmail,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+} from '../utils/email.util.js';
+
+// Password reset links are valid for 1 hour
+const PASSWORD_RESET_EXPIRES_IN_MINUTES = 60;
+
+// Email verification links are valid for 24 hours
+const EMAIL_VERIFICATION_EXPIRES_IN_HOURS = 24;
+
+// Minimum time between two verification emails for the same account
+const VERIFICATION_RESEND_INTERVAL_SECONDS = 60;
+
+// Time allowed between the password step and the two-factor step of a login
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
+
+// Magic sign-in links are valid for 15 minutes
+const MAGIC_LINK_EXPIRES_IN_MINUTES = 15;
+
+// Minimum time between two magic links for the same account
+const MAGIC_LINK_RESEND_INTERVAL_SECONDS = 60;
+
+/**
+ * Set the refresh token in an HTTP-only cookie
+ * @param {Object} res - Express response object
+ * @param {string} refreshToken - Refresh token
+ */
+const setRefreshTokenCookie = (res, refreshToken) => {
+  res.cookie('refreshToken', refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+  });
+};
+
+/**
+ * Reject a login attempt that is throttled or locked out
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @param {Object} block - Block returned by getLoginBlock
+ */
+const rejectBlockedLogin = (res, next, { locked, retryAfter }) => {
+  res.set('Retry-After', String(retryAfter));
+
+  if (locked) {
+    return next(createError(
+      StatusCodes.TOO_MANY_REQUESTS,
+      `Too many failed login attempts. This account is locked for ${Math.ceil(retryAfter / 60)} minutes`,
+      [],
+      'ACCOUNT_LOCKED'
+    ));
+  }
+
+  return next(createError(
+    StatusCodes.TOO_MANY_REQUESTS,
+    `Too many failed login attempts. Please wait ${retryAfter} seconds before trying again`,
+    [],
+    'TOO_MANY_LOGIN_ATTEMPTS'
+  ));
+};
+
+/**
+ * Record a failed login and let the organizer know if it locked their account
+ * @param {Object} req - Express request object
+ * @param {string} email - Email the attempt was for
+ * @param {Object|null} organizer - Organizer with that email, if any
+ */
+const handleLoginFailure = async (req, email, organizer) => {
+  const locked = await recordLoginFailure(email, req.ip);
+
+  if (locked && organizer) {
+    try {
+      await sendAccountLockedEmail({
+        to: organizer.email,
+        name: organizer.name,
+        lockedMinutes: LOCKOUT_MINUTES,
+        resetUrl: `${process.env.FRONTEND_URL}/forgot-password`
+      });
+    } catch (emailError) {
+      console.error('Error sending account locked email:', emailError);
+    }
+  }
+};
+
+/**
+ * Start a session for the organizer and send the login response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} organizer - Authenticated organizer
+ */
+const completeLogin = async (req, res, organizer) => {
+  await clearLoginFailures(organizer.email);
+
+  // Start a session for this device and issue its tokens
+  const { accessToken, refreshToken } = await startSession(
+    {
+      id: organizer.id,
+      email: organizer.email,
+      role: organizer.role
+    },
+    getClientInfo(req)
+  );
+
+  setRefreshTokenCookie(res, refreshToken);
+
+  // Return success response with access token
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    data: {
+      organizer: {
+        id: organizer.id,
+        name: organizer.name,
+        email: organizer.email,
+        company: organizer.company,
+        role: organizer.role
+      },
+      token: accessToken
+    }
+  });
+};
+
+/**
+ * Email a signed verification link to an organizer
+ * @param {Object} req - Express request object
+ * @param {Object} organizer - Organizer record
+ */
+const sendVerificationLink = async (req, organizer) => {
+  const token = generateActionToken(
+    'email_verification',
+    { id: organizer.id, email: organizer.email },
+    `${EMAIL_VERIFICATION_EXPIRES_IN_HOURS}h`
+  );
+  const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
+  await OrganizerService.updateOrganizer(organizer.id, {
+    verification_sent_at: new Date().toISOString()
+  });
+
+  await sendVerificationEmail({
+    to: organizer.email,
+    name: organizer.name,
+    verifyUrl: `${baseUrl}/api/auth/verify-email?token=${token}`,
+    expiresInHours: EMAIL_VERIFICATION_EXPIRES_IN_HOURS
+  });
+};
+
+/**
+ * Continue a login once the first factor (password or magic link) has been checked
+ * Asks for the second factor when it is enabled, otherwise starts the session.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @param {Object} organizer - Organizer that passed the first factor
+ */
+const continueLogin = async (req, res, next, organizer) => {
+  if (organizer.status === 'suspended') {
+    return next(createError(
+      StatusCodes.FORBIDDEN,
+      'This account has been suspended',
+      [],
+      'ACCOUNT_SUSPENDED'
+    ));
+  }
+
+  // Ask for the second factor before issuing any real tokens
+  if (organizer.two_factor_enabled) {
+    const challengeToken = generateActionToken(
+      'two_factor_challenge',
+      { id: organizer.id },
+      TWO_FACTOR_CHALLENGE_EXPIRES_IN
+    );
+
+    return res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        twoFactorRequired: true,
+        challengeToken
+      }
+    });
+  }
+
+  await completeLogin(req, res, organizer);
+};
 
 /**
  * Register a new organizer
@@ -30,39 +236,31 @@ export const register = async (req, res, next) => {
       password: hashedPassword,
       phone,
       company,
-      status: 'active',
+      status: 'pending_verification',
       role: 'organizer'
     };
 
     const organizer = await createOrganizer(organizerData);
 
-    // Generate JWT tokens
-    const { accessToken, refreshToken } = generateTokens({
-      id: organizer.id,
-      email: organizer.email,
-      role: organizer.role
-    });
-
-    // Set refresh token in HTTP-only cookie
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
+    try {
+      await sendVerificationLink(req, organizer);
+    } catch (emailError) {
+      console.error('Error sending verification email:', emailError);
+      // The organizer can request a new link via resend-verification
+    }
 
-    // Return success response with access token
     res.status(StatusCodes.CREATED).json({
       status: 'success',
+      message: 'Registration successful. Please check your email to verify your account',
       data: {
         organizer: {
           id: organizer.id,
           name: organizer.name,
           email: organizer.email,
           company: organizer.company,
-          role: organizer.role
-        },
-        token: accessToken
+          role: organizer.role,
+          status: organizer.status
+        }
       }
     });
   } catch (error) {
@@ -77,47 +275,70 @@ export const login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
+    // Refuse attempts while the account or IP is backing off
+    const block = await getLoginBlock(email, req.ip);
+    if (block) {
+      return rejectBlockedLogin(res, next, block);
+    }
+
     // Find organizer by email
     const organizer = await findOrganizerByEmail(email);
     if (!organizer) {
+      await handleLoginFailure(req, email, null);
       return next(createError(StatusCodes.UNAUTHORIZED, 'Invalid credentials'));
     }
 
     // Check if password is correct
     const isPasswordValid = await bcrypt.compare(password, organizer.password);
     if (!isPasswordValid) {
+      await handleLoginFailure(req, email, organizer);
       return next(createError(StatusCodes.UNAUTHORIZED, 'Invalid credentials'));
     }
 
-    // Generate JWT tokens
-    const { accessToken, refreshToken } = generateTokens({
-      id: organizer.id,
-      email: organizer.email,
-      role: organizer.role
-    });
+    if (organizer.status === 'pending_verification') {
+      return next(createError(
+        StatusCodes.FORBIDDEN,
+        'Please verify your email address before logging in',
+        [],
+        'EMAIL_NOT_VERIFIED'
+      ));
+    }
 
-    // Set refresh token in HTTP-only cookie
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
+    await continueLogin(req, res, next, organizer);
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Return success response with access token
-    res.status(StatusCodes.OK).json({
-      status: 'success',
-      data: {
-        organizer: {
-          id: organizer.id,
-          name: organizer.name,
-          email: organizer.email,
-          company: organizer.company,
-          role: organizer.role
-        },
-        token: accessToken
-      }
-    });
+/**
+ * Complete a two-factor login with a TOTP or recovery code
+ */
+export const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyActionToken(challengeToken, 'two_factor_challenge');
+    } catch (error) {
+      return next(createError(StatusCodes.UNAUTHORIZED, 'Invalid or expired challenge. Please log in again'));
+    }
+
+    const organizer = await OrganizerService.getOrganizerById(decoded.id);
+
+    // Guessing codes counts towards the same lockout as guessing passwords
+    const block = await getLoginBlock(organizer.email, req.ip);
+    if (block) {
+      return rejectBlockedLogin(res, next, block);
+    }
+
+    const isValid = await verifySecondFactor(organizer, { code, recoveryCode });
+    if (!isValid) {
+      await handleLoginFailure(req, organizer.email, organizer);
+      return next(createError(StatusCodes.UNAUTHORIZED, 'Invalid authentication code'));
+    }
+
+    await completeLogin(req, res, organizer);
   } catch (error) {
     next(error);
   }
@@ -126,18 +347,27 @@ export const login = async (req, res, next) => {
 /**
  * Logout organizer
  */
-export const logout = (req, res) => {
-  res.clearCookie('refreshToken');
-  res.status(StatusCodes.OK).json({
-    status: 'success',
-    message: 'Successfully logged out'
-  });
+export const logout = async (req, res, next) => {
+  try {
+    if (req.user.sid) {
+      await revokeSession(req.user.id, req.user.sid);
+    }
+
+    res.clearCookie('refreshToken');
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      message: 'Successfully logged out'
+    });
+  } catch (error) {
+    next(error);
+  }
 };
 
 /**
  * Refresh access token
+ * The refresh token is rotated on every call.
  */
-export const refreshToken = (req, res, next) => {
+export const refreshToken = async (req, res, next) => {
   try {
     const refreshToken = req.cookies.refreshToken;
     
@@ -145,16 +375,13 @@ export const refreshToken = (req, res, next) => {
       return next(createError(StatusCodes.UNAUTHORIZED, 'No refresh token provided'));
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET);
-    
-    // Generate new access token
-    const accessToken = jwt.sign(
-      { id: decoded.id, email: decoded.email, role: decoded.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m' }
+    const { accessToken, refreshToken: newRefreshToken } = await refreshSession(
+      refreshToken,
+      getClientInfo(req)
     );
 
+    setRefreshTokenCookie(res, newRefreshToken);
+
     res.status(StatusCodes.OK).json({
       status: 'success',
       data: {
@@ -162,36 +389,225 @@ export const refreshToken = (req, res, next) => {
       }
     });
   } catch (error) {
-    next(createError(StatusCodes.FORBIDDEN, 'Invalid refresh token'));
+    if (error.status === StatusCodes.UNAUTHORIZED) {
+      res.clearCookie('refreshToken');
+      return next(error);
+    }
+    next(error.status ? error : createError(StatusCodes.FORBIDDEN, 'Invalid refresh token'));
   }
 };
 
 /**
- * Get current organizer profile
+ * Verify an organizer's email address
  */
-export const getMe = async (req, res, next) => {
+export const verifyEmail = async (req, res, next) => {
   try {
-    const organizer = await findOrganizerById(req.user.id);
-    
-    if (!organizer) {
-      return next(createError(StatusCodes.NOT_FOUND, 'Organizer not found'));
+    let decoded;
+    try {
+      decoded = verifyActionToken(req.query.token, 'email_verification');
+    } catch (error) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'Invalid or expired verification link'));
+    }
+
+    const organizer = await OrganizerService.getOrganizerById(decoded.id);
+
+    // The link was issued for an address the account no longer uses
+    if (organizer.email !== decoded.email) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'Invalid or expired verification link'));
+    }
+
+    if (organizer.status === 'pending_verification') {
+      await OrganizerService.updateOrganizer(organizer.id, {
+        status: 'active',
+        email_verified_at: new Date().toISOString()
+      });
     }
 
     res.status(StatusCodes.OK).json({
       status: 'success',
-      data: {
-        organizer: {
-          id: organizer.id,
+      message: 'Email verified successfully. You can now log in'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resend the email verification link
+ */
+export const resendVerification = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const organizer = await findOrganizerByEmail(email);
+
+    if (organizer && organizer.status === 'pending_verification') {
+      const lastSentAt = organizer.verification_sent_at
+        ? new Date(organizer.verification_sent_at).getTime()
+        : 0;
+      const retryAfter = Math.ceil(
+        (lastSentAt + VERIFICATION_RESEND_INTERVAL_SECONDS * 1000 - Date.now()) / 1000
+      );
+
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return next(createError(
+          StatusCodes.TOO_MANY_REQUESTS,
+          `Please wait ${retryAfter} seconds before requesting another verification email`
+        ));
+      }
+
+      await sendVerificationLink(req, organizer);
+    }
+
+    // Same response whether or not the account exists, so emails can't be probed
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      message: 'If the account is awaiting verification, a new link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a password reset link
+ */
+export const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const organizer = await findOrganizerByEmail(email);
+
+    if (organizer) {
+      const { token, hashedToken } = generateOneTimeToken();
+
+      await OrganizerService.updateOrganizer(organizer.id, {
+        password_reset_token: hashedToken,
+        password_reset_expires: new Date(
+          Date.now() + PASSWORD_RESET_EXPIRES_IN_MINUTES * 60 * 1000
+        ).toISOString()
+      });
+
+      try {
+        await sendPasswordResetEmail({
+          to: organizer.email,
           name: organizer.name,
-          email: organizer.email,
-          company: organizer.company,
-          phone: organizer.phone,
-          role: organizer.role,
-          status: organizer.status,
-          createdAt: organizer.created_at,
-          updatedAt: organizer.updated_at
+          resetUrl: `${process.env.FRONTEND_URL}/reset-password?token=${token}`,
+          expiresInMinutes: PASSWORD_RESET_EXPIRES_IN_MINUTES
+        });
+      } catch (emailError) {
+        console.error('Error sending password reset email:', emailError);
+      }
+    }
+
+    // Same response whether or not the account exists, so emails can't be probed
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Email a single-use sign-in link
+ */
+export const requestMagicLink = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const organizer = await findOrganizerByEmail(email);
+
+    if (organizer && organizer.status !== 'suspended') {
+      // A link sent moments ago is still valid; don't flood the inbox
+      const lastSentAt = organizer.magic_link_expires
+        ? new Date(organizer.magic_link_expires).getTime() - MAGIC_LINK_EXPIRES_IN_MINUTES * 60 * 1000
+        : 0;
+
+      if (Date.now() - lastSentAt >= MAGIC_LINK_RESEND_INTERVAL_SECONDS * 1000) {
+        const { token, hashedToken } = generateOneTimeToken();
+
+        await OrganizerService.updateOrganizer(organizer.id, {
+          magic_link_token: hashedToken,
+          magic_link_expires: new Date(
+            Date.now() + MAGIC_LINK_EXPIRES_IN_MINUTES * 60 * 1000
+          ).toISOString()
+        });
+
+        try {
+          await sendMagicLinkEmail({
+            to: organizer.email,
+            name: organizer.name,
+            loginUrl: `${process.env.FRONTEND_URL}/magic-link?token=${token}`,
+            expiresInMinutes: MAGIC_LINK_EXPIRES_IN_MINUTES
+          });
+        } catch (emailError) {
+          console.error('Error sending magic link email:', emailError);
         }
       }
+    }
+
+    // Same response whether or not the account exists, so emails can't be probed
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      message: 'If an account exists for this email, a sign-in link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Exchange a magic link token for a session
+ * Responds like login, including the two-factor challenge when it is enabled.
+ */
+export const verifyMagicLink = async (req, res, next) => {
+  try {
+    let organizer = await consumeMagicLinkToken(hashToken(req.body.token));
+
+    if (!organizer) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'Invalid or expired sign-in link'));
+    }
+
+    // Opening the link proves the organizer owns the address
+    if (organizer.status === 'pending_verification') {
+      organizer = await OrganizerService.updateOrganizer(organizer.id, {
+        status: 'active',
+        email_verified_at: new Date().toISOString()
+      });
+    }
+
+    await continueLogin(req, res, next, organizer);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reset password using a reset token
+ */
+export const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    const organizer = await resetPasswordWithToken(hashToken(token), hashedPassword);
+    if (!organizer) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'Invalid or expired reset token'));
+    }
+
+    // Sign out every device that was using the old password
+    await revokeAllSessions(organizer.id);
+    await clearLoginFailures(organizer.email);
+
+    res.clearCookie('refreshToken');
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      message: 'Password has been reset. Please log in with your new password'
     });
   } catch (error) {
     next(error);
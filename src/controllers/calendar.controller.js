@@ -0,0 +1,39 @@
+import { StatusCodes } from 'http-status-codes';
+import { createError } from '../utils/error.util.js';
+import { hashToken } from '../utils/token.util.js';
+import { createCalendar } from '../utils/calendar.util.js';
+import { findOrganizerByCalendarFeedToken } from '../services/organizer.service.js';
+import { findCalendarFeedEvents } from '../models/event.model.js';
+
+// Days of past events kept in a feed, so recent events don't vanish from calendars
+const FEED_HISTORY_DAYS = 90;
+
+// Calendar apps poll feeds; let them reuse a copy for a few minutes
+const FEED_CACHE_CONTROL = 'private, max-age=300';
+
+/**
+ * Get an organizer's events as a subscribable iCalendar feed
+ * The token in the URL is the only credential, since calendar apps cannot sign in.
+ */
+export const getCalendarFeedController = async (req, res, next) => {
+  try {
+    const organizer = await findOrganizerByCalendarFeedToken(hashToken(req.params.token));
+
+    if (!organizer) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Calendar feed not found'));
+    }
+
+    const since = new Date();
+    since.setDate(since.getDate() - FEED_HISTORY_DAYS);
+
+    const events = await findCalendarFeedEvents(organizer.id, since);
+
+    res.set('Cache-Control', FEED_CACHE_CONTROL);
+    res.type('text/calendar; charset=utf-8');
+    res.status(StatusCodes.OK).send(createCalendar(events, {
+      name: `${organizer.company || organizer.name} events`
+    }));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,37 +1,127 @@
 import { StatusCodes } from 'http-status-codes';
 import { createError } from '../utils/error.util.js';
+import { pickFields } from '../utils/object.util.js';
 import { 
   createEvent, 
-  findEventById, 
+  findEventById,
   findEventsByOrganizer, 
   updateEvent, 
   deleteEvent,
   getEventStats
 } from '../models/event.model.js';
-import { uploadFile, deleteFile } from '../utils/storage.util.js';
+import { findMemberEventIds } from '../models/eventMember.model.js';
+import { findActiveAttendees } from '../models/attendee.model.js';
+import { findEventSessions, updateEventSession } from '../models/eventSession.model.js';
+import { findEventImages } from '../models/eventImage.model.js';
+import { hasEventPermission } from '../utils/permissions.util.js';
+import { createEventSlug } from '../utils/slug.util.js';
+import { calendarSequenceUpdate, nextCalendarSequence } from '../utils/calendar.util.js';
+import {
+  DEFAULT_TIMEZONE,
+  parseDateInTimezone,
+  withLocalDates
+} from '../utils/timezone.util.js';
+import { promoteFromWaitlistSafely } from '../services/waitlist.service.js';
+import {
+  assertEventAction,
+  assertFieldsEditable,
+  cancelEvent,
+  notifyEventPostponed,
+  notifyEventUpdated
+} from '../services/eventLifecycle.service.js';
+import { duplicateEvent } from '../services/eventDuplication.service.js';
+import {
+  addEventImage,
+  removeEventImage,
+  findEventImagePaths,
+  deleteEventImageFiles
+} from '../services/eventImage.service.js';
+
+// Attendees of events in these statuses are emailed when the time or venue changes
+const NOTIFIED_UPDATE_STATUSES = ['published', 'postponed'];
+
+/**
+ * Record fields changed on a series occurrence so the series no longer syncs them
+ * @param {Object} event - Event record
+ * @param {string[]} fields - Fields being changed
+ * @returns {Object} overridden_fields update, or nothing for standalone events
+ */
+const overriddenFieldsUpdate = (event, fields) => {
+  if (!event.series_id) {
+    return {};
+  }
+
+  return {
+    overridden_fields: [...new Set([...(event.overridden_fields || []), ...fields])]
+  };
+};
+
+// Fields an organizer can set when creating or updating an event; ownership,
+// status, slug, series links and lifecycle timestamps are managed by the API
+const EDITABLE_EVENT_FIELDS = [
+  'title',
+  'description',
+  'start_date',
+  'end_date',
+  'timezone',
+  'location',
+  'city',
+  'category',
+  'capacity',
+  'waitlist_enabled',
+  'is_online',
+  'online_url'
+];
+
+/**
+ * Read start and end dates sent without an offset as local time in the event timezone
+ * @param {Object} fields - Event fields from the request
+ * @param {string} timezone - Event timezone
+ * @returns {Object} Fields with start_date and end_date as UTC ISO strings
+ */
+const normalizeEventDates = (fields, timezone) => {
+  const normalized = { ...fields };
+
+  for (const field of ['start_date', 'end_date']) {
+    if (normalized[field]) {
+      normalized[field] = parseDateInTimezone(normalized[field], timezone).toISOString();
+    }
+  }
+
+  return normalized;
+};
 
 /**
  * Create a new event
  */
 export const createEventController = async (req, res, next) => {
   try {
+    const timezone = req.body.timezone || DEFAULT_TIMEZONE;
     const eventData = {
-      ...req.body,
+      ...normalizeEventDates(pickFields(req.body, EDITABLE_EVENT_FIELDS), timezone),
+      timezone,
       organizer_id: req.user.id,
       status: 'draft'
     };
 
-    // Handle image upload if exists
+    let event = await createEvent(eventData);
+
+    // An image sent with the event starts its gallery as the cover
     if (req.file) {
-      const imageUrl = await uploadFile(req.file, 'events');
-      eventData.image_url = imageUrl;
+      try {
+        await addEventImage(event, req.file, { isCover: true, uploadedBy: req.user.id });
+        event = await findEventById(event.id);
+      } catch (error) {
+        await deleteEvent(event.id).catch(cleanupError => {
+          console.error(`Error removing event ${event.id} after a failed image upload:`, cleanupError);
+        });
+        throw error;
+      }
     }
-
-    const event = await createEvent(eventData);
     
     res.status(StatusCodes.CREATED).json({
       status: 'success',
-      data: { event }
+      data: { event: withLocalDates(event) }
     });
   } catch (error) {
     next(error);
@@ -39,21 +129,49 @@ export const createEventController = async (req, res, next) => {
 };
 
 /**
- * Get all events for the current organizer
+ * Get all events the current organizer owns or is a team member of
  */
 export const getEventsController = async (req, res, next) => {
   try {
-    const { status } = req.query;
+    const {
+      status,
+      category,
+      from,
+      to,
+      search,
+      sort = 'start_date',
+      order = 'asc',
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const offset = (page - 1) * limit;
+    const memberEventIds = await findMemberEventIds(req.user.id);
     const { data: events, count } = await findEventsByOrganizer(
       req.user.id, 
-      { status }
+      {
+        status,
+        category,
+        from,
+        to,
+        search,
+        sort,
+        order,
+        memberEventIds,
+        limit: parseInt(limit),
+        offset
+      }
     );
     
     res.status(StatusCodes.OK).json({
       status: 'success',
-      results: events.length,
-      total: count,
-      data: { events }
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        pages: Math.ceil(count / limit),
+        limit: parseInt(limit)
+      },
+      data: { events: events.map(withLocalDates) }
     });
   } catch (error) {
     next(error);
@@ -65,16 +183,11 @@ export const getEventsController = async (req, res, next) => {
  */
 export const getEventController = async (req, res, next) => {
   try {
-    const event = await findEventById(req.params.id);
-    
-    // Check if the event belongs to the organizer
-    if (event.organizer_id !== req.user.id) {
-      return next(createError(StatusCodes.FORBIDDEN, 'Not authorized to access this event'));
-    }
+    const { event, eventRole } = req;
     
     res.status(StatusCodes.OK).json({
       status: 'success',
-      data: { event }
+      data: { event: withLocalDates(event), role: eventRole }
     });
   } catch (error) {
     next(error);
@@ -86,31 +199,55 @@ export const getEventController = async (req, res, next) => {
  */
 export const updateEventController = async (req, res, next) => {
   try {
-    const event = await findEventById(req.params.id);
-    
-    // Check if the event belongs to the organizer
-    if (event.organizer_id !== req.user.id) {
-      return next(createError(StatusCodes.FORBIDDEN, 'Not authorized to update this event'));
+    const { event } = req;
+
+    // A new timezone alone keeps the event's instants; dates sent with it are read in it
+    const updates = normalizeEventDates(
+      pickFields(req.body, EDITABLE_EVENT_FIELDS),
+      req.body.timezone || event.timezone || DEFAULT_TIMEZONE
+    );
+
+    if (Object.keys(updates).length === 0 && !req.file) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'No event fields to update'));
     }
 
-    const updates = { ...req.body };
+    assertFieldsEditable(event, Object.keys(updates));
     
-    // Handle image upload if exists
+    // An uploaded image replaces the cover of the gallery
     if (req.file) {
-      // Delete old image if exists
-      if (event.image_url) {
-        await deleteFile(event.image_url);
+      const previousCover = (await findEventImages(event.id)).find(image => image.is_cover);
+
+      await addEventImage(event, req.file, { isCover: true, uploadedBy: req.user.id });
+      if (previousCover) {
+        await removeEventImage(event, previousCover.id);
       }
-      
-      const imageUrl = await uploadFile(req.file, 'events');
-      updates.image_url = imageUrl;
     }
 
-    const updatedEvent = await updateEvent(req.params.id, updates);
+    // Fields edited on an occurrence are no longer synced from its series
+    Object.assign(updates, overriddenFieldsUpdate(event, Object.keys(updates)));
+
+    // A new time or venue is a new revision for calendars that hold the event
+    Object.assign(updates, calendarSequenceUpdate(event, updates));
+
+    // A request with only an image has no fields left to update
+    const updatedEvent = Object.keys(updates).length > 0
+      ? await updateEvent(req.params.id, updates)
+      : await findEventById(req.params.id);
+
+    // More room may let people in from the waitlist
+    if (updates.capacity !== undefined) {
+      await promoteFromWaitlistSafely(updatedEvent.id);
+    }
+
+    if (updates.calendar_sequence && NOTIFIED_UPDATE_STATUSES.includes(updatedEvent.status)) {
+      await notifyEventUpdated(updatedEvent).catch(notifyError => {
+        console.error(`Error notifying attendees of event ${updatedEvent.id}:`, notifyError);
+      });
+    }
     
     res.status(StatusCodes.OK).json({
       status: 'success',
-      data: { event: updatedEvent }
+      data: { event: withLocalDates(updatedEvent) }
     });
   } catch (error) {
     next(error);
@@ -122,19 +259,13 @@ export const updateEventController = async (req, res, next) => {
  */
 export const deleteEventController = async (req, res, next) => {
   try {
-    const event = await findEventById(req.params.id);
-    
-    // Check if the event belongs to the organizer
-    if (event.organizer_id !== req.user.id) {
-      return next(createError(StatusCodes.FORBIDDEN, 'Not authorized to delete this event'));
-    }
+    const { event } = req;
 
-    // Delete event image if exists
-    if (event.image_url) {
-      await deleteFile(event.image_url);
-    }
+    // Image records go with the event, so their files are found beforehand
+    const imagePaths = await findEventImagePaths(event);
 
     await deleteEvent(req.params.id);
+    await deleteEventImageFiles(imagePaths);
     
     res.status(StatusCodes.NO_CONTENT).json({
       status: 'success',
@@ -145,18 +276,34 @@ export const deleteEventController = async (req, res, next) => {
   }
 };
 
+/**
+ * Duplicate an event into a new draft owned by the current organizer
+ */
+export const duplicateEventController = async (req, res, next) => {
+  try {
+    const { title, offset_days, include_attendees } = req.body;
+
+    const { event, copied } = await duplicateEvent(req.event, {
+      organizerId: req.user.id,
+      title,
+      offsetDays: offset_days,
+      includeAttendees: include_attendees
+    });
+
+    res.status(StatusCodes.CREATED).json({
+      status: 'success',
+      data: { event: withLocalDates(event), copied }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get event statistics
  */
 export const getEventStatsController = async (req, res, next) => {
   try {
-    const event = await findEventById(req.params.id);
-    
-    // Check if the event belongs to the organizer
-    if (event.organizer_id !== req.user.id) {
-      return next(createError(StatusCodes.FORBIDDEN, 'Not authorized to view this event'));
-    }
-
     const stats = await getEventStats(req.params.id);
     
     res.status(StatusCodes.OK).json({
@@ -173,12 +320,9 @@ export const getEventStatsController = async (req, res, next) => {
  */
 export const publishEventController = async (req, res, next) => {
   try {
-    const event = await findEventById(req.params.id);
-    
-    // Check if the event belongs to the organizer
-    if (event.organizer_id !== req.user.id) {
-      return next(createError(StatusCodes.FORBIDDEN, 'Not authorized to publish this event'));
-    }
+    const { event } = req;
+
+    assertEventAction(event, 'publish');
 
     // Validate that required fields are present
     const requiredFields = ['title', 'description', 'start_date', 'end_date', 'location'];
@@ -193,12 +337,178 @@ export const publishEventController = async (req, res, next) => {
 
     const updatedEvent = await updateEvent(req.params.id, { 
       status: 'published',
-      published_at: new Date().toISOString()
+      published_at: new Date().toISOString(),
+      slug: event.slug || createEventSlug(event)
     });
     
     res.status(StatusCodes.OK).json({
       status: 'success',
-      data: { event: updatedEvent }
+      data: { event: withLocalDates(updatedEvent) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Take a published event back to draft
+ * Only possible while nobody is registered; events with attendees must be cancelled.
+ */
+export const unpublishEventController = async (req, res, next) => {
+  try {
+    const { event } = req;
+
+    assertEventAction(event, 'unpublish');
+
+    const attendees = await findActiveAttendees(event.id);
+    if (attendees.length > 0) {
+      return next(createError(
+        StatusCodes.CONFLICT,
+        'An event with attendees cannot be unpublished; cancel it instead'
+      ));
+    }
+
+    const updatedEvent = await updateEvent(event.id, {
+      status: 'draft',
+      published_at: null
+    });
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: { event: withLocalDates(updatedEvent) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Postpone an event
+ * With new dates the event is rescheduled and stays on sale, and its sessions
+ * move with it; without them it is postponed until new dates are set.
+ * Attendees are emailed either way.
+ */
+export const postponeEventController = async (req, res, next) => {
+  try {
+    const { event } = req;
+    const { reason } = req.body;
+    const { start_date, end_date } = normalizeEventDates(
+      req.body,
+      event.timezone || DEFAULT_TIMEZONE
+    );
+
+    assertEventAction(event, 'postpone');
+
+    const rescheduled = Boolean(start_date);
+    let updates = {
+      status: 'postponed',
+      postponed_at: new Date().toISOString(),
+      calendar_sequence: nextCalendarSequence(event)
+    };
+
+    if (rescheduled) {
+      if (new Date(end_date) <= new Date(start_date)) {
+        return next(createError(StatusCodes.BAD_REQUEST, 'End date must be after start date'));
+      }
+
+      if (new Date(start_date) <= new Date()) {
+        return next(createError(StatusCodes.BAD_REQUEST, 'New start date must be in the future'));
+      }
+
+      updates = {
+        ...updates,
+        status: 'published',
+        start_date,
+        end_date,
+        ...overriddenFieldsUpdate(event, ['start_date', 'end_date'])
+      };
+    }
+
+    const updatedEvent = await updateEvent(event.id, updates);
+
+    if (rescheduled) {
+      const offset = new Date(start_date) - new Date(event.start_date);
+      const sessions = await findEventSessions(event.id);
+
+      for (const session of sessions) {
+        await updateEventSession(session.id, {
+          starts_at: new Date(new Date(session.starts_at).getTime() + offset).toISOString(),
+          ends_at: new Date(new Date(session.ends_at).getTime() + offset).toISOString()
+        });
+      }
+    }
+
+    const notified = await notifyEventPostponed(updatedEvent, { reason, rescheduled });
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: { event: withLocalDates(updatedEvent), notified }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel an event and email its attendees
+ * With refund set, every captured payment of the event is refunded; this
+ * needs the payments:refund permission on the event.
+ */
+export const cancelEventController = async (req, res, next) => {
+  try {
+    const { event } = req;
+    const { reason, refund = false } = req.body;
+
+    assertEventAction(event, 'cancel');
+
+    if (refund && (req.apiKey || !hasEventPermission(req.eventRole, 'payments:refund'))) {
+      return next(createError(
+        StatusCodes.FORBIDDEN,
+        `Event role ${req.eventRole} is not authorized to refund payments`
+      ));
+    }
+
+    const { event: updatedEvent, notified, refunds } = await cancelEvent(event, { reason, refund });
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        event: withLocalDates(updatedEvent),
+        notified,
+        refunds: refunds && {
+          refunded: refunds.refunded.length,
+          failed: refunds.failed
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark an event as completed
+ * Events are completed automatically once they end; this closes one early,
+ * after it has started.
+ */
+export const completeEventController = async (req, res, next) => {
+  try {
+    const { event } = req;
+
+    assertEventAction(event, 'complete');
+
+    if (new Date(event.start_date) > new Date()) {
+      return next(createError(StatusCodes.CONFLICT, 'An event cannot be completed before it starts'));
+    }
+
+    const updatedEvent = await updateEvent(event.id, {
+      status: 'completed',
+      completed_at: new Date().toISOString()
+    });
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: { event: withLocalDates(updatedEvent) }
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,108 @@
+import { StatusCodes } from 'http-status-codes';
+import { createError } from '../utils/error.util.js';
+import { findEventImages } from '../models/eventImage.model.js';
+import {
+  addEventImage,
+  updateEventImageDetails,
+  reorderEventImages,
+  removeEventImage
+} from '../services/eventImage.service.js';
+
+/**
+ * Get the gallery of an event in display order
+ */
+export const getEventImagesController = async (req, res, next) => {
+  try {
+    const images = await findEventImages(req.event.id);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      results: images.length,
+      data: { images }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Upload an image to the gallery of an event
+ */
+export const uploadEventImageController = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'No image file uploaded'));
+    }
+
+    const image = await addEventImage(req.event, req.file, {
+      altText: req.body.alt_text,
+      isCover: req.body.is_cover,
+      uploadedBy: req.user.id
+    });
+
+    res.status(StatusCodes.CREATED).json({
+      status: 'success',
+      data: { image }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update the alt text of an image or make it the cover
+ */
+export const updateEventImageController = async (req, res, next) => {
+  try {
+    const { alt_text, is_cover } = req.body;
+
+    if (alt_text === undefined && is_cover === undefined) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'No image fields to update'));
+    }
+
+    const image = await updateEventImageDetails(req.event, req.params.imageId, {
+      altText: alt_text,
+      isCover: is_cover
+    });
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: { image }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set the display order of the gallery
+ */
+export const reorderEventImagesController = async (req, res, next) => {
+  try {
+    const images = await reorderEventImages(req.event, req.body.image_ids);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      results: images.length,
+      data: { images }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an image and all of its variants
+ */
+export const deleteEventImageController = async (req, res, next) => {
+  try {
+    await removeEventImage(req.event, req.params.imageId);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      message: 'Image deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,577 @@
+import { StatusCodes } from 'http-status-codes';
+import { createError } from '../utils/error.util.js';
+import { pickFields } from '../utils/object.util.js';
+import {
+  createEventSeries,
+  findEventSeriesById,
+  findEventSeriesByOrganizer,
+  updateEventSeries,
+  findSeriesOccurrences,
+  createSeriesOccurrences,
+  getOccurrenceAttendeeCounts
+} from '../models/eventSeries.model.js';
+import { findEventById, updateEvent, deleteEvent } from '../models/event.model.js';
+import { promoteFromWaitlistSafely } from '../services/waitlist.service.js';
+import { notifyEventUpdated } from '../services/eventLifecycle.service.js';
+import { calendarSequenceUpdate } from '../utils/calendar.util.js';
+import {
+  assertEventAction,
+  assertFieldsEditable,
+  cancelEvent
+} from '../services/eventLifecycle.service.js';
+import {
+  DEFAULT_TIMEZONE,
+  parseDateInTimezone,
+  withLocalTimes,
+  withLocalDates
+} from '../utils/timezone.util.js';
+import {
+  parseRecurrenceRule,
+  toRuleString,
+  toOccurrenceKey,
+  getOccurrenceDates
+} from '../utils/recurrence.util.js';
+
+// Fields copied from the series to each occurrence
+const SERIES_TEMPLATE_FIELDS = [
+  'title',
+  'description',
+  'location',
+  'category',
+  'capacity',
+  'is_online',
+  'online_url',
+  'waitlist_enabled',
+  'timezone'
+];
+
+// Fields that can be changed on a single occurrence
+const OCCURRENCE_OVERRIDE_FIELDS = ['start_date', 'end_date', 'location', 'capacity'];
+
+// How far ahead occurrences are generated when no date is given
+const DEFAULT_GENERATION_MONTHS = 6;
+
+/**
+ * Get the default generation horizon
+ * @returns {Date} Date DEFAULT_GENERATION_MONTHS from now
+ */
+const getDefaultHorizon = () => {
+  const horizon = new Date();
+  horizon.setMonth(horizon.getMonth() + DEFAULT_GENERATION_MONTHS);
+  return horizon;
+};
+
+/**
+ * Load a series of the current organizer
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} Series, or null if missing or owned by someone else
+ */
+const findOwnedSeries = async (req) => {
+  const series = await findEventSeriesById(req.params.seriesId);
+  return series && series.organizer_id === req.user.id ? series : null;
+};
+
+/**
+ * Add the local start time of a series for API responses
+ * @param {Object} series - Series record
+ * @returns {Object} Series with start_date_local
+ */
+const withLocalStart = (series) => withLocalTimes(
+  series,
+  ['start_date'],
+  series.timezone || DEFAULT_TIMEZONE
+);
+
+/**
+ * Build the event row for one occurrence of a series
+ * @param {Object} series - Series record
+ * @param {Date} startDate - Start of the occurrence
+ * @returns {Object} Event data
+ */
+const buildOccurrence = (series, startDate) => ({
+  ...pickFields(series, SERIES_TEMPLATE_FIELDS),
+  organizer_id: series.organizer_id,
+  series_id: series.id,
+  occurrence_date: startDate.toISOString(),
+  start_date: startDate.toISOString(),
+  end_date: new Date(startDate.getTime() + series.duration_minutes * 60 * 1000).toISOString(),
+  overridden_fields: [],
+  status: 'draft'
+});
+
+/**
+ * Create the missing future occurrences of a series up to a date
+ * Occurrences that already exist, were excluded, or lie in the past are skipped.
+ * @param {Object} series - Series record
+ * @param {Date} until - Last date to generate
+ * @returns {Promise<Object>} Created occurrences and the updated series
+ */
+const generateOccurrences = async (series, until) => {
+  const timezone = series.timezone || DEFAULT_TIMEZONE;
+  const recurrence = parseRecurrenceRule(series.recurrence_rule, series.start_date, timezone);
+  const existing = await findSeriesOccurrences(series.id);
+  const existingKeys = new Set(existing.map(event => toOccurrenceKey(event.occurrence_date)));
+
+  const from = new Date(Math.max(new Date(series.start_date).getTime(), Date.now()));
+  const dates = getOccurrenceDates(recurrence, {
+    from,
+    until,
+    excludedDates: series.excluded_dates || [],
+    timezone
+  });
+
+  const created = await createSeriesOccurrences(
+    dates
+      .filter(date => !existingKeys.has(toOccurrenceKey(date)))
+      .map(date => buildOccurrence(series, date))
+  );
+
+  const generatedUntil = series.generated_until && new Date(series.generated_until) > until
+    ? series.generated_until
+    : until.toISOString();
+
+  const updatedSeries = generatedUntil === series.generated_until
+    ? series
+    : await updateEventSeries(series.id, { generated_until: generatedUntil });
+
+  return { created, series: updatedSeries };
+};
+
+/**
+ * Create an event series and its first occurrences
+ * start_date and end_date describe the first occurrence; later ones keep its duration.
+ */
+export const createEventSeriesController = async (req, res, next) => {
+  try {
+    const { recurrence_rule: rule, generate_until: generateUntil } = req.body;
+    const timezone = req.body.timezone || DEFAULT_TIMEZONE;
+    const startDate = parseDateInTimezone(req.body.start_date, timezone);
+    const endDate = parseDateInTimezone(req.body.end_date, timezone);
+
+    const durationMinutes = Math.round((new Date(endDate) - new Date(startDate)) / 60000);
+    if (durationMinutes <= 0) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'End date must be after start date'));
+    }
+
+    const recurrence = parseRecurrenceRule(rule, startDate, timezone);
+
+    const series = await createEventSeries({
+      ...pickFields(req.body, SERIES_TEMPLATE_FIELDS),
+      timezone,
+      organizer_id: req.user.id,
+      recurrence_rule: toRuleString(recurrence),
+      start_date: startDate.toISOString(),
+      duration_minutes: durationMinutes,
+      excluded_dates: []
+    });
+
+    const { created, series: updatedSeries } = await generateOccurrences(
+      series,
+      generateUntil ? new Date(generateUntil) : getDefaultHorizon()
+    );
+
+    res.status(StatusCodes.CREATED).json({
+      status: 'success',
+      data: {
+        series: withLocalStart(updatedSeries),
+        occurrences: created.map(withLocalDates)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the event series of the current organizer
+ */
+export const getEventSeriesListController = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const offset = (page - 1) * limit;
+    const { data: series, count } = await findEventSeriesByOrganizer(
+      req.user.id,
+      { limit: parseInt(limit), offset }
+    );
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        pages: Math.ceil(count / limit),
+        limit: parseInt(limit)
+      },
+      data: { series: series.map(withLocalStart) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a series with its occurrences
+ */
+export const getEventSeriesController = async (req, res, next) => {
+  try {
+    const series = await findOwnedSeries(req);
+
+    if (!series) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Event series not found'));
+    }
+
+    const occurrences = await findSeriesOccurrences(series.id);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        series: withLocalStart(series),
+        occurrences: occurrences.map(withLocalDates)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a series
+ *
+ * Template changes are copied to future occurrences, except for fields that
+ * were overridden on an occurrence. When the rule changes, future occurrences
+ * that no longer match it are removed unless they have attendees or a moved
+ * date, and the new dates are generated up to the same horizon.
+ */
+export const updateEventSeriesController = async (req, res, next) => {
+  try {
+    const series = await findOwnedSeries(req);
+
+    if (!series) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Event series not found'));
+    }
+
+    const templateUpdates = pickFields(req.body, SERIES_TEMPLATE_FIELDS);
+    const updates = { ...templateUpdates };
+    let recurrence;
+
+    if (req.body.recurrence_rule !== undefined) {
+      recurrence = parseRecurrenceRule(
+        req.body.recurrence_rule,
+        series.start_date,
+        series.timezone || DEFAULT_TIMEZONE
+      );
+      updates.recurrence_rule = toRuleString(recurrence);
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'No series fields to update'));
+    }
+
+    const now = new Date();
+    const futureOccurrences = (await findSeriesOccurrences(series.id, { after: now }))
+      .filter(event => event.status !== 'cancelled');
+
+    // Template changes skip the fields each occurrence overrides
+    const occurrenceUpdates = futureOccurrences.map(event => {
+      const overridden = event.overridden_fields || [];
+      return Object.fromEntries(
+        Object.entries(templateUpdates).filter(([field]) => !overridden.includes(field))
+      );
+    });
+
+    // Checked before anything is saved, so a locked occurrence leaves the series unchanged
+    futureOccurrences.forEach((event, index) => {
+      assertFieldsEditable(event, Object.keys(occurrenceUpdates[index]));
+    });
+
+    let updatedSeries = await updateEventSeries(series.id, updates);
+
+    if (Object.keys(templateUpdates).length > 0) {
+      for (const [index, event] of futureOccurrences.entries()) {
+        const eventUpdates = occurrenceUpdates[index];
+
+        if (Object.keys(eventUpdates).length > 0) {
+          const sequenceUpdate = calendarSequenceUpdate(event, eventUpdates);
+          const updatedEvent = await updateEvent(event.id, {
+            ...eventUpdates,
+            ...sequenceUpdate
+          });
+
+          // Attendees' calendars follow a new venue or link, as for a single occurrence
+          if (sequenceUpdate.calendar_sequence && updatedEvent.status === 'published') {
+            await notifyEventUpdated(updatedEvent).catch(notifyError => {
+              console.error(`Error notifying attendees of event ${updatedEvent.id}:`, notifyError);
+            });
+          }
+        }
+
+        if (eventUpdates.capacity !== undefined) {
+          await promoteFromWaitlistSafely(event.id);
+        }
+      }
+    }
+
+    let removed = 0;
+
+    if (recurrence && updatedSeries.recurrence_rule !== series.recurrence_rule) {
+      const until = new Date(updatedSeries.generated_until || getDefaultHorizon());
+      const matchingKeys = new Set(
+        getOccurrenceDates(recurrence, {
+          from: now,
+          until,
+          excludedDates: updatedSeries.excluded_dates || [],
+          timezone: series.timezone || DEFAULT_TIMEZONE
+        }).map(toOccurrenceKey)
+      );
+
+      const stale = futureOccurrences.filter(event =>
+        !matchingKeys.has(toOccurrenceKey(event.occurrence_date)) &&
+        !(event.overridden_fields || []).includes('start_date')
+      );
+      const attendeeCounts = await getOccurrenceAttendeeCounts(stale.map(event => event.id));
+
+      for (const event of stale) {
+        if (!attendeeCounts[event.id]) {
+          await deleteEvent(event.id);
+          removed += 1;
+        }
+      }
+
+      ({ series: updatedSeries } = await generateOccurrences(updatedSeries, until));
+    }
+
+    const occurrences = await findSeriesOccurrences(series.id);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        series: withLocalStart(updatedSeries),
+        occurrences: occurrences.map(withLocalDates),
+        removedOccurrences: removed
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Generate occurrences of a series up to a date
+ */
+export const generateOccurrencesController = async (req, res, next) => {
+  try {
+    const series = await findOwnedSeries(req);
+
+    if (!series) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Event series not found'));
+    }
+
+    const { created, series: updatedSeries } = await generateOccurrences(
+      series,
+      new Date(req.body.until)
+    );
+
+    res.status(StatusCodes.CREATED).json({
+      status: 'success',
+      results: created.length,
+      data: {
+        series: withLocalStart(updatedSeries),
+        occurrences: created.map(withLocalDates)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Override the date, venue or capacity of one occurrence
+ * Overridden fields are no longer updated from the series.
+ */
+export const updateOccurrenceController = async (req, res, next) => {
+  try {
+    const series = await findOwnedSeries(req);
+
+    if (!series) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Event series not found'));
+    }
+
+    const event = await findEventById(req.params.eventId);
+
+    if (!event || event.series_id !== series.id) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Occurrence not found'));
+    }
+
+    const updates = pickFields(req.body, OCCURRENCE_OVERRIDE_FIELDS);
+
+    for (const field of ['start_date', 'end_date']) {
+      if (updates[field]) {
+        updates[field] = parseDateInTimezone(
+          updates[field],
+          event.timezone || DEFAULT_TIMEZONE
+        ).toISOString();
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'No occurrence fields to update'));
+    }
+
+    assertFieldsEditable(event, Object.keys(updates));
+
+    // Moving the start without an end keeps the occurrence's length
+    if (updates.start_date && !updates.end_date) {
+      const duration = new Date(event.end_date) - new Date(event.start_date);
+      updates.end_date = new Date(new Date(updates.start_date).getTime() + duration).toISOString();
+    }
+
+    if (new Date(updates.end_date || event.end_date) <= new Date(updates.start_date || event.start_date)) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'End date must be after start date'));
+    }
+
+    const overriddenFields = [...new Set([
+      ...(event.overridden_fields || []),
+      ...Object.keys(updates)
+    ])];
+
+    const sequenceUpdate = calendarSequenceUpdate(event, updates);
+    const updatedEvent = await updateEvent(event.id, {
+      ...updates,
+      ...sequenceUpdate,
+      overridden_fields: overriddenFields
+    });
+
+    if (updates.capacity !== undefined) {
+      await promoteFromWaitlistSafely(event.id);
+    }
+
+    if (sequenceUpdate.calendar_sequence && updatedEvent.status === 'published') {
+      await notifyEventUpdated(updatedEvent).catch(notifyError => {
+        console.error(`Error notifying attendees of event ${updatedEvent.id}:`, notifyError);
+      });
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: { event: withLocalDates(updatedEvent) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove one date from a series
+ * The occurrence is deleted, or cancelled if people already registered for it,
+ * in which case they are told as for any cancelled event.
+ */
+export const addSeriesExceptionController = async (req, res, next) => {
+  try {
+    const series = await findOwnedSeries(req);
+
+    if (!series) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Event series not found'));
+    }
+
+    const date = new Date(req.body.date);
+    const timezone = series.timezone || DEFAULT_TIMEZONE;
+    const recurrence = parseRecurrenceRule(series.recurrence_rule, series.start_date, timezone);
+    const [occurrenceDate] = getOccurrenceDates(recurrence, { from: date, until: date, timezone });
+
+    if (!occurrenceDate) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'Date is not an occurrence of this series'));
+    }
+
+    const key = toOccurrenceKey(occurrenceDate);
+    const excludedDates = series.excluded_dates || [];
+
+    if (excludedDates.map(toOccurrenceKey).includes(key)) {
+      return next(createError(StatusCodes.CONFLICT, 'Date is already excluded from this series'));
+    }
+
+    const occurrences = await findSeriesOccurrences(series.id);
+    const event = occurrences.find(occurrence => toOccurrenceKey(occurrence.occurrence_date) === key);
+    const attendeeCounts = event ? await getOccurrenceAttendeeCounts([event.id]) : {};
+    const hasAttendees = Boolean(event && attendeeCounts[event.id]);
+
+    // An occurrence people registered for is cancelled like any event, so fail before changing the series
+    if (hasAttendees && event.status !== 'cancelled') {
+      assertEventAction(event, 'cancel');
+    }
+
+    const updatedSeries = await updateEventSeries(series.id, {
+      excluded_dates: [...excludedDates, key]
+    });
+
+    let occurrence = null;
+
+    if (hasAttendees) {
+      occurrence = event.status === 'cancelled'
+        ? event
+        : (await cancelEvent(event, { reason: 'This date has been removed from the series' })).event;
+    } else if (event) {
+      await deleteEvent(event.id);
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        series: withLocalStart(updatedSeries),
+        cancelledOccurrence: occurrence && withLocalDates(occurrence)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get attendance across all occurrences of a series
+ */
+export const getEventSeriesStatsController = async (req, res, next) => {
+  try {
+    const series = await findOwnedSeries(req);
+
+    if (!series) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Event series not found'));
+    }
+
+    const occurrences = await findSeriesOccurrences(series.id);
+    const attendeeCounts = await getOccurrenceAttendeeCounts(occurrences.map(event => event.id));
+
+    const occurrencesByStatus = {};
+    const attendees = {};
+
+    const perOccurrence = occurrences.map(event => {
+      const counts = attendeeCounts[event.id] || {};
+
+      occurrencesByStatus[event.status] = (occurrencesByStatus[event.status] || 0) + 1;
+      Object.entries(counts).forEach(([status, count]) => {
+        attendees[status] = (attendees[status] || 0) + count;
+      });
+
+      return {
+        id: event.id,
+        start_date: event.start_date,
+        status: event.status,
+        capacity: event.capacity,
+        attendees: counts
+      };
+    });
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        stats: {
+          totalOccurrences: occurrences.length,
+          occurrencesByStatus,
+          attendees,
+          occurrences: perOccurrence
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
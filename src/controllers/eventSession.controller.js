@@ -0,0 +1,367 @@
+import { StatusCodes } from 'http-status-codes';
+import { createError } from '../utils/error.util.js';
+import {
+  DEFAULT_TIMEZONE,
+  parseDateInTimezone,
+  withLocalTimes
+} from '../utils/timezone.util.js';
+import { findAttendeeById } from '../models/attendee.model.js';
+import {
+  createEventSession,
+  findEventSessionById,
+  findEventSessions,
+  updateEventSession,
+  deleteEventSession,
+  getSessionRegistrationCounts,
+  findSessionRegistrations,
+  findSessionRegistration,
+  findAttendeeSessions,
+  registerForSession,
+  deleteSessionRegistration
+} from '../models/eventSession.model.js';
+
+// Fields an organizer can set on a session
+const SESSION_FIELDS = [
+  'title',
+  'description',
+  'track',
+  'room',
+  'speakers',
+  'starts_at',
+  'ends_at',
+  'capacity'
+];
+
+// Attendees in these statuses hold a place at the event
+const SIGN_UP_STATUSES = ['registered', 'checked_in'];
+
+// Session times, read as local time in the event timezone when sent without an offset
+const SESSION_TIME_FIELDS = ['starts_at', 'ends_at'];
+
+/**
+ * Pick the session fields present in the request body
+ * @param {Object} body - Request body
+ * @param {Object} event - Event the session belongs to
+ * @returns {Object} Session fields
+ */
+const pickSessionFields = (body, event) => SESSION_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) {
+    fields[field] = SESSION_TIME_FIELDS.includes(field)
+      ? parseDateInTimezone(body[field], event.timezone || DEFAULT_TIMEZONE).toISOString()
+      : body[field];
+  }
+  return fields;
+}, {});
+
+/**
+ * Check the session as a whole once the changes are applied
+ * @param {Object} session - Session with the changes applied
+ * @param {Object} event - Event the session belongs to
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateSession = (session, event) => {
+  const startsAt = new Date(session.starts_at);
+  const endsAt = new Date(session.ends_at);
+
+  if (endsAt <= startsAt) {
+    return 'Session end must be after its start';
+  }
+
+  if (startsAt < new Date(event.start_date) || endsAt > new Date(event.end_date)) {
+    return 'Session must take place during the event';
+  }
+
+  return null;
+};
+
+/**
+ * Check whether two sessions overlap in time
+ * Back-to-back sessions, where one ends as the next starts, do not clash.
+ * @param {Object} a - Session
+ * @param {Object} b - Session
+ * @returns {boolean} True if they overlap
+ */
+const sessionsOverlap = (a, b) => (
+  new Date(a.starts_at) < new Date(b.ends_at) &&
+  new Date(b.starts_at) < new Date(a.ends_at)
+);
+
+/**
+ * Add local times and sign-up and attendance counts to a session
+ * @param {Object} session - Session record
+ * @param {Object} event - Event the session belongs to
+ * @param {Object} [counts] - { registered, checkedIn } for the session
+ * @returns {Object} Session with counts
+ */
+const withAttendance = (session, event, counts = { registered: 0, checkedIn: 0 }) => ({
+  ...withLocalTimes(session, SESSION_TIME_FIELDS, event.timezone || DEFAULT_TIMEZONE),
+  registered: counts.registered,
+  checked_in: counts.checkedIn,
+  remaining: session.capacity == null
+    ? null
+    : Math.max(session.capacity - counts.registered, 0)
+});
+
+/**
+ * Get the session in the URL or fail with 404
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Session
+ */
+const findRequestSession = async (req) => {
+  const session = await findEventSessionById(req.event.id, req.params.sessionId);
+
+  if (!session) {
+    throw createError(StatusCodes.NOT_FOUND, 'Session not found');
+  }
+
+  return session;
+};
+
+/**
+ * List the agenda of an event with sign-up and attendance counts
+ */
+export const getEventSessionsController = async (req, res, next) => {
+  try {
+    const [sessions, counts] = await Promise.all([
+      findEventSessions(req.event.id, { track: req.query.track }),
+      getSessionRegistrationCounts(req.event.id)
+    ]);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      results: sessions.length,
+      data: {
+        sessions: sessions.map(session => withAttendance(session, req.event, counts[session.id]))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single session with sign-up and attendance counts
+ */
+export const getEventSessionController = async (req, res, next) => {
+  try {
+    const session = await findRequestSession(req);
+    const counts = await getSessionRegistrationCounts(req.event.id);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: { session: withAttendance(session, req.event, counts[session.id]) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a session to the agenda of an event
+ */
+export const createEventSessionController = async (req, res, next) => {
+  try {
+    const sessionData = {
+      speakers: [],
+      ...pickSessionFields(req.body, req.event),
+      event_id: req.event.id
+    };
+
+    const validationError = validateSession(sessionData, req.event);
+    if (validationError) {
+      return next(createError(StatusCodes.BAD_REQUEST, validationError));
+    }
+
+    const session = await createEventSession(sessionData);
+
+    res.status(StatusCodes.CREATED).json({
+      status: 'success',
+      data: { session: withAttendance(session, req.event) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a session
+ * The capacity cannot be lowered below the number of attendees signed up.
+ */
+export const updateEventSessionController = async (req, res, next) => {
+  try {
+    const session = await findRequestSession(req);
+    const updates = pickSessionFields(req.body, req.event);
+
+    if (Object.keys(updates).length === 0) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'No session fields to update'));
+    }
+
+    const validationError = validateSession({ ...session, ...updates }, req.event);
+    if (validationError) {
+      return next(createError(StatusCodes.BAD_REQUEST, validationError));
+    }
+
+    const counts = await getSessionRegistrationCounts(req.event.id);
+    const registered = counts[session.id]?.registered || 0;
+
+    if (updates.capacity != null && updates.capacity < registered) {
+      return next(createError(
+        StatusCodes.CONFLICT,
+        `Capacity cannot be less than the ${registered} attendees already signed up`
+      ));
+    }
+
+    const updatedSession = await updateEventSession(session.id, updates);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: { session: withAttendance(updatedSession, req.event, counts[session.id]) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a session from the agenda along with its sign-ups
+ */
+export const deleteEventSessionController = async (req, res, next) => {
+  try {
+    const session = await findRequestSession(req);
+
+    await deleteEventSession(session.id);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      message: 'Session deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List who signed up for a session and who attended it
+ */
+export const getSessionAttendanceController = async (req, res, next) => {
+  try {
+    const session = await findRequestSession(req);
+    const registrations = await findSessionRegistrations(session.id);
+    const checkedIn = registrations.filter(registration => registration.checked_in_at).length;
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        session: withAttendance(session, req.event, { registered: registrations.length, checkedIn }),
+        registrations
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the personal agenda of an attendee
+ */
+export const getAttendeeSessionsController = async (req, res, next) => {
+  try {
+    const sessions = await findAttendeeSessions(req.attendee.id);
+
+    sessions.sort((a, b) => new Date(a.starts_at) - new Date(b.starts_at));
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      results: sessions.length,
+      data: {
+        sessions: sessions.map(session => (
+          withLocalTimes(session, SESSION_TIME_FIELDS, req.event.timezone || DEFAULT_TIMEZONE)
+        ))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign an attendee up for a session
+ * Attendees cannot sign up for two sessions that overlap in time.
+ */
+export const registerForSessionController = async (req, res, next) => {
+  try {
+    const session = await findRequestSession(req);
+    const attendee = await findAttendeeById(req.body.attendee_id);
+
+    if (!attendee || attendee.event_id !== req.event.id) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Attendee not found'));
+    }
+
+    if (!SIGN_UP_STATUSES.includes(attendee.status)) {
+      return next(createError(
+        StatusCodes.BAD_REQUEST,
+        'Only attendees with a place at the event can sign up for sessions'
+      ));
+    }
+
+    const attendeeSessions = await findAttendeeSessions(attendee.id);
+
+    if (attendeeSessions.some(signedUp => signedUp.id === session.id)) {
+      return next(createError(StatusCodes.CONFLICT, 'Attendee is already signed up for this session'));
+    }
+
+    const clash = attendeeSessions.find(signedUp => sessionsOverlap(signedUp, session));
+    if (clash) {
+      return next(createError(
+        StatusCodes.CONFLICT,
+        `Session clashes with "${clash.title}", which the attendee is already signed up for`,
+        [{ sessionId: clash.id, title: clash.title, starts_at: clash.starts_at, ends_at: clash.ends_at }],
+        'SESSION_CLASH'
+      ));
+    }
+
+    const registration = await registerForSession({
+      session_id: session.id,
+      event_id: req.event.id,
+      attendee_id: attendee.id
+    });
+
+    if (!registration) {
+      return next(createError(StatusCodes.CONFLICT, 'Session is full', [], 'SESSION_FULL'));
+    }
+
+    res.status(StatusCodes.CREATED).json({
+      status: 'success',
+      data: { registration }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove an attendee's sign-up for a session
+ */
+export const cancelSessionRegistrationController = async (req, res, next) => {
+  try {
+    const session = await findRequestSession(req);
+    const registration = await findSessionRegistration(session.id, req.params.attendeeId);
+
+    if (!registration) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Attendee is not signed up for this session'));
+    }
+
+    if (registration.checked_in_at) {
+      return next(createError(StatusCodes.CONFLICT, 'Attendee has already attended this session'));
+    }
+
+    await deleteSessionRegistration(registration.id);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      message: 'Session sign-up cancelled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,204 @@
+import { StatusCodes } from 'http-status-codes';
+import { createError } from '../utils/error.util.js';
+import {
+  createEventMember,
+  findEventMemberById,
+  findEventMemberByEmail,
+  findEventMemberByInviteToken,
+  findEventMembers,
+  updateEventMember,
+  deleteEventMember
+} from '../models/eventMember.model.js';
+import { findEventById } from '../models/event.model.js';
+import OrganizerService, { findOrganizerByEmail } from '../services/organizer.service.js';
+import { generateOneTimeToken, hashToken } from '../utils/token.util.js';
+import { sendEventInvitationEmail } from '../utils/email.util.js';
+
+// Team invitations are valid for 7 days
+const INVITATION_EXPIRES_IN_DAYS = 7;
+
+/**
+ * Strip the invitation token hash from a member record
+ * @param {Object} member - Member record
+ * @returns {Object} Member without secrets
+ */
+const sanitizeMember = ({ invite_token, ...member }) => member;
+
+/**
+ * Get the team of an event, including its owner
+ */
+export const getMembersController = async (req, res, next) => {
+  try {
+    const { event } = req;
+
+    const [owner, members] = await Promise.all([
+      OrganizerService.getOrganizerById(event.organizer_id),
+      findEventMembers(event.id)
+    ]);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      results: members.length + 1,
+      data: {
+        members: [
+          {
+            organizer_id: owner.id,
+            email: owner.email,
+            role: 'owner',
+            status: 'active'
+          },
+          ...members
+        ]
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Invite someone to the event team by email
+ */
+export const inviteMemberController = async (req, res, next) => {
+  try {
+    const { event } = req;
+    const email = req.body.email.toLowerCase();
+    const { role } = req.body;
+
+    const existingMember = await findEventMemberByEmail(event.id, email);
+    if (existingMember) {
+      return next(createError(StatusCodes.CONFLICT, 'This email is already on the event team'));
+    }
+
+    const [inviter, invitee] = await Promise.all([
+      OrganizerService.getOrganizerById(req.user.id),
+      findOrganizerByEmail(email)
+    ]);
+
+    if (invitee && invitee.id === event.organizer_id) {
+      return next(createError(StatusCodes.CONFLICT, 'The event owner is already on the team'));
+    }
+
+    const { token, hashedToken } = generateOneTimeToken();
+
+    const member = await createEventMember({
+      event_id: event.id,
+      organizer_id: invitee ? invitee.id : null,
+      email,
+      role,
+      status: 'invited',
+      invited_by: req.user.id,
+      invite_token: hashedToken,
+      invite_expires_at: new Date(
+        Date.now() + INVITATION_EXPIRES_IN_DAYS * 24 * 60 * 60 * 1000
+      ).toISOString()
+    });
+
+    try {
+      await sendEventInvitationEmail({
+        to: email,
+        inviterName: inviter.name,
+        eventName: event.title,
+        role,
+        acceptUrl: `${process.env.FRONTEND_URL}/invitations/accept?token=${token}`
+      });
+    } catch (emailError) {
+      console.error('Error sending invitation email:', emailError);
+    }
+
+    res.status(StatusCodes.CREATED).json({
+      status: 'success',
+      data: { member: sanitizeMember(member) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accept an event team invitation
+ */
+export const acceptInvitationController = async (req, res, next) => {
+  try {
+    const member = await findEventMemberByInviteToken(hashToken(req.body.token));
+
+    if (!member || new Date(member.invite_expires_at) < new Date()) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'Invalid or expired invitation'));
+    }
+
+    if (member.email !== req.user.email.toLowerCase()) {
+      return next(createError(
+        StatusCodes.FORBIDDEN,
+        'This invitation was sent to a different email address'
+      ));
+    }
+
+    const updatedMember = await updateEventMember(member.id, {
+      organizer_id: req.user.id,
+      status: 'active',
+      accepted_at: new Date().toISOString(),
+      invite_token: null,
+      invite_expires_at: null
+    });
+
+    const event = await findEventById(member.event_id);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        member: sanitizeMember(updatedMember),
+        event: event ? { id: event.id, title: event.title } : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change the role of a team member
+ */
+export const updateMemberController = async (req, res, next) => {
+  try {
+    const { event } = req;
+    const { memberId } = req.params;
+
+    const member = await findEventMemberById(event.id, memberId);
+    if (!member) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Team member not found'));
+    }
+
+    const updatedMember = await updateEventMember(member.id, { role: req.body.role });
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: { member: sanitizeMember(updatedMember) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a team member or cancel an invitation
+ */
+export const removeMemberController = async (req, res, next) => {
+  try {
+    const { event } = req;
+    const { memberId } = req.params;
+
+    const member = await findEventMemberById(event.id, memberId);
+    if (!member) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Team member not found'));
+    }
+
+    await deleteEventMember(member.id);
+
+    res.status(StatusCodes.NO_CONTENT).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
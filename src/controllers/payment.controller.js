@@ -131,7 +131,7 @@ export const createTicketPaymentLink = async (req, res, next) => {
     
     // Verify the attendee exists
     const attendee = await findAttendeeById(attendeeId);
-    if (!attendee) {
+    if (!attendee || attendee.event_id !== eventId) {
       return next(createError(StatusCodes.NOT_FOUND, 'Attendee not found'));
     }
     
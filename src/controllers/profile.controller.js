@@ -0,0 +1,464 @@
+import bcrypt from 'bcryptjs';
+import archiver from 'archiver';
+import { StatusCodes } from 'http-status-codes';
+import OrganizerService, { findOrganizerByEmail } from '../services/organizer.service.js';
+import { revokeAllSessions } from '../services/session.service.js';
+import {
+  collectOrganizerData,
+  scheduleAccountDeletion,
+  cancelAccountDeletion
+} from '../services/account.service.js';
+import { generateActionToken, verifyActionToken } from '../utils/jwt.utils.js';
+import { uploadFile, deleteFile } from '../utils/storage.util.js';
+import { exportAttendees, exportToCSV, cleanupExportFile } from '../utils/export.util.js';
+import { sendEmailChangeEmail, sendAccountDeletionScheduledEmail } from '../utils/email.util.js';
+import { createError } from '../utils/error.util.js';
+import { ALLOWED_IMAGE_TYPES, IMAGE_EXTENSIONS, sniffImageType } from '../utils/image.util.js';
+import { generateOneTimeToken } from '../utils/token.util.js';
+
+// Email change links are valid for 24 hours
+const EMAIL_CHANGE_EXPIRES_IN_HOURS = 24;
+
+// Storage bucket for organizer avatars
+const AVATAR_BUCKET = 'avatars';
+
+// Days an account can still be restored after a deletion request
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+
+// Columns of payments.csv in the data export
+const PAYMENT_EXPORT_HEADERS = [
+  { id: 'id', title: 'ID' },
+  { id: 'event_id', title: 'Event ID' },
+  { id: 'attendee_id', title: 'Attendee ID' },
+  { id: 'order_id', title: 'Order ID' },
+  { id: 'payment_id', title: 'Payment ID' },
+  { id: 'amount', title: 'Amount' },
+  { id: 'currency', title: 'Currency' },
+  { id: 'status', title: 'Status' },
+  { id: 'payment_method', title: 'Payment Method' },
+  { id: 'refund_id', title: 'Refund ID' },
+  { id: 'created_at', title: 'Created At' },
+];
+
+/**
+ * Shape an organizer record for API responses
+ * @param {Object} organizer - Organizer record
+ * @returns {Object} Public profile
+ */
+const toProfile = (organizer) => ({
+  id: organizer.id,
+  name: organizer.name,
+  email: organizer.email,
+  company: organizer.company,
+  phone: organizer.phone,
+  avatarUrl: organizer.avatar_url || null,
+  role: organizer.role,
+  status: organizer.status,
+  deletionScheduledFor: organizer.deletion_scheduled_for || null,
+  calendarFeedEnabled: Boolean(organizer.calendar_feed_token),
+  createdAt: organizer.created_at,
+  updatedAt: organizer.updated_at
+});
+
+/**
+ * Get current organizer profile
+ */
+export const getMe = async (req, res, next) => {
+  try {
+    const organizer = await OrganizerService.getOrganizerById(req.user.id);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        organizer: toProfile(organizer)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update name, phone and company of the current organizer
+ */
+export const updateProfileController = async (req, res, next) => {
+  try {
+    const updates = {};
+
+    ['name', 'phone', 'company'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    if (Object.keys(updates).length === 0) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'No profile fields to update'));
+    }
+
+    const organizer = await OrganizerService.updateOrganizer(req.user.id, {
+      ...updates,
+      updated_at: new Date().toISOString()
+    });
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        organizer: toProfile(organizer)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change the password of the current organizer
+ * Other sessions are signed out; the current one stays signed in.
+ */
+export const changePasswordController = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const organizer = await OrganizerService.getOrganizerById(req.user.id);
+
+    const isPasswordValid = await bcrypt.compare(currentPassword, organizer.password);
+    if (!isPasswordValid) {
+      return next(createError(StatusCodes.UNAUTHORIZED, 'Current password is incorrect'));
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(newPassword, salt);
+    const now = new Date().toISOString();
+
+    await OrganizerService.updateOrganizer(organizer.id, {
+      password: hashedPassword,
+      password_changed_at: now,
+      updated_at: now
+    });
+
+    const revoked = await revokeAllSessions(organizer.id, req.user.sid);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      message: 'Password changed successfully',
+      data: { revokedSessions: revoked }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Request an email change
+ * The address only changes once the link sent to the new address is opened.
+ */
+export const requestEmailChangeController = async (req, res, next) => {
+  try {
+    const { newEmail, password } = req.body;
+
+    const organizer = await OrganizerService.getOrganizerById(req.user.id);
+
+    const isPasswordValid = await bcrypt.compare(password, organizer.password);
+    if (!isPasswordValid) {
+      return next(createError(StatusCodes.UNAUTHORIZED, 'Password is incorrect'));
+    }
+
+    if (newEmail === organizer.email) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'This is already your email address'));
+    }
+
+    const existingOrganizer = await findOrganizerByEmail(newEmail);
+    if (existingOrganizer) {
+      return next(createError(StatusCodes.CONFLICT, 'Email already registered'));
+    }
+
+    const token = generateActionToken(
+      'email_change',
+      { id: organizer.id, email: organizer.email, newEmail },
+      `${EMAIL_CHANGE_EXPIRES_IN_HOURS}h`
+    );
+    const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
+    await sendEmailChangeEmail({
+      to: newEmail,
+      name: organizer.name,
+      confirmUrl: `${baseUrl}/api/auth/confirm-email-change?token=${token}`,
+      expiresInHours: EMAIL_CHANGE_EXPIRES_IN_HOURS
+    });
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      message: `A confirmation link has been sent to ${newEmail}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm an email change from the link sent to the new address
+ * All sessions are signed out because their tokens carry the old address.
+ */
+export const confirmEmailChangeController = async (req, res, next) => {
+  try {
+    let decoded;
+    try {
+      decoded = verifyActionToken(req.query.token, 'email_change');
+    } catch (error) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'Invalid or expired confirmation link'));
+    }
+
+    const organizer = await OrganizerService.getOrganizerById(decoded.id);
+
+    // The address changed again since the link was issued
+    if (organizer.email !== decoded.email) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'Invalid or expired confirmation link'));
+    }
+
+    const existingOrganizer = await findOrganizerByEmail(decoded.newEmail);
+    if (existingOrganizer) {
+      return next(createError(StatusCodes.CONFLICT, 'Email already registered'));
+    }
+
+    const now = new Date().toISOString();
+    await OrganizerService.updateOrganizer(organizer.id, {
+      email: decoded.newEmail,
+      email_verified_at: now,
+      updated_at: now
+    });
+
+    await revokeAllSessions(organizer.id);
+
+    res.clearCookie('refreshToken');
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      message: 'Email address updated. Please log in with your new address'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Upload a new avatar for the current organizer
+ */
+export const uploadAvatarController = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'No avatar file uploaded'));
+    }
+
+    // The stored type and extension come from the file's bytes, not what the client declared
+    const mimeType = sniffImageType(req.file.buffer);
+    if (!mimeType) {
+      return next(createError(
+        StatusCodes.UNSUPPORTED_MEDIA_TYPE,
+        `Invalid file type. Allowed types: ${ALLOWED_IMAGE_TYPES.join(', ')}`
+      ));
+    }
+
+    const organizer = await OrganizerService.getOrganizerById(req.user.id);
+
+    const { path: avatarPath, url } = await uploadFile(
+      AVATAR_BUCKET,
+      `${organizer.id}/${Date.now()}${IMAGE_EXTENSIONS[mimeType]}`,
+      req.file.buffer,
+      mimeType
+    );
+
+    const updatedOrganizer = await OrganizerService.updateOrganizer(organizer.id, {
+      avatar_url: url,
+      avatar_path: avatarPath,
+      updated_at: new Date().toISOString()
+    });
+
+    // Remove the previous avatar; a leftover file is not worth failing the request
+    if (organizer.avatar_path) {
+      try {
+        await deleteFile(AVATAR_BUCKET, organizer.avatar_path);
+      } catch (deleteError) {
+        console.error('Error deleting previous avatar:', deleteError);
+      }
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        organizer: toProfile(updatedOrganizer)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download everything stored about the current organizer
+ * Returns a ZIP archive by default, or a single JSON document with ?format=json.
+ */
+export const exportAccountDataController = async (req, res, next) => {
+  try {
+    const organizer = await OrganizerService.getOrganizerById(req.user.id);
+    const { events, attendees, payments } = await collectOrganizerData(organizer.id);
+    const exportedAt = new Date().toISOString();
+
+    if (req.query.format === 'json') {
+      res.attachment('account-data.json');
+      return res.status(StatusCodes.OK).json({
+        exportedAt,
+        profile: toProfile(organizer),
+        events,
+        attendees,
+        payments
+      });
+    }
+
+    // Attendee dates are shown in the timezone of their event
+    const eventTimezones = Object.fromEntries(events.map(event => [event.id, event.timezone]));
+
+    const [attendeesFile, paymentsFile] = await Promise.all([
+      exportAttendees(attendees, 'csv', 'attendees', attendee => eventTimezones[attendee.event_id]),
+      exportToCSV(payments, PAYMENT_EXPORT_HEADERS, 'payments')
+    ]);
+
+    // The CSVs are read while the archive streams, so remove them only afterwards
+    res.on('close', () => {
+      cleanupExportFile(attendeesFile.filePath);
+      cleanupExportFile(paymentsFile.filePath);
+    });
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    archive.on('error', (error) => {
+      console.error('Error building account export:', error);
+      res.destroy(error);
+    });
+
+    res.attachment('account-data.zip');
+    archive.pipe(res);
+
+    archive.append(
+      JSON.stringify({ exportedAt, profile: toProfile(organizer) }, null, 2),
+      { name: 'profile.json' }
+    );
+    archive.append(JSON.stringify(events, null, 2), { name: 'events.json' });
+    archive.file(attendeesFile.filePath, { name: 'attendees.csv' });
+    archive.file(paymentsFile.filePath, { name: 'payments.csv' });
+
+    await archive.finalize();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Schedule the current organizer's account for deletion
+ * The account stays usable, and the deletion can be cancelled, until the grace period ends.
+ */
+export const deleteAccountController = async (req, res, next) => {
+  try {
+    const organizer = await OrganizerService.getOrganizerById(req.user.id);
+
+    const isPasswordValid = await bcrypt.compare(req.body.password, organizer.password);
+    if (!isPasswordValid) {
+      return next(createError(StatusCodes.UNAUTHORIZED, 'Password is incorrect'));
+    }
+
+    if (organizer.deletion_scheduled_for) {
+      return next(createError(StatusCodes.CONFLICT, 'Account deletion is already scheduled'));
+    }
+
+    const scheduledFor = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    const updatedOrganizer = await scheduleAccountDeletion(organizer.id, scheduledFor);
+
+    try {
+      await sendAccountDeletionScheduledEmail({
+        to: organizer.email,
+        name: organizer.name,
+        deletionDate: scheduledFor.toDateString()
+      });
+    } catch (emailError) {
+      console.error('Error sending account deletion email:', emailError);
+    }
+
+    res.status(StatusCodes.ACCEPTED).json({
+      status: 'success',
+      message: `Your account will be deleted on ${scheduledFor.toDateString()}`,
+      data: {
+        organizer: toProfile(updatedOrganizer)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a scheduled deletion of the current organizer's account
+ */
+export const cancelAccountDeletionController = async (req, res, next) => {
+  try {
+    const organizer = await cancelAccountDeletion(req.user.id);
+
+    if (!organizer) {
+      return next(createError(StatusCodes.CONFLICT, 'No account deletion is scheduled'));
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      message: 'Account deletion cancelled',
+      data: {
+        organizer: toProfile(organizer)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a calendar feed URL for the current organizer's events
+ * Creating a new URL stops the previous one from working. Only the token's hash
+ * is stored, so the URL is shown once.
+ */
+export const createCalendarFeedController = async (req, res, next) => {
+  try {
+    const { token, hashedToken } = generateOneTimeToken();
+
+    await OrganizerService.updateOrganizer(req.user.id, {
+      calendar_feed_token: hashedToken
+    });
+
+    const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+    const url = `${baseUrl}/api/calendar/feeds/${token}.ics`;
+
+    res.status(StatusCodes.CREATED).json({
+      status: 'success',
+      message: 'Subscribe to this URL in your calendar app. It will not be shown again.',
+      data: {
+        url,
+        webcalUrl: url.replace(/^https?:/, 'webcal:')
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Turn off the current organizer's calendar feed
+ */
+export const deleteCalendarFeedController = async (req, res, next) => {
+  try {
+    await OrganizerService.updateOrganizer(req.user.id, {
+      calendar_feed_token: null
+    });
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      message: 'Calendar feed turned off'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
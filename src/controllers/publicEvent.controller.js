@@ -0,0 +1,174 @@
+import { StatusCodes } from 'http-status-codes';
+import { createError } from '../utils/error.util.js';
+import {
+  listPublishedEvents,
+  findPublishedEventBySlug
+} from '../services/publicEvent.service.js';
+import { findTicketTypesByEvent, getTicketTypeSoldCounts } from '../models/ticketType.model.js';
+import { findEventSessions } from '../models/eventSession.model.js';
+import { findEventImages } from '../models/eventImage.model.js';
+import { toZonedISOString, withLocalDates } from '../utils/timezone.util.js';
+import { createCalendar } from '../utils/calendar.util.js';
+
+// Shared caches may serve a listing for a minute, and a stale copy while revalidating
+const LIST_CACHE_CONTROL = 'public, max-age=60, stale-while-revalidate=300';
+const EVENT_CACHE_CONTROL = 'public, max-age=300, stale-while-revalidate=600';
+
+/**
+ * Shape a ticket type for the public event page
+ * @param {Object} ticketType - Ticket type record
+ * @param {number} sold - Tickets sold
+ * @param {Date} now - Reference time for the sales window
+ * @returns {Object} Public ticket type
+ */
+const toPublicTicketType = (ticketType, sold = 0, now = new Date()) => {
+  const remaining = ticketType.quantity_available == null
+    ? null
+    : Math.max(ticketType.quantity_available - sold, 0);
+  const salesOpen = (!ticketType.sales_start || new Date(ticketType.sales_start) <= now) &&
+    (!ticketType.sales_end || new Date(ticketType.sales_end) > now);
+
+  return {
+    id: ticketType.id,
+    name: ticketType.name,
+    description: ticketType.description,
+    price: ticketType.price,
+    currency: ticketType.currency,
+    min_per_order: ticketType.min_per_order,
+    max_per_order: ticketType.max_per_order,
+    sales_start: ticketType.sales_start,
+    sales_end: ticketType.sales_end,
+    remaining,
+    on_sale: salesOpen && remaining !== 0
+  };
+};
+
+/**
+ * Shape a session for the public agenda
+ * @param {Object} session - Session record
+ * @param {string} timezone - Event timezone
+ * @returns {Object} Public session
+ */
+const toPublicSession = (session, timezone) => ({
+  id: session.id,
+  title: session.title,
+  description: session.description,
+  track: session.track,
+  room: session.room,
+  speakers: session.speakers,
+  starts_at: session.starts_at,
+  ends_at: session.ends_at,
+  starts_at_local: toZonedISOString(session.starts_at, timezone),
+  ends_at_local: toZonedISOString(session.ends_at, timezone)
+});
+
+/**
+ * Shape a gallery image for the public event page, without storage paths
+ * @param {Object} image - Image record
+ * @returns {Object} Public image
+ */
+const toPublicImage = (image) => ({
+  id: image.id,
+  alt_text: image.alt_text,
+  is_cover: image.is_cover,
+  variants: Object.fromEntries(
+    Object.entries(image.variants).map(([name, { url, width, height }]) => [name, { url, width, height }])
+  )
+});
+
+/**
+ * List published events for the public website
+ */
+export const getPublicEventsController = async (req, res, next) => {
+  try {
+    const { search, category, city, online, from, to, page = 1, limit = 20 } = req.query;
+
+    const { events, total } = await listPublishedEvents({
+      search,
+      category,
+      city,
+      online,
+      from,
+      to,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.set('Cache-Control', LIST_CACHE_CONTROL);
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit),
+        limit: parseInt(limit)
+      },
+      data: { events: events.map(withLocalDates) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a published event by slug with its public ticket types, agenda and images
+ */
+export const getPublicEventController = async (req, res, next) => {
+  try {
+    const event = await findPublishedEventBySlug(req.params.slug);
+
+    if (!event) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Event not found'));
+    }
+
+    const [ticketTypes, soldCounts, sessions, images] = await Promise.all([
+      findTicketTypesByEvent(event.id, { visibility: 'public' }),
+      getTicketTypeSoldCounts(event.id),
+      findEventSessions(event.id),
+      findEventImages(event.id)
+    ]);
+
+    const now = new Date();
+    const localEvent = withLocalDates(event);
+
+    const lastModified = event.updated_at || event.published_at;
+
+    res.set('Cache-Control', EVENT_CACHE_CONTROL);
+    if (lastModified) {
+      res.set('Last-Modified', new Date(lastModified).toUTCString());
+    }
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        event: localEvent,
+        ticketTypes: ticketTypes.map(ticketType => (
+          toPublicTicketType(ticketType, soldCounts[ticketType.id], now)
+        )),
+        sessions: sessions.map(session => toPublicSession(session, localEvent.timezone)),
+        images: images.map(toPublicImage)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download a published event as an iCalendar file
+ */
+export const getPublicEventCalendarController = async (req, res, next) => {
+  try {
+    const event = await findPublishedEventBySlug(req.params.slug);
+
+    if (!event) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Event not found'));
+    }
+
+    res.set('Cache-Control', EVENT_CACHE_CONTROL);
+    res.attachment(`${event.slug}.ics`);
+    res.type('text/calendar; charset=utf-8');
+    res.status(StatusCodes.OK).send(createCalendar([event]));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -2,8 +2,109 @@ import { StatusCodes } from 'http-status-codes';
 import { verifyQRCode } from '../utils/qr.util.js';
 import { findAttendeeById, updateAttendee } from '../models/attendee.model.js';
 import { findEventById } from '../models/event.model.js';
+import {
+  findEventSessionById,
+  findSessionRegistration,
+  registerForSession,
+  checkInSessionRegistration
+} from '../models/eventSession.model.js';
 import { createError } from '../utils/error.util.js';
 import { sendCheckInConfirmation } from '../utils/email.util.js';
+import { getRequestEventRole } from '../middleware/auth.middleware.js';
+import { hasEventPermission } from '../utils/permissions.util.js';
+import { formatInTimezone } from '../utils/timezone.util.js';
+import { supabase } from '../app.js';
+
+// Attendees in these statuses have not been given a place yet
+const WAITLIST_STATUSES = ['waitlisted', 'offered'];
+
+/**
+ * Record who performed a check-in
+ * @param {Object} req - Express request object
+ * @param {string} fallback - Value used when the caller is unknown
+ * @returns {string} Organizer ID, scanner device reference or fallback
+ */
+const getCheckedInBy = (req, fallback) => {
+  if (req.scanDevice) {
+    return `device:${req.scanDevice.id}`;
+  }
+
+  return req.user?.id || fallback;
+};
+
+/**
+ * Check an attendee in to a session and send the response
+ * Attendees must have signed up for sessions with a capacity; sessions without
+ * one accept walk-ins, who are signed up at the door.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} attendee - Attendee record
+ * @param {Object} session - Session of the attendee's event
+ * @param {string} fallback - Checked in by value used when the caller is unknown
+ */
+const checkInToSession = async (req, res, attendee, session, fallback) => {
+  if (attendee.status === 'cancelled') {
+    throw createError(StatusCodes.BAD_REQUEST, 'Cannot check in a cancelled attendee');
+  }
+
+  if (WAITLIST_STATUSES.includes(attendee.status)) {
+    throw createError(StatusCodes.BAD_REQUEST, 'Cannot check in an attendee on the waitlist');
+  }
+
+  let registration = await findSessionRegistration(session.id, attendee.id);
+
+  if (registration?.checked_in_at) {
+    return res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        attendee,
+        session,
+        message: 'Attendee already checked in to this session',
+        checkInTime: registration.checked_in_at,
+        isDuplicate: true
+      }
+    });
+  }
+
+  if (!registration) {
+    if (session.capacity != null) {
+      throw createError(
+        StatusCodes.BAD_REQUEST,
+        'Attendee is not signed up for this session',
+        [],
+        'NOT_SIGNED_UP'
+      );
+    }
+
+    registration = await registerForSession({
+      session_id: session.id,
+      event_id: session.event_id,
+      attendee_id: attendee.id
+    });
+  }
+
+  const updatedRegistration = await checkInSessionRegistration(
+    registration.id,
+    getCheckedInBy(req, fallback)
+  );
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    data: {
+      attendee,
+      session: {
+        id: session.id,
+        title: session.title,
+        room: session.room,
+        starts_at: session.starts_at,
+        ends_at: session.ends_at
+      },
+      registration: updatedRegistration,
+      message: 'Session check-in successful',
+      timestamp: new Date().toISOString()
+    }
+  });
+};
 
 /**
  * Scan and verify a QR code for attendee check-in
@@ -39,6 +140,20 @@ export const scanQRCode = async (req, res, next) => {
     if (!event) {
       return next(createError(StatusCodes.NOT_FOUND, 'Event not found'));
     }
+
+    // The ticket must belong to the event it claims to be for
+    if (attendee.event_id !== event.id) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'Ticket does not belong to this event'));
+    }
+
+    if (event.status === 'cancelled') {
+      return next(createError(StatusCodes.BAD_REQUEST, 'This event has been cancelled'));
+    }
+
+    const eventRole = await getRequestEventRole(req, event);
+    if (!hasEventPermission(eventRole, 'attendees:checkin')) {
+      return next(createError(StatusCodes.FORBIDDEN, 'Not authorized to check in attendees for this event'));
+    }
     
     // Check if attendee is already checked in
     if (attendee.status === 'checked_in') {
@@ -54,11 +169,16 @@ export const scanQRCode = async (req, res, next) => {
       });
     }
     
+    // Waitlisted attendees have no place at the event yet
+    if (WAITLIST_STATUSES.includes(attendee.status)) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'Cannot check in an attendee on the waitlist'));
+    }
+    
     // Update attendee status to checked in
     const updatedAttendee = await updateAttendee(attendee.id, {
       status: 'checked_in',
       check_in_time: new Date().toISOString(),
-      checked_in_by: req.user?.id || 'system'
+      checked_in_by: getCheckedInBy(req, 'system')
     });
     
     // Send check-in confirmation email (async, don't wait for it)
@@ -68,7 +188,7 @@ export const scanQRCode = async (req, res, next) => {
           to: attendee.email,
           attendeeName: attendee.name,
           eventName: event.title,
-          checkInTime: new Date().toLocaleString(),
+          checkInTime: formatInTimezone(updatedAttendee.check_in_time, event.timezone),
         });
       } catch (emailError) {
         console.error('Error sending check-in confirmation email:', emailError);
@@ -135,7 +255,7 @@ export const getAttendeeForCheckIn = async (req, res, next) => {
         },
         event: attendee.event,
         isCheckedIn: attendee.status === 'checked_in',
-        canCheckIn: attendee.status !== 'cancelled'
+        canCheckIn: attendee.status !== 'cancelled' && !WAITLIST_STATUSES.includes(attendee.status)
       }
     });
     
@@ -177,15 +297,23 @@ export const manualCheckIn = async (req, res, next) => {
     if (attendee.status === 'cancelled') {
       return next(createError(StatusCodes.BAD_REQUEST, 'Cannot check in a cancelled attendee'));
     }
+
+    if (WAITLIST_STATUSES.includes(attendee.status)) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'Cannot check in an attendee on the waitlist'));
+    }
     
     // Get event details for email
     const event = await findEventById(attendee.event_id);
+
+    if (event?.status === 'cancelled') {
+      return next(createError(StatusCodes.BAD_REQUEST, 'This event has been cancelled'));
+    }
     
     // Update attendee status to checked in
     const updatedAttendee = await updateAttendee(attendeeId, {
       status: 'checked_in',
       check_in_time: new Date().toISOString(),
-      checked_in_by: req.user?.id || 'manual'
+      checked_in_by: getCheckedInBy(req, 'manual')
     });
     
     // Send check-in confirmation email (async, don't wait for it)
@@ -195,7 +323,7 @@ export const manualCheckIn = async (req, res, next) => {
           to: attendee.email,
           attendeeName: attendee.name,
           eventName: event.title,
-          checkInTime: new Date().toLocaleString(),
+          checkInTime: formatInTimezone(updatedAttendee.check_in_time, event.timezone),
         });
       } catch (emailError) {
         console.error('Error sending check-in confirmation email:', emailError);
@@ -222,3 +350,79 @@ export const manualCheckIn = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Scan an attendee's QR code at the door of a session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const scanSessionQRCode = async (req, res, next) => {
+  try {
+    const qrInfo = verifyQRCode(req.body.qrData);
+
+    if (!qrInfo.isValid) {
+      return next(createError(StatusCodes.BAD_REQUEST, qrInfo.error || 'Invalid QR code'));
+    }
+
+    const [attendee, event, session] = await Promise.all([
+      findAttendeeById(qrInfo.attendeeId),
+      findEventById(qrInfo.eventId),
+      findEventSessionById(qrInfo.eventId, req.params.sessionId)
+    ]);
+
+    if (!attendee) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Attendee not found'));
+    }
+
+    if (!event) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Event not found'));
+    }
+
+    if (attendee.event_id !== event.id) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'Ticket does not belong to this event'));
+    }
+
+    const eventRole = await getRequestEventRole(req, event);
+    if (!hasEventPermission(eventRole, 'attendees:checkin')) {
+      return next(createError(StatusCodes.FORBIDDEN, 'Not authorized to check in attendees for this event'));
+    }
+
+    if (event.status === 'cancelled') {
+      return next(createError(StatusCodes.BAD_REQUEST, 'This event has been cancelled'));
+    }
+
+    // A session of another event means the ticket was scanned at the wrong door
+    if (!session) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Session not found for this ticket\'s event'));
+    }
+
+    await checkInToSession(req, res, attendee, session, 'system');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Manually check in an attendee to a session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const manualSessionCheckIn = async (req, res, next) => {
+  try {
+    if (req.event.status === 'cancelled') {
+      return next(createError(StatusCodes.BAD_REQUEST, 'This event has been cancelled'));
+    }
+
+    const session = await findEventSessionById(req.event.id, req.params.sessionId);
+
+    if (!session) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Session not found'));
+    }
+
+    await checkInToSession(req, res, req.attendee, session, 'manual');
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,119 @@
+import { StatusCodes } from 'http-status-codes';
+import { createError } from '../utils/error.util.js';
+import {
+  createScannerDevice,
+  findScannerDeviceById,
+  findScannerDevices,
+  updateScannerDevice
+} from '../models/scannerDevice.model.js';
+import { generateOneTimeToken, SCANNER_TOKEN_PREFIX } from '../utils/token.util.js';
+
+// Doors usually open before the event starts and stragglers arrive late
+const EVENT_WINDOW_GRACE_HOURS = 2;
+
+/**
+ * Work out the validity window of a new device
+ * @param {Object} event - Event record
+ * @param {Object} options - Request options
+ * @param {boolean} [options.limitToEventWindow] - Only valid around the event dates
+ * @param {string} [options.validUntil] - Explicit expiry date
+ * @returns {Object} valid_from and valid_until (null when unbounded)
+ */
+const getValidityWindow = (event, { limitToEventWindow, validUntil }) => {
+  const grace = EVENT_WINDOW_GRACE_HOURS * 60 * 60 * 1000;
+  let validFrom = null;
+  let expiresAt = validUntil ? new Date(validUntil) : null;
+
+  if (limitToEventWindow) {
+    const start = new Date(event.start_date);
+    const end = new Date(event.end_date || event.start_date);
+
+    validFrom = new Date(start.getTime() - grace);
+    const windowEnd = new Date(end.getTime() + grace);
+    expiresAt = expiresAt && expiresAt < windowEnd ? expiresAt : windowEnd;
+  }
+
+  return {
+    valid_from: validFrom ? validFrom.toISOString() : null,
+    valid_until: expiresAt ? expiresAt.toISOString() : null
+  };
+};
+
+/**
+ * List the scanner devices of an event
+ */
+export const getScannerDevicesController = async (req, res, next) => {
+  try {
+    const devices = await findScannerDevices(req.event.id);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      results: devices.length,
+      data: { devices }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mint a scan-only token for a door device
+ * The plain token is only returned once.
+ */
+export const createScannerDeviceController = async (req, res, next) => {
+  try {
+    const { event } = req;
+    const window = getValidityWindow(event, req.body);
+
+    if (window.valid_until && new Date(window.valid_until) <= new Date()) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'Device token would already be expired'));
+    }
+
+    const { token, hashedToken } = generateOneTimeToken();
+    const deviceToken = `${SCANNER_TOKEN_PREFIX}${token}`;
+
+    const device = await createScannerDevice({
+      event_id: event.id,
+      name: req.body.name,
+      token_hash: hashedToken,
+      created_by: req.user.id,
+      ...window
+    });
+
+    res.status(StatusCodes.CREATED).json({
+      status: 'success',
+      message: 'Store this token on the device now; it will not be shown again',
+      data: {
+        device,
+        token: deviceToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a scanner device
+ */
+export const revokeScannerDeviceController = async (req, res, next) => {
+  try {
+    const device = await findScannerDeviceById(req.event.id, req.params.deviceId);
+
+    if (!device) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Scanner device not found'));
+    }
+
+    const revokedDevice = device.revoked_at
+      ? device
+      : await updateScannerDevice(device.id, { revoked_at: new Date().toISOString() });
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      message: 'Scanner device revoked',
+      data: { device: revokedDevice }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
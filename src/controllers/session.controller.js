@@ -0,0 +1,72 @@
+import { StatusCodes } from 'http-status-codes';
+import { createError } from '../utils/error.util.js';
+import {
+  findActiveSessions,
+  revokeSession,
+  revokeAllSessions
+} from '../services/session.service.js';
+
+/**
+ * List the active sessions of the current organizer
+ */
+export const getSessionsController = async (req, res, next) => {
+  try {
+    const sessions = await findActiveSessions(req.user.id);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      results: sessions.length,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session,
+          current: session.id === req.user.sid
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a single session
+ */
+export const revokeSessionController = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+
+    const revoked = await revokeSession(req.user.id, sessionId);
+    if (!revoked) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Session not found'));
+    }
+
+    if (sessionId === req.user.sid) {
+      res.clearCookie('refreshToken');
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke all sessions of the current organizer, including this one
+ */
+export const revokeAllSessionsController = async (req, res, next) => {
+  try {
+    const count = await revokeAllSessions(req.user.id);
+
+    res.clearCookie('refreshToken');
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      message: 'Signed out of all sessions',
+      data: { revoked: count }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
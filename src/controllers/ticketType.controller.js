@@ -0,0 +1,232 @@
+import { StatusCodes } from 'http-status-codes';
+import { createError } from '../utils/error.util.js';
+import {
+  createTicketType,
+  findTicketTypeById,
+  findTicketTypesByEvent,
+  updateTicketType,
+  deleteTicketType,
+  getTicketTypeSoldCounts
+} from '../models/ticketType.model.js';
+import { promoteFromWaitlistSafely } from '../services/waitlist.service.js';
+
+// Fields an organizer can set on a ticket type
+const TICKET_TYPE_FIELDS = [
+  'name',
+  'description',
+  'price',
+  'currency',
+  'quantity_available',
+  'min_per_order',
+  'max_per_order',
+  'sales_start',
+  'sales_end',
+  'visibility',
+  'sort_order'
+];
+
+/**
+ * Pick the ticket type fields present in the request body
+ * @param {Object} body - Request body
+ * @returns {Object} Ticket type fields
+ */
+const pickTicketTypeFields = (body) => TICKET_TYPE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) {
+    fields[field] = body[field];
+  }
+  return fields;
+}, {});
+
+/**
+ * Check the ticket type as a whole once the changes are applied
+ * @param {Object} ticketType - Ticket type with the changes applied
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateTicketType = (ticketType) => {
+  const minPerOrder = ticketType.min_per_order ?? 1;
+
+  if (ticketType.max_per_order != null && ticketType.max_per_order < minPerOrder) {
+    return 'Maximum per order cannot be less than the minimum per order';
+  }
+
+  if (ticketType.quantity_available != null && ticketType.quantity_available < minPerOrder) {
+    return 'Quantity available cannot be less than the minimum per order';
+  }
+
+  if (
+    ticketType.sales_start &&
+    ticketType.sales_end &&
+    new Date(ticketType.sales_end) <= new Date(ticketType.sales_start)
+  ) {
+    return 'Sales end must be after sales start';
+  }
+
+  return null;
+};
+
+/**
+ * Add sold and remaining counts to a ticket type
+ * @param {Object} ticketType - Ticket type record
+ * @param {number} sold - Tickets sold
+ * @returns {Object} Ticket type with counts
+ */
+const withSoldCounts = (ticketType, sold = 0) => ({
+  ...ticketType,
+  sold,
+  remaining: ticketType.quantity_available == null
+    ? null
+    : Math.max(ticketType.quantity_available - sold, 0)
+});
+
+/**
+ * List the ticket types of an event with sold counts
+ */
+export const getTicketTypesController = async (req, res, next) => {
+  try {
+    const [ticketTypes, soldCounts] = await Promise.all([
+      findTicketTypesByEvent(req.event.id, { visibility: req.query.visibility }),
+      getTicketTypeSoldCounts(req.event.id)
+    ]);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      results: ticketTypes.length,
+      data: {
+        ticketTypes: ticketTypes.map(ticketType => withSoldCounts(ticketType, soldCounts[ticketType.id]))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single ticket type with sold counts
+ */
+export const getTicketTypeController = async (req, res, next) => {
+  try {
+    const ticketType = await findTicketTypeById(req.event.id, req.params.ticketTypeId);
+
+    if (!ticketType) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Ticket type not found'));
+    }
+
+    const soldCounts = await getTicketTypeSoldCounts(req.event.id);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: { ticketType: withSoldCounts(ticketType, soldCounts[ticketType.id]) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a ticket type for an event
+ */
+export const createTicketTypeController = async (req, res, next) => {
+  try {
+    const ticketTypeData = {
+      currency: 'INR',
+      min_per_order: 1,
+      visibility: 'public',
+      sort_order: 0,
+      ...pickTicketTypeFields(req.body),
+      event_id: req.event.id
+    };
+
+    const validationError = validateTicketType(ticketTypeData);
+    if (validationError) {
+      return next(createError(StatusCodes.BAD_REQUEST, validationError));
+    }
+
+    const ticketType = await createTicketType(ticketTypeData);
+
+    res.status(StatusCodes.CREATED).json({
+      status: 'success',
+      data: { ticketType: withSoldCounts(ticketType) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a ticket type
+ * The quantity cannot be lowered below the number of tickets already sold.
+ */
+export const updateTicketTypeController = async (req, res, next) => {
+  try {
+    const ticketType = await findTicketTypeById(req.event.id, req.params.ticketTypeId);
+
+    if (!ticketType) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Ticket type not found'));
+    }
+
+    const updates = pickTicketTypeFields(req.body);
+
+    if (Object.keys(updates).length === 0) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'No ticket type fields to update'));
+    }
+
+    const validationError = validateTicketType({ ...ticketType, ...updates });
+    if (validationError) {
+      return next(createError(StatusCodes.BAD_REQUEST, validationError));
+    }
+
+    const soldCounts = await getTicketTypeSoldCounts(req.event.id);
+    const sold = soldCounts[ticketType.id] || 0;
+
+    if (updates.quantity_available != null && updates.quantity_available < sold) {
+      return next(createError(
+        StatusCodes.CONFLICT,
+        `Quantity available cannot be less than the ${sold} tickets already sold`
+      ));
+    }
+
+    const updatedTicketType = await updateTicketType(ticketType.id, updates);
+
+    if (updates.quantity_available !== undefined) {
+      await promoteFromWaitlistSafely(req.event.id);
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: { ticketType: withSoldCounts(updatedTicketType, sold) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a ticket type
+ * Ticket types with sales are kept for the attendees holding them; hide them instead.
+ */
+export const deleteTicketTypeController = async (req, res, next) => {
+  try {
+    const ticketType = await findTicketTypeById(req.event.id, req.params.ticketTypeId);
+
+    if (!ticketType) {
+      return next(createError(StatusCodes.NOT_FOUND, 'Ticket type not found'));
+    }
+
+    const soldCounts = await getTicketTypeSoldCounts(req.event.id);
+    if (soldCounts[ticketType.id]) {
+      return next(createError(
+        StatusCodes.CONFLICT,
+        'Ticket type has been sold and cannot be deleted; set its visibility to hidden instead'
+      ));
+    }
+
+    await deleteTicketType(ticketType.id);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      message: 'Ticket type deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,85 @@
+import bcrypt from 'bcryptjs';
+import { StatusCodes } from 'http-status-codes';
+import { createError } from '../utils/error.util.js';
+import OrganizerService from '../services/organizer.service.js';
+import {
+  startTwoFactorSetup,
+  confirmTwoFactorSetup,
+  verifySecondFactor,
+  disableTwoFactor
+} from '../services/twoFactor.service.js';
+
+/**
+ * Start two-factor enrollment
+ */
+export const setupTwoFactorController = async (req, res, next) => {
+  try {
+    const organizer = await OrganizerService.getOrganizerById(req.user.id);
+
+    const { secret, otpauthUrl, qrCode } = await startTwoFactorSetup(organizer);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm two-factor enrollment and return recovery codes
+ */
+export const confirmTwoFactorController = async (req, res, next) => {
+  try {
+    const organizer = await OrganizerService.getOrganizerById(req.user.id);
+
+    const recoveryCodes = await confirmTwoFactorSetup(organizer, req.body.code);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Disable two-factor authentication
+ */
+export const disableTwoFactorController = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const organizer = await OrganizerService.getOrganizerById(req.user.id);
+
+    if (!organizer.two_factor_enabled) {
+      return next(createError(StatusCodes.BAD_REQUEST, 'Two-factor authentication is not enabled'));
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, organizer.password);
+    if (!isPasswordValid) {
+      return next(createError(StatusCodes.UNAUTHORIZED, 'Invalid password'));
+    }
+
+    const isFactorValid = await verifySecondFactor(organizer, { code, recoveryCode });
+    if (!isFactorValid) {
+      return next(createError(StatusCodes.UNAUTHORIZED, 'Invalid authentication code'));
+    }
+
+    await disableTwoFactor(organizer.id);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,30 @@
+// src/jobs/accountDeletion.job.js
+import {
+  findAccountsDueForDeletion,
+  purgeOrganizerAccount
+} from '../services/account.service.js';
+
+/**
+ * Delete organizer accounts whose grace period has ended
+ * One failing account is logged and retried on the next run.
+ */
+const run = async () => {
+  const organizers = await findAccountsDueForDeletion();
+
+  for (const organizer of organizers) {
+    try {
+      const { deletedEvents, anonymizedPayments } = await purgeOrganizerAccount(organizer);
+      console.log(
+        `Deleted organizer ${organizer.id} (${deletedEvents} events, ${anonymizedPayments} payments anonymized)`
+      );
+    } catch (error) {
+      console.error(`Error deleting organizer ${organizer.id}:`, error);
+    }
+  }
+};
+
+export default {
+  name: 'account-deletion',
+  intervalMs: 60 * 60 * 1000, // hourly
+  run
+};
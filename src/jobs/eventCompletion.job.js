@@ -0,0 +1,19 @@
+// src/jobs/eventCompletion.job.js
+import { completeEndedEvents } from '../models/event.model.js';
+
+/**
+ * Mark published events as completed once their end date has passed
+ */
+const run = async () => {
+  const completed = await completeEndedEvents();
+
+  if (completed.length > 0) {
+    console.log(`Completed ${completed.length} ended events`);
+  }
+};
+
+export default {
+  name: 'event-completion',
+  intervalMs: 15 * 60 * 1000, // every 15 minutes
+  run
+};
@@ -0,0 +1,43 @@
+// src/jobs/index.js
+import accountDeletionJob from './accountDeletion.job.js';
+import waitlistOffersJob from './waitlistOffers.job.js';
+import eventCompletionJob from './eventCompletion.job.js';
+
+/**
+ * Background jobs run in-process on a fixed interval
+ * Each job is an object with a name, an intervalMs and an async run function.
+ * Set JOBS_ENABLED=false on instances that should only serve requests.
+ */
+const jobs = [accountDeletionJob, waitlistOffersJob, eventCompletionJob];
+
+/**
+ * Start all background jobs
+ * A run is skipped while the previous run of the same job is still going.
+ */
+export const startJobs = () => {
+  if (process.env.JOBS_ENABLED === 'false') {
+    return;
+  }
+
+  jobs.forEach(job => {
+    let running = false;
+
+    const timer = setInterval(async () => {
+      if (running) {
+        return;
+      }
+
+      running = true;
+      try {
+        await job.run();
+      } catch (error) {
+        console.error(`Job ${job.name} failed:`, error);
+      } finally {
+        running = false;
+      }
+    }, job.intervalMs);
+
+    // Don't keep the process alive just for the jobs
+    timer.unref();
+  });
+};
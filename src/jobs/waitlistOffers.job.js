@@ -0,0 +1,19 @@
+// src/jobs/waitlistOffers.job.js
+import { processExpiredOffers } from '../services/waitlist.service.js';
+
+/**
+ * Cancel waitlist offers nobody claimed and offer the places to the next in line
+ */
+const run = async () => {
+  const expired = await processExpiredOffers();
+
+  if (expired > 0) {
+    console.log(`Expired ${expired} waitlist offers`);
+  }
+};
+
+export default {
+  name: 'waitlist-offers',
+  intervalMs: 5 * 60 * 1000, // every 5 minutes
+  run
+};
@@ -1,42 +1,224 @@
-import jwt from 'jsonwebtoken';
 import { StatusCodes } from 'http-status-codes';
 import { createError } from '../utils/error.util.js';
+import { verifyToken } from '../utils/jwt.utils.js';
+import { findSessionById } from '../services/session.service.js';
+import { verifyApiKey } from '../services/apiKey.service.js';
+import { recordAdminAction } from '../services/admin.service.js';
+import { findEventById } from '../models/event.model.js';
+import { findAttendeeById } from '../models/attendee.model.js';
+import { getEventRole } from '../models/eventMember.model.js';
+import { findScannerDeviceByToken, updateScannerDevice } from '../models/scannerDevice.model.js';
+import { EVENT_PERMISSIONS, EVENT_PERMISSION_SCOPES } from '../utils/permissions.util.js';
+import { hashToken, SCANNER_TOKEN_PREFIX, API_KEY_PREFIX } from '../utils/token.util.js';
 
 /**
- * Middleware to authenticate JWT token
+ * Error returned to suspended organizers
  */
-export const authenticate = (req, res, next) => {
-    // Get token from header
-    const token = req.headers.authorization?.split(' ')[1];
+const suspendedError = () => createError(
+  StatusCodes.FORBIDDEN,
+  'This account has been suspended',
+  [],
+  'ACCOUNT_SUSPENDED'
+);
 
-    if (!token) {
-      return next(createError(401, 'No token provided, authorization denied'));
+/**
+ * Authenticate a request made with an API key
+ * Sets req.user to the key's owner and req.apiKey to the key.
+ */
+const authenticateApiKey = async (req, next, key) => {
+  try {
+    const apiKey = await verifyApiKey(key);
+
+    if (!apiKey) {
+      return next(createError(401, 'Invalid API key'));
+    }
+
+    const { organizer, ...keyDetails } = apiKey;
+
+    if (organizer.status === 'suspended') {
+      return next(suspendedError());
+    }
+
+    req.user = { id: organizer.id, email: organizer.email, role: organizer.role };
+    req.apiKey = keyDetails;
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Middleware to authenticate JWT token or API key
+ * Tokens belonging to a revoked session are rejected. API key requests are
+ * limited to their scopes by authorizeEvent and requireScope.
+ */
+export const authenticate = async (req, res, next) => {
+  // Get token from header
+  const token = req.headers.authorization?.split(' ')[1];
+
+  if (!token) {
+    return next(createError(401, 'No token provided, authorization denied'));
+  }
+
+  if (token.startsWith(SCANNER_TOKEN_PREFIX)) {
+    return next(createError(401, 'Scanner device tokens can only be used for check-in'));
+  }
+
+  if (token.startsWith(API_KEY_PREFIX)) {
+    return authenticateApiKey(req, next, token);
+  }
+
+  let decoded;
+  try {
+    // Verify token against the key named in its kid header
+    decoded = verifyToken(token);
+  } catch (error) {
+    return next(createError(401, 'Invalid token'));
+  }
+
+  // Single-purpose tokens (email links etc.) are not access tokens
+  if (decoded.purpose) {
+    return next(createError(401, 'Invalid token'));
+  }
+
+  try {
+    if (decoded.sid) {
+      const session = await findSessionById(decoded.sid);
+
+      if (!session || session.revoked_at) {
+        return next(createError(401, 'Session has been revoked'));
+      }
+
+      if (session.organizer?.status === 'suspended') {
+        return next(suspendedError());
+      }
     }
 
-    try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
     // Add user from payload
     req.user = decoded;
-    
+
+    // Everything changed while impersonating an organizer goes into the audit trail
+    if (decoded.impersonatedBy && req.method !== 'GET') {
+      await recordAdminAction({
+        adminId: decoded.impersonatedBy,
+        action: 'impersonated_request',
+        targetOrganizerId: decoded.id,
+        metadata: { method: req.method, path: req.originalUrl, sessionId: decoded.sid },
+        ipAddress: req.ip
+      });
+    }
+
     next();
-    
   } catch (error) {
-    next(createError(401, 'Invalid token'));
+    next(error);
   }
 };
 
 /**
- * Middleware to check if user has required role(s)
+ * Middleware for check-in routes
+ * Accepts either an organizer access token or a scanner device token.
+ * Device tokens load the device into req.scanDevice and leave req.user unset.
  */
-export const authorize = (...roles) => {
+export const authenticateScanner = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+
+  if (!token?.startsWith(SCANNER_TOKEN_PREFIX)) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const device = await findScannerDeviceByToken(hashToken(token));
+    const now = new Date();
+
+    if (!device || device.revoked_at) {
+      return next(createError(401, 'Invalid token'));
+    }
+
+    if (
+      (device.valid_from && new Date(device.valid_from) > now) ||
+      (device.valid_until && new Date(device.valid_until) <= now)
+    ) {
+      return next(createError(401, 'Scanner device token is not valid at this time'));
+    }
+
+    req.scanDevice = await updateScannerDevice(device.id, { last_used_at: now.toISOString() });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the role the authenticated caller holds on an event
+ * Scanner devices act as a scanner on their own event only.
+ * @param {Object} req - Express request object
+ * @param {Object} event - Event record
+ * @returns {Promise<string|null>} Event role or null
+ */
+export const getRequestEventRole = async (req, event) => {
+  if (req.scanDevice) {
+    return req.scanDevice.event_id === event.id ? 'scanner' : null;
+  }
+
+  return getEventRole(event, req.user.id);
+};
+
+/**
+ * Middleware to check that an API key request was granted a scope
+ * Requests authenticated with a user token are not limited by scopes.
+ * @param {string} scope - Scope from API_KEY_SCOPES
+ */
+export const requireScope = (scope) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+      return next(
+        createError(StatusCodes.FORBIDDEN, `API key is missing the ${scope} scope`)
+      );
+    }
+    next();
+  };
+};
+
+/**
+ * Middleware for routes that need an interactive user
+ * Rejects requests authenticated with an API key.
+ */
+export const rejectApiKey = (req, res, next) => {
+  if (req.apiKey) {
+    return next(createError(StatusCodes.FORBIDDEN, 'API keys cannot access this route'));
+  }
+  next();
+};
+
+/**
+ * Middleware for routes that create credentials or change account security
+ * Rejects impersonation tokens, so support staff cannot leave behind API keys,
+ * feeds, devices or passwords that outlive the impersonation session.
+ */
+export const rejectImpersonation = (req, res, next) => {
+  if (req.user?.impersonatedBy) {
+    return next(createError(StatusCodes.FORBIDDEN, 'This action is not available while impersonating an organizer'));
+  }
+  next();
+};
+
+/**
+ * Build a middleware that checks a role taken from the request
+ * @param {Function} getRole - Returns the role to check from the request
+ * @param {string[]} roles - Allowed roles
+ * @param {string} scope - Description of the role used in the error message
+ */
+const requireRole = (getRole, roles, scope = 'User role') => {
+  return (req, res, next) => {
+    const role = getRole(req);
+
+    if (!roles.includes(role)) {
       return next(
         createError(
           StatusCodes.FORBIDDEN,
-          `User role ${req.user.role} is not authorized to access this route`
+          `${scope} ${role} is not authorized to access this route`
         )
       );
     }
@@ -44,6 +226,75 @@ export const authorize = (...roles) => {
   };
 };
 
+/**
+ * Middleware to check if user has required role(s)
+ */
+export const authorize = (...roles) => {
+  return requireRole(req => req.user.role, roles);
+};
+
+/**
+ * Middleware to check if user's role on an event grants a permission
+ * Loads the event into req.event and the user's role into req.eventRole.
+ * @param {string} permission - Permission key from EVENT_PERMISSIONS
+ * @param {Function} [getEventId] - Resolves the event ID from the request (may be async)
+ */
+export const authorizeEvent = (permission, getEventId = req => req.params.id) => {
+  return async (req, res, next) => {
+    try {
+      if (req.apiKey) {
+        const scope = EVENT_PERMISSION_SCOPES[permission];
+
+        if (!scope || !req.apiKey.scopes.includes(scope)) {
+          return next(createError(
+            StatusCodes.FORBIDDEN,
+            scope ? `API key is missing the ${scope} scope` : 'API keys cannot access this route'
+          ));
+        }
+      }
+
+      const eventId = await getEventId(req);
+      const event = eventId ? await findEventById(eventId) : null;
+
+      if (!event) {
+        return next(createError(StatusCodes.NOT_FOUND, 'Event not found'));
+      }
+
+      const eventRole = await getRequestEventRole(req, event);
+      if (!eventRole) {
+        return next(createError(StatusCodes.FORBIDDEN, 'Not authorized to access this event'));
+      }
+
+      req.event = event;
+      req.eventRole = eventRole;
+
+      requireRole(r => r.eventRole, EVENT_PERMISSIONS[permission], 'Event role')(req, res, next);
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Event ID resolver for authorizeEvent reading a URL parameter
+ * @param {string} name - Parameter name
+ */
+export const eventIdFromParam = (name) => (req) => req.params[name];
+
+/**
+ * Event ID resolver for authorizeEvent using the attendee in the URL
+ * Loads the attendee into req.attendee.
+ */
+export const eventIdFromAttendee = async (req) => {
+  req.attendee = await findAttendeeById(req.params.attendeeId);
+
+  if (!req.attendee) {
+    throw createError(StatusCodes.NOT_FOUND, 'Attendee not found');
+  }
+
+  return req.attendee.event_id;
+};
+
 /**
  * Middleware to check if user is the owner of the resource
  */
@@ -0,0 +1,35 @@
+import multer from 'multer';
+import { StatusCodes } from 'http-status-codes';
+import { createError } from '../utils/error.util.js';
+
+const MAX_IMAGE_SIZE = parseInt(process.env.MAX_FILE_SIZE || '5242880'); // 5MB default
+
+/**
+ * Middleware to parse a single image upload from a multipart form
+ * Images are kept in memory for processing; their type is checked from the bytes,
+ * not the declared MIME type. The file, if any, is available as req.file with its
+ * content in req.file.buffer. Multer errors are turned into API errors.
+ * @param {string} fieldName - Name of the file field
+ * @param {Object} [options] - Upload options
+ * @param {number} [options.maxSize] - Largest accepted file in bytes
+ */
+export const imageUpload = (fieldName, { maxSize = MAX_IMAGE_SIZE } = {}) => {
+  const uploader = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 }
+  });
+
+  return (req, res, next) => {
+    uploader.single(fieldName)(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return next(error.code === 'LIMIT_FILE_SIZE'
+          ? createError(
+            StatusCodes.REQUEST_TOO_LONG,
+            `File size too large. Maximum size: ${maxSize / 1024 / 1024}MB`
+          )
+          : createError(StatusCodes.BAD_REQUEST, error.message));
+      }
+      next(error);
+    });
+  };
+};
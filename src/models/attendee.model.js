@@ -3,20 +3,46 @@ import { supabase } from '../app.js';
 const TABLE_NAME = 'attendees';
 
 /**
- * Register an attendee for an event
+ * Register an attendee for an event, or waitlist them once it is full
+ *
+ * Runs in the register_attendee database function, which locks the event row
+ * so concurrent registrations cannot go over the event capacity or the
+ * quantity of the ticket type. Registered, checked-in and offered attendees
+ * hold a place. When there is no place left the attendee is stored as
+ * waitlisted if the event has its waitlist enabled. The function is defined in
+ * supabase/migrations/20261019120000_attendee_registration.sql.
+ *
  * @param {Object} attendeeData - Attendee data
- * @returns {Promise<Object>} Created attendee
+ * @returns {Promise<Object|null>} Created attendee (registered or waitlisted), or null when full without a waitlist
  */
 export const registerAttendee = async (attendeeData) => {
+  const { data, error } = await supabase.rpc('register_attendee', {
+    attendee: {
+      ...attendeeData,
+      registration_date: new Date().toISOString()
+    }
+  });
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Add several attendees at once without going through the capacity check
+ * Used when copying attendees into an event known to have room for them.
+ * @param {Array} attendees - Attendee rows
+ * @returns {Promise<Array>} Created attendees
+ */
+export const createAttendees = async (attendees) => {
+  if (attendees.length === 0) {
+    return [];
+  }
+
+  const registrationDate = new Date().toISOString();
   const { data, error } = await supabase
     .from(TABLE_NAME)
-    .insert([{
-      ...attendeeData,
-      registration_date: new Date().toISOString(),
-      status: 'registered'
-    }])
-    .select()
-    .single();
+    .insert(attendees.map(attendee => ({ ...attendee, registration_date: registrationDate })))
+    .select();
 
   if (error) throw error;
   return data;
@@ -25,14 +51,14 @@ export const registerAttendee = async (attendeeData) => {
 /**
  * Get attendee by ID
  * @param {string} attendeeId - Attendee ID
- * @returns {Promise<Object>} Attendee data
+ * @returns {Promise<Object|null>} Attendee data or null if not found
  */
 export const findAttendeeById = async (attendeeId) => {
   const { data, error } = await supabase
     .from(TABLE_NAME)
     .select('*')
     .eq('id', attendeeId)
-    .single();
+    .maybeSingle();
 
   if (error) throw error;
   return data;
@@ -133,3 +159,176 @@ export const searchAttendees = async (eventId, query) => {
   if (error) throw error;
   return data;
 };
+
+/**
+ * Get the attendees of an event who have not cancelled
+ * Includes the waitlist, so everyone with an interest in the event can be notified.
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>} Attendees
+ */
+export const findActiveAttendees = async (eventId) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .select('*')
+    .eq('event_id', eventId)
+    .neq('status', 'cancelled');
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get the waitlist of an event, first in line first
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>} Waitlisted attendees and open offers
+ */
+export const findWaitlist = async (eventId) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .select('*')
+    .eq('event_id', eventId)
+    .in('status', ['waitlisted', 'offered'])
+    .order('waitlisted_at', { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get the position of a waitlisted attendee in the event's line
+ * @param {Object} attendee - Waitlisted attendee
+ * @returns {Promise<number>} 1-based position
+ */
+export const getWaitlistPosition = async (attendee) => {
+  const { count, error } = await supabase
+    .from(TABLE_NAME)
+    .select('id', { count: 'exact', head: true })
+    .eq('event_id', attendee.event_id)
+    .eq('status', 'waitlisted')
+    .lt('waitlisted_at', attendee.waitlisted_at);
+
+  if (error) throw error;
+  return count + 1;
+};
+
+/**
+ * Count the waitlisted attendees and open offers of an event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object>} waitlisted and offered counts
+ */
+export const getWaitlistCounts = async (eventId) => {
+  const countByStatus = (status) => supabase
+    .from(TABLE_NAME)
+    .select('id', { count: 'exact', head: true })
+    .eq('event_id', eventId)
+    .eq('status', status);
+
+  const [waitlisted, offered] = await Promise.all([
+    countByStatus('waitlisted'),
+    countByStatus('offered')
+  ]);
+
+  if (waitlisted.error || offered.error) throw waitlisted.error || offered.error;
+  return { waitlisted: waitlisted.count, offered: offered.count };
+};
+
+/**
+ * Offer freed places to the front of the waitlist
+ * Runs in the offer_waitlist_spots database function, which moves waitlisted
+ * attendees to offered, in order, while the event and their ticket type have room.
+ * It is defined in supabase/migrations/20261019120000_attendee_registration.sql.
+ * @param {string} eventId - Event ID
+ * @param {Date} offerExpiresAt - When the offers lapse
+ * @returns {Promise<Array>} Attendees that received an offer
+ */
+export const offerWaitlistSpots = async (eventId, offerExpiresAt) => {
+  const { data, error } = await supabase.rpc('offer_waitlist_spots', {
+    event_id: eventId,
+    offer_expires_at: offerExpiresAt.toISOString()
+  });
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Get an open waitlist offer with the status of its event
+ * @param {string} hashedToken - Hash of the offer token
+ * @returns {Promise<Object|null>} Offered attendee with event.status, or null if the offer is invalid or lapsed
+ */
+export const findWaitlistOffer = async (hashedToken) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .select('*, event:event_id (status)')
+    .eq('offer_token_hash', hashedToken)
+    .eq('status', 'offered')
+    .gt('offer_expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Accept an open waitlist offer
+ * @param {string} hashedToken - Hash of the offer token
+ * @returns {Promise<Object|null>} Registered attendee, or null if the offer is invalid or lapsed
+ */
+export const acceptWaitlistOffer = async (hashedToken) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .update({
+      status: 'registered',
+      offer_token_hash: null,
+      offer_expires_at: null
+    })
+    .eq('offer_token_hash', hashedToken)
+    .eq('status', 'offered')
+    .gt('offer_expires_at', new Date().toISOString())
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Decline an open waitlist offer
+ * @param {string} hashedToken - Hash of the offer token
+ * @returns {Promise<Object|null>} Cancelled attendee, or null if the offer is invalid or lapsed
+ */
+export const declineWaitlistOffer = async (hashedToken) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .update({
+      status: 'cancelled',
+      offer_token_hash: null,
+      offer_expires_at: null
+    })
+    .eq('offer_token_hash', hashedToken)
+    .eq('status', 'offered')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Cancel waitlist offers that were not accepted in time
+ * @returns {Promise<Array>} Attendees whose offer lapsed
+ */
+export const expireWaitlistOffers = async () => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .update({
+      status: 'cancelled',
+      offer_token_hash: null
+    })
+    .eq('status', 'offered')
+    .lte('offer_expires_at', new Date().toISOString())
+    .select();
+
+  if (error) throw error;
+  return data;
+};
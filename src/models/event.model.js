@@ -1,4 +1,5 @@
 import { supabase } from '../app.js';
+import { escapeSearchTerm } from '../utils/query.util.js';
 
 const TABLE_NAME = 'events';
 
@@ -21,14 +22,14 @@ export const createEvent = async (eventData) => {
 /**
  * Get event by ID
  * @param {string} eventId - Event ID
- * @returns {Promise<Object>} Event data
+ * @returns {Promise<Object|null>} Event data or null if not found
  */
 export const findEventById = async (eventId) => {
   const { data, error } = await supabase
     .from(TABLE_NAME)
     .select('*')
     .eq('id', eventId)
-    .single();
+    .maybeSingle();
 
   if (error) throw error;
   return data;
@@ -38,22 +39,65 @@ export const findEventById = async (eventId) => {
  * Get all events for an organizer
  * @param {string} organizerId - Organizer ID
  * @param {Object} options - Query options
- * @returns {Promise<Array>} List of events
+ * @param {string[]} [options.memberEventIds] - Events the organizer is a team member of
+ * @param {string} [options.status] - Event status
+ * @param {string} [options.category] - Event category
+ * @param {string} [options.from] - Only events ending on or after this date
+ * @param {string} [options.to] - Only events starting on or before this date
+ * @param {string} [options.search] - Matches title or description
+ * @param {string} [options.sort='start_date'] - Column to sort by
+ * @param {string} [options.order='asc'] - Sort direction
+ * @param {number} [options.limit=20] - Page size
+ * @param {number} [options.offset=0] - Rows to skip
+ * @returns {Promise<Object>} Events and total count
  */
 export const findEventsByOrganizer = async (organizerId, options = {}) => {
-  const { status, limit = 10, offset = 0 } = options;
+  const {
+    status,
+    category,
+    from,
+    to,
+    search,
+    memberEventIds = [],
+    sort = 'start_date',
+    order = 'asc',
+    limit = 20,
+    offset = 0
+  } = options;
   
   let query = supabase
     .from(TABLE_NAME)
     .select('*', { count: 'exact' })
-    .eq('organizer_id', organizerId)
-    .order('start_date', { ascending: true })
+    .order(sort, { ascending: order === 'asc' })
+    // Keep pages stable when several events share the sort value
+    .order('id', { ascending: true })
     .range(offset, offset + limit - 1);
 
+  query = memberEventIds.length > 0
+    ? query.or(`organizer_id.eq.${organizerId},id.in.(${memberEventIds.join(',')})`)
+    : query.eq('organizer_id', organizerId);
+
   if (status) {
     query = query.eq('status', status);
   }
 
+  if (category) {
+    query = query.eq('category', category);
+  }
+
+  if (from) {
+    query = query.gte('end_date', from);
+  }
+
+  if (to) {
+    query = query.lte('start_date', to);
+  }
+
+  const term = search ? escapeSearchTerm(search) : '';
+  if (term) {
+    query = query.or(`title.ilike.%${term}%,description.ilike.%${term}%`);
+  }
+
   const { data, error, count } = await query;
   
   if (error) throw error;
@@ -78,6 +122,43 @@ export const updateEvent = async (eventId, updates) => {
   return data;
 };
 
+/**
+ * Get the events of an organizer's calendar feed, soonest first
+ * Drafts are left out; cancelled events stay in so subscribed calendars remove them.
+ * @param {string} organizerId - Organizer ID
+ * @param {Date} since - Only events ending on or after this date
+ * @returns {Promise<Array>} Events
+ */
+export const findCalendarFeedEvents = async (organizerId, since) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .select('*')
+    .eq('organizer_id', organizerId)
+    .in('status', ['published', 'postponed', 'cancelled', 'completed'])
+    .gte('end_date', since.toISOString())
+    .order('start_date', { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Mark published events whose end date has passed as completed
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Array>} Completed events
+ */
+export const completeEndedEvents = async (now = new Date()) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .update({ status: 'completed', completed_at: now.toISOString() })
+    .eq('status', 'published')
+    .lt('end_date', now.toISOString())
+    .select('id');
+
+  if (error) throw error;
+  return data;
+};
+
 /**
  * Delete an event
  * @param {string} eventId - Event ID
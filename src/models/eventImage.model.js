@@ -0,0 +1,102 @@
+import { supabase } from '../app.js';
+
+const TABLE_NAME = 'event_images';
+
+/**
+ * Create an event image record
+ * @param {Object} imageData - Image data, including the variants already stored
+ * @returns {Promise<Object>} Created image
+ */
+export const createEventImage = async (imageData) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .insert([imageData])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get an image by ID within an event
+ * @param {string} eventId - Event ID
+ * @param {string} imageId - Image ID
+ * @returns {Promise<Object|null>} Image or null
+ */
+export const findEventImageById = async (eventId, imageId) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .select('*')
+    .eq('id', imageId)
+    .eq('event_id', eventId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get the gallery of an event in display order
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>} List of images
+ */
+export const findEventImages = async (eventId) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .select('*')
+    .eq('event_id', eventId)
+    .order('position', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Update an event image
+ * @param {string} imageId - Image ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated image
+ */
+export const updateEventImage = async (imageId, updates) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .update(updates)
+    .eq('id', imageId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Clear the cover flag of every image of an event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<void>}
+ */
+export const unsetEventCover = async (eventId) => {
+  const { error } = await supabase
+    .from(TABLE_NAME)
+    .update({ is_cover: false })
+    .eq('event_id', eventId)
+    .eq('is_cover', true);
+
+  if (error) throw error;
+};
+
+/**
+ * Delete an event image record
+ * @param {string} imageId - Image ID
+ * @returns {Promise<boolean>} Success status
+ */
+export const deleteEventImage = async (imageId) => {
+  const { error } = await supabase
+    .from(TABLE_NAME)
+    .delete()
+    .eq('id', imageId);
+
+  if (error) throw error;
+  return true;
+};
@@ -0,0 +1,171 @@
+import { supabase } from '../app.js';
+
+const TABLE_NAME = 'event_members';
+
+/**
+ * Create an event member (invitation)
+ * @param {Object} memberData - Member data
+ * @returns {Promise<Object>} Created member
+ */
+export const createEventMember = async (memberData) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .insert([memberData])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get a member by ID within an event
+ * @param {string} eventId - Event ID
+ * @param {string} memberId - Member ID
+ * @returns {Promise<Object|null>} Member or null
+ */
+export const findEventMemberById = async (eventId, memberId) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .select('*')
+    .eq('id', memberId)
+    .eq('event_id', eventId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get a member of an event by email
+ * @param {string} eventId - Event ID
+ * @param {string} email - Member email
+ * @returns {Promise<Object|null>} Member or null
+ */
+export const findEventMemberByEmail = async (eventId, email) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .select('*')
+    .eq('event_id', eventId)
+    .eq('email', email.toLowerCase())
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get a pending invitation by its token hash
+ * @param {string} hashedToken - Hash of the invitation token
+ * @returns {Promise<Object|null>} Member or null
+ */
+export const findEventMemberByInviteToken = async (hashedToken) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .select('*')
+    .eq('invite_token', hashedToken)
+    .eq('status', 'invited')
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get the active membership of an organizer on an event
+ * @param {string} eventId - Event ID
+ * @param {string} organizerId - Organizer ID
+ * @returns {Promise<Object|null>} Member or null
+ */
+export const findActiveMembership = async (eventId, organizerId) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .select('*')
+    .eq('event_id', eventId)
+    .eq('organizer_id', organizerId)
+    .eq('status', 'active')
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get all members of an event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>} List of members
+ */
+export const findEventMembers = async (eventId) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .select('id, event_id, organizer_id, email, role, status, invited_by, created_at, accepted_at')
+    .eq('event_id', eventId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get the IDs of events an organizer is an active member of
+ * @param {string} organizerId - Organizer ID
+ * @returns {Promise<Array>} Event IDs
+ */
+export const findMemberEventIds = async (organizerId) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .select('event_id')
+    .eq('organizer_id', organizerId)
+    .eq('status', 'active');
+
+  if (error) throw error;
+  return data.map(member => member.event_id);
+};
+
+/**
+ * Update an event member
+ * @param {string} memberId - Member ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated member
+ */
+export const updateEventMember = async (memberId, updates) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .update(updates)
+    .eq('id', memberId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Delete an event member
+ * @param {string} memberId - Member ID
+ * @returns {Promise<boolean>} Success status
+ */
+export const deleteEventMember = async (memberId) => {
+  const { error } = await supabase
+    .from(TABLE_NAME)
+    .delete()
+    .eq('id', memberId);
+
+  if (error) throw error;
+  return true;
+};
+
+/**
+ * Get the role an organizer holds on an event
+ * @param {Object} event - Event record
+ * @param {string} organizerId - Organizer ID
+ * @returns {Promise<string|null>} Event role or null if not a member
+ */
+export const getEventRole = async (event, organizerId) => {
+  if (event.organizer_id === organizerId) {
+    return 'owner';
+  }
+
+  const membership = await findActiveMembership(event.id, organizerId);
+  return membership ? membership.role : null;
+};
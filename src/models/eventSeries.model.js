@@ -0,0 +1,140 @@
+import { supabase } from '../app.js';
+
+const TABLE_NAME = 'event_series';
+
+/**
+ * Create an event series
+ * @param {Object} seriesData - Series data
+ * @returns {Promise<Object>} Created series
+ */
+export const createEventSeries = async (seriesData) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .insert([seriesData])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get an event series by ID
+ * @param {string} seriesId - Series ID
+ * @returns {Promise<Object|null>} Series or null
+ */
+export const findEventSeriesById = async (seriesId) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .select('*')
+    .eq('id', seriesId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get the event series of an organizer
+ * @param {string} organizerId - Organizer ID
+ * @param {Object} options - Query options
+ * @returns {Promise<Object>} Series and total count
+ */
+export const findEventSeriesByOrganizer = async (organizerId, options = {}) => {
+  const { limit = 20, offset = 0 } = options;
+
+  const { data, error, count } = await supabase
+    .from(TABLE_NAME)
+    .select('*', { count: 'exact' })
+    .eq('organizer_id', organizerId)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+  return { data, count };
+};
+
+/**
+ * Update an event series
+ * @param {string} seriesId - Series ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated series
+ */
+export const updateEventSeries = async (seriesId, updates) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', seriesId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get the occurrences (events) of a series in date order
+ * @param {string} seriesId - Series ID
+ * @param {Object} [options] - Query options
+ * @param {Date} [options.after] - Only occurrences starting after this date
+ * @returns {Promise<Array>} Events of the series
+ */
+export const findSeriesOccurrences = async (seriesId, options = {}) => {
+  let query = supabase
+    .from('events')
+    .select('*')
+    .eq('series_id', seriesId)
+    .order('start_date', { ascending: true });
+
+  if (options.after) {
+    query = query.gt('start_date', options.after.toISOString());
+  }
+
+  const { data, error } = await query;
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Create several occurrences of a series at once
+ * @param {Array} events - Event rows
+ * @returns {Promise<Array>} Created events
+ */
+export const createSeriesOccurrences = async (events) => {
+  if (events.length === 0) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from('events')
+    .insert(events)
+    .select();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Count attendees per status for each occurrence
+ * @param {string[]} eventIds - Occurrence IDs
+ * @returns {Promise<Object>} Map of event ID to { status: count }
+ */
+export const getOccurrenceAttendeeCounts = async (eventIds) => {
+  if (eventIds.length === 0) {
+    return {};
+  }
+
+  const { data, error } = await supabase
+    .from('attendees')
+    .select('event_id, status')
+    .in('event_id', eventIds);
+
+  if (error) throw error;
+
+  return data.reduce((counts, attendee) => {
+    const eventCounts = counts[attendee.event_id] || (counts[attendee.event_id] = {});
+    eventCounts[attendee.status] = (eventCounts[attendee.status] || 0) + 1;
+    return counts;
+  }, {});
+};
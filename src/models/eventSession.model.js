@@ -0,0 +1,221 @@
+import { supabase } from '../app.js';
+
+const TABLE_NAME = 'event_sessions';
+const REGISTRATIONS_TABLE = 'session_registrations';
+
+/**
+ * Create a session within an event
+ * @param {Object} sessionData - Session data
+ * @returns {Promise<Object>} Created session
+ */
+export const createEventSession = async (sessionData) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .insert([sessionData])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get a session by ID within an event
+ * @param {string} eventId - Event ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} Session or null
+ */
+export const findEventSessionById = async (eventId, sessionId) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .select('*')
+    .eq('id', sessionId)
+    .eq('event_id', eventId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get the agenda of an event in time order
+ * @param {string} eventId - Event ID
+ * @param {Object} [options] - Query options
+ * @param {string} [options.track] - Only sessions of this track
+ * @returns {Promise<Array>} List of sessions
+ */
+export const findEventSessions = async (eventId, options = {}) => {
+  let query = supabase
+    .from(TABLE_NAME)
+    .select('*')
+    .eq('event_id', eventId)
+    .order('starts_at', { ascending: true })
+    .order('room', { ascending: true });
+
+  if (options.track) {
+    query = query.eq('track', options.track);
+  }
+
+  const { data, error } = await query;
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Update a session
+ * @param {string} sessionId - Session ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated session
+ */
+export const updateEventSession = async (sessionId, updates) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', sessionId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Delete a session and its registrations
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+export const deleteEventSession = async (sessionId) => {
+  const { error } = await supabase
+    .from(TABLE_NAME)
+    .delete()
+    .eq('id', sessionId);
+
+  if (error) throw error;
+  return true;
+};
+
+/**
+ * Count sign-ups and check-ins per session of an event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object>} Map of session ID to { registered, checkedIn }
+ */
+export const getSessionRegistrationCounts = async (eventId) => {
+  const { data, error } = await supabase
+    .from(REGISTRATIONS_TABLE)
+    .select('session_id, checked_in_at')
+    .eq('event_id', eventId);
+
+  if (error) throw error;
+
+  return data.reduce((counts, registration) => {
+    const sessionCounts = counts[registration.session_id] ||
+      (counts[registration.session_id] = { registered: 0, checkedIn: 0 });
+
+    sessionCounts.registered += 1;
+    if (registration.checked_in_at) {
+      sessionCounts.checkedIn += 1;
+    }
+    return counts;
+  }, {});
+};
+
+/**
+ * Get the sign-ups of a session with attendee details
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Array>} Registrations
+ */
+export const findSessionRegistrations = async (sessionId) => {
+  const { data, error } = await supabase
+    .from(REGISTRATIONS_TABLE)
+    .select('*, attendee:attendee_id (id, name, email, status)')
+    .eq('session_id', sessionId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get an attendee's sign-up for a session
+ * @param {string} sessionId - Session ID
+ * @param {string} attendeeId - Attendee ID
+ * @returns {Promise<Object|null>} Registration or null
+ */
+export const findSessionRegistration = async (sessionId, attendeeId) => {
+  const { data, error } = await supabase
+    .from(REGISTRATIONS_TABLE)
+    .select('*')
+    .eq('session_id', sessionId)
+    .eq('attendee_id', attendeeId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get the sessions an attendee signed up for
+ * @param {string} attendeeId - Attendee ID
+ * @returns {Promise<Array>} Sessions
+ */
+export const findAttendeeSessions = async (attendeeId) => {
+  const { data, error } = await supabase
+    .from(REGISTRATIONS_TABLE)
+    .select('checked_in_at, session:session_id (*)')
+    .eq('attendee_id', attendeeId);
+
+  if (error) throw error;
+  return data.map(({ session, checked_in_at }) => ({ ...session, checked_in_at }));
+};
+
+/**
+ * Sign an attendee up for a session within its capacity
+ * Runs in the register_for_session database function, which locks the session
+ * row so concurrent sign-ups cannot go over its capacity. It is defined in
+ * supabase/migrations/20261019130000_session_registration.sql.
+ * @param {Object} registration - session_id, event_id and attendee_id
+ * @returns {Promise<Object|null>} Registration, or null if the session is full
+ */
+export const registerForSession = async (registration) => {
+  const { data, error } = await supabase.rpc('register_for_session', { registration });
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Remove an attendee's sign-up for a session
+ * @param {string} registrationId - Registration ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+export const deleteSessionRegistration = async (registrationId) => {
+  const { error } = await supabase
+    .from(REGISTRATIONS_TABLE)
+    .delete()
+    .eq('id', registrationId);
+
+  if (error) throw error;
+  return true;
+};
+
+/**
+ * Record a check-in to a session
+ * @param {string} registrationId - Registration ID
+ * @param {string} checkedInBy - Who performed the check-in
+ * @returns {Promise<Object>} Updated registration
+ */
+export const checkInSessionRegistration = async (registrationId, checkedInBy) => {
+  const { data, error } = await supabase
+    .from(REGISTRATIONS_TABLE)
+    .update({
+      checked_in_at: new Date().toISOString(),
+      checked_in_by: checkedInBy
+    })
+    .eq('id', registrationId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
@@ -0,0 +1,90 @@
+import { supabase } from '../app.js';
+
+const TABLE_NAME = 'scanner_devices';
+
+// Columns that are safe to return to clients (never the token hash)
+const PUBLIC_COLUMNS = 'id, event_id, name, created_by, valid_from, valid_until, last_used_at, revoked_at, created_at';
+
+/**
+ * Create a scanner device
+ * @param {Object} deviceData - Device data
+ * @returns {Promise<Object>} Created device
+ */
+export const createScannerDevice = async (deviceData) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .insert([deviceData])
+    .select(PUBLIC_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get a scanner device by its token hash
+ * @param {string} hashedToken - Hash of the device token
+ * @returns {Promise<Object|null>} Device or null
+ */
+export const findScannerDeviceByToken = async (hashedToken) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .select(PUBLIC_COLUMNS)
+    .eq('token_hash', hashedToken)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get a scanner device by ID within an event
+ * @param {string} eventId - Event ID
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<Object|null>} Device or null
+ */
+export const findScannerDeviceById = async (eventId, deviceId) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .select(PUBLIC_COLUMNS)
+    .eq('id', deviceId)
+    .eq('event_id', eventId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get all scanner devices of an event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>} List of devices
+ */
+export const findScannerDevices = async (eventId) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .select(PUBLIC_COLUMNS)
+    .eq('event_id', eventId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Update a scanner device
+ * @param {string} deviceId - Device ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated device
+ */
+export const updateScannerDevice = async (deviceId, updates) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .update(updates)
+    .eq('id', deviceId)
+    .select(PUBLIC_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+};
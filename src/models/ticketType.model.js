@@ -0,0 +1,126 @@
+import { supabase } from '../app.js';
+
+const TABLE_NAME = 'ticket_types';
+
+/**
+ * Create a ticket type
+ * @param {Object} ticketTypeData - Ticket type data
+ * @returns {Promise<Object>} Created ticket type
+ */
+export const createTicketType = async (ticketTypeData) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .insert([ticketTypeData])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get a ticket type by ID within an event
+ * @param {string} eventId - Event ID
+ * @param {string} ticketTypeId - Ticket type ID
+ * @returns {Promise<Object|null>} Ticket type or null
+ */
+export const findTicketTypeById = async (eventId, ticketTypeId) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .select('*')
+    .eq('id', ticketTypeId)
+    .eq('event_id', eventId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get the ticket types of an event in display order
+ * @param {string} eventId - Event ID
+ * @param {Object} [options] - Query options
+ * @param {string} [options.visibility] - Only ticket types with this visibility
+ * @returns {Promise<Array>} List of ticket types
+ */
+export const findTicketTypesByEvent = async (eventId, options = {}) => {
+  let query = supabase
+    .from(TABLE_NAME)
+    .select('*')
+    .eq('event_id', eventId)
+    .order('sort_order', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (options.visibility) {
+    query = query.eq('visibility', options.visibility);
+  }
+
+  const { data, error } = await query;
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Update a ticket type
+ * @param {string} ticketTypeId - Ticket type ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated ticket type
+ */
+export const updateTicketType = async (ticketTypeId, updates) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', ticketTypeId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Delete a ticket type
+ * @param {string} ticketTypeId - Ticket type ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+export const deleteTicketType = async (ticketTypeId) => {
+  const { error } = await supabase
+    .from(TABLE_NAME)
+    .delete()
+    .eq('id', ticketTypeId);
+
+  if (error) throw error;
+  return true;
+};
+
+/**
+ * Count the tickets sold per ticket type of an event
+ * Places held by an open waitlist offer count as sold; cancelled and
+ * waitlisted registrations do not. Each ticket type is counted by the
+ * database, so the result does not depend on how many rows a response may hold.
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object>} Map of ticket type ID to number sold
+ */
+export const getTicketTypeSoldCounts = async (eventId) => {
+  const { data: ticketTypes, error } = await supabase
+    .from(TABLE_NAME)
+    .select('id')
+    .eq('event_id', eventId);
+
+  if (error) throw error;
+
+  const results = await Promise.all(ticketTypes.map(({ id }) => supabase
+    .from('attendees')
+    .select('id', { count: 'exact', head: true })
+    .eq('ticket_type_id', id)
+    .in('status', ['registered', 'checked_in', 'offered'])));
+
+  const failed = results.find(result => result.error);
+  if (failed) throw failed.error;
+
+  return ticketTypes.reduce((counts, { id }, index) => {
+    counts[id] = results[index].count;
+    return counts;
+  }, {});
+};
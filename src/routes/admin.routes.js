@@ -0,0 +1,302 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: Platform administration (admin role only)
+ */
+
+import { Router } from 'express';
+import { body, param, query } from 'express-validator';
+import { validateRequest } from '../middleware/validateRequest.middleware.js';
+import { authenticate, authorize, rejectApiKey } from '../middleware/auth.middleware.js';
+import {
+  listOrganizersController,
+  getOrganizerController,
+  suspendOrganizerController,
+  reactivateOrganizerController,
+  impersonateOrganizerController,
+  getAuditLogsController
+} from '../controllers/admin.controller.js';
+
+const router = Router();
+
+// Admin routes need a signed-in admin; API keys are never enough
+router.use(authenticate, rejectApiKey, authorize('admin'));
+
+const organizerIdValidation = param('organizerId')
+  .isUUID()
+  .withMessage('Invalid organizer ID format');
+
+const paginationValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+];
+
+/**
+ * @swagger
+ * /api/admin/organizers:
+ *   get:
+ *     summary: List and search organizers
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches name, email or company
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending_verification, active, suspended]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated list of organizers
+ *       403:
+ *         description: Not an admin
+ */
+router.get(
+  '/organizers',
+  [
+    query('search')
+      .optional()
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage('Search must be at most 100 characters'),
+    query('status')
+      .optional()
+      .isIn(['pending_verification', 'active', 'suspended'])
+      .withMessage('Invalid status value'),
+    ...paginationValidation,
+    validateRequest
+  ],
+  listOrganizersController
+);
+
+/**
+ * @swagger
+ * /api/admin/organizers/{organizerId}:
+ *   get:
+ *     summary: Get an organizer with event, attendee and revenue totals
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Organizer and totals
+ *       404:
+ *         description: Organizer not found
+ */
+router.get(
+  '/organizers/:organizerId',
+  [organizerIdValidation, validateRequest],
+  getOrganizerController
+);
+
+/**
+ * @swagger
+ * /api/admin/organizers/{organizerId}/suspend:
+ *   post:
+ *     summary: Suspend an organizer
+ *     description: Signs the organizer out everywhere and rejects their tokens and API keys until reactivated.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Organizer suspended
+ *       404:
+ *         description: Organizer not found
+ *       409:
+ *         description: Organizer is already suspended
+ */
+router.post(
+  '/organizers/:organizerId/suspend',
+  [
+    organizerIdValidation,
+    body('reason').trim().notEmpty().withMessage('A reason is required'),
+    validateRequest
+  ],
+  suspendOrganizerController
+);
+
+/**
+ * @swagger
+ * /api/admin/organizers/{organizerId}/reactivate:
+ *   post:
+ *     summary: Reactivate a suspended organizer
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Organizer reactivated
+ *       409:
+ *         description: Organizer is not suspended
+ */
+router.post(
+  '/organizers/:organizerId/reactivate',
+  [
+    organizerIdValidation,
+    body('reason').optional().trim(),
+    validateRequest
+  ],
+  reactivateOrganizerController
+);
+
+/**
+ * @swagger
+ * /api/admin/organizers/{organizerId}/impersonate:
+ *   post:
+ *     summary: Act as an organizer for a support case
+ *     description: >
+ *       Returns a 30 minute access token for the organizer. The session appears in
+ *       the organizer's session list, and the start of the session and every
+ *       change made with the token are recorded in the audit trail. The token
+ *       cannot create API keys, scanner devices or calendar feeds, or change the
+ *       organizer's password, email, two-factor settings or sessions.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Support case reference or justification
+ *     responses:
+ *       200:
+ *         description: Impersonation token issued
+ *       403:
+ *         description: Admins cannot be impersonated
+ *       404:
+ *         description: Organizer not found
+ */
+router.post(
+  '/organizers/:organizerId/impersonate',
+  [
+    organizerIdValidation,
+    body('reason').trim().notEmpty().withMessage('A reason is required'),
+    validateRequest
+  ],
+  impersonateOrganizerController
+);
+
+/**
+ * @swagger
+ * /api/admin/audit-logs:
+ *   get:
+ *     summary: List the admin audit trail
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: organizerId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: adminId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated audit entries, newest first
+ */
+router.get(
+  '/audit-logs',
+  [
+    query('organizerId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid organizer ID format'),
+    query('adminId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid admin ID format'),
+    ...paginationValidation,
+    validateRequest
+  ],
+  getAuditLogsController
+);
+
+export default router;
@@ -0,0 +1,140 @@
+/**
+ * @swagger
+ * tags:
+ *   name: API Keys
+ *   description: Scoped API keys for server-to-server integrations
+ */
+
+import { Router } from 'express';
+import { body, param } from 'express-validator';
+import { validateRequest } from '../middleware/validateRequest.middleware.js';
+import { authenticate, rejectApiKey, rejectImpersonation } from '../middleware/auth.middleware.js';
+import { API_KEY_SCOPES } from '../utils/permissions.util.js';
+import {
+  getApiKeysController,
+  createApiKeyController,
+  revokeApiKeyController
+} from '../controllers/apiKey.controller.js';
+
+const router = Router();
+
+// Keys are managed by a signed-in organizer, never by another key
+router.use(authenticate, rejectApiKey);
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: List the API keys of the current organizer
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of API keys (without the secret)
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', getApiKeysController);
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: |
+ *       The key is returned once and looks like `psk_<prefix>_<secret>`.
+ *       Send it as `Authorization: Bearer <key>`.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: CRM sync
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [events:read, events:write, attendees:read, attendees:write, payments:read, exports:read]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: API key created
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  '/',
+  rejectImpersonation,
+  [
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Key name is required')
+      .isLength({ max: 100 })
+      .withMessage('Key name must be at most 100 characters'),
+    body('scopes')
+      .isArray({ min: 1 })
+      .withMessage('At least one scope is required'),
+    body('scopes.*')
+      .isIn(API_KEY_SCOPES)
+      .withMessage(`Scopes must be one of: ${API_KEY_SCOPES.join(', ')}`),
+    body('expiresAt')
+      .optional()
+      .isISO8601()
+      .withMessage('expiresAt must be a valid date')
+      .custom(value => new Date(value) > new Date())
+      .withMessage('expiresAt must be in the future'),
+    validateRequest
+  ],
+  createApiKeyController
+);
+
+/**
+ * @swagger
+ * /api/api-keys/{apiKeyId}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: apiKeyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found
+ */
+router.delete(
+  '/:apiKeyId',
+  rejectImpersonation,
+  [
+    param('apiKeyId')
+      .isUUID()
+      .withMessage('Invalid API key ID format'),
+    validateRequest
+  ],
+  revokeApiKeyController
+);
+
+export default router;
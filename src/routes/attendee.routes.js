@@ -1,7 +1,12 @@
 import { Router } from 'express';
 import { param, query, body } from 'express-validator';
 import { validateRequest } from '../middleware/validateRequest.middleware.js';
-import { authenticate } from '../middleware/auth.middleware.js';
+import {
+  authenticate,
+  authorizeEvent,
+  eventIdFromParam,
+  eventIdFromAttendee
+} from '../middleware/auth.middleware.js';
 import {
   registerAttendeeController,
   getAttendeesController,
@@ -9,8 +14,10 @@ import {
   updateAttendeeController,
   checkInAttendeeController,
   getAttendeeStatsController,
-  searchAttendeesController
+  searchAttendeesController,
+  getWaitlistController
 } from '../controllers/attendee.controller.js';
+import { getAttendeeSessionsController } from '../controllers/eventSession.controller.js';
 
 const router = Router();
 
@@ -27,7 +34,7 @@ const router = Router();
  *         name: status
  *         schema:
  *           type: string
- *           enum: [registered, checked_in, cancelled]
+ *           enum: [registered, checked_in, cancelled, waitlisted, offered]
  *         description: Filter attendees by status
  *     responses:
  *       200:
@@ -37,6 +44,8 @@ const router = Router();
 router.use(authenticate);
 
 // Register a new attendee for an event
+// 201 when registered, 202 when waitlisted, 409 CAPACITY_REACHED when full without a waitlist,
+// 409 TICKET_SALES_NOT_STARTED, TICKET_SALES_ENDED or ORDER_LIMIT when the ticket type cannot be bought now
 router.post(
   '/events/:eventId/attendees',
   [
@@ -61,6 +70,7 @@ router.post(
       .withMessage('Invalid ticket type ID format'),
     validateRequest
   ],
+  authorizeEvent('attendees:write', eventIdFromParam('eventId')),
   registerAttendeeController
 );
 
@@ -84,7 +94,7 @@ router.post(
  *         name: status
  *         schema:
  *           type: string
- *           enum: [registered, checked_in, cancelled]
+ *           enum: [registered, checked_in, cancelled, waitlisted, offered]
  *         description: Filter attendees by status
  *     responses:
  *       200:
@@ -99,7 +109,7 @@ router.get(
       .withMessage('Invalid event ID format'),
     query('status')
       .optional()
-      .isIn(['registered', 'checked_in', 'cancelled'])
+      .isIn(['registered', 'checked_in', 'cancelled', 'waitlisted', 'offered'])
       .withMessage('Invalid status value'),
     query('page')
       .optional()
@@ -113,6 +123,7 @@ router.get(
       .toInt(),
     validateRequest
   ],
+  authorizeEvent('attendees:read', eventIdFromParam('eventId')),
   getAttendeesController
 );
 
@@ -157,6 +168,7 @@ router.get(
       .withMessage('Search query must be at least 2 characters'),
     validateRequest
   ],
+  authorizeEvent('attendees:read', eventIdFromParam('eventId')),
   searchAttendeesController
 );
 
@@ -189,14 +201,52 @@ router.get(
       .withMessage('Invalid attendee ID format'),
     validateRequest
   ],
+  authorizeEvent('attendees:read', eventIdFromAttendee),
   getAttendeeController
 );
 
+/**
+ * @swagger
+ * /api/attendees/{attendeeId}/sessions:
+ *   get:
+ *     summary: Get the sessions an attendee signed up for
+ *     tags: [Attendees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: attendeeId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: Attendee ID
+ *     responses:
+ *       200:
+ *         description: Sessions in time order with the attendee's check-in time
+ */
+// Get an attendee's personal agenda
+router.get(
+  '/attendees/:attendeeId/sessions',
+  [
+    param('attendeeId')
+      .isUUID()
+      .withMessage('Invalid attendee ID format'),
+    validateRequest
+  ],
+  authorizeEvent('attendees:read', eventIdFromAttendee),
+  getAttendeeSessionsController
+);
+
 /**
  * @swagger
  * /api/attendees/{attendeeId}:
  *   patch:
  *     summary: Update attendee information
+ *     description: |
+ *       Changes the attendee's contact details. The status can be set to cancelled, or to registered
+ *       to undo a check-in; waitlisted, offered and cancelled attendees only get a place through
+ *       registration and waitlist offers, which check the capacity.
  *     tags: [Attendees]
  *     security:
  *       - bearerAuth: []
@@ -208,9 +258,28 @@ router.get(
  *           format: uuid
  *         required: true
  *         description: Attendee ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               phone:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [registered, cancelled]
  *     responses:
  *       200:
  *         description: Attendee details
+ *       409:
+ *         description: The attendee's current status does not allow the change
  */
 // Update attendee information
 router.patch(
@@ -235,10 +304,11 @@ router.patch(
       .withMessage('Please provide a valid phone number'),
     body('status')
       .optional()
-      .isIn(['registered', 'checked_in', 'cancelled'])
-      .withMessage('Invalid status value'),
+      .isIn(['registered', 'cancelled'])
+      .withMessage('Status can only be set to cancelled, or to registered to undo a check-in'),
     validateRequest
   ],
+  authorizeEvent('attendees:write', eventIdFromAttendee),
   updateAttendeeController
 );
 
@@ -271,6 +341,7 @@ router.post(
       .withMessage('Invalid attendee ID format'),
     validateRequest
   ],
+  authorizeEvent('attendees:checkin', eventIdFromAttendee),
   checkInAttendeeController
 );
 
@@ -303,7 +374,42 @@ router.get(
       .withMessage('Invalid event ID format'),
     validateRequest
   ],
+  authorizeEvent('attendees:read', eventIdFromParam('eventId')),
   getAttendeeStatsController
 );
 
+/**
+ * @swagger
+ * /api/attendees/events/{eventId}/waitlist:
+ *   get:
+ *     summary: Get the waitlist of an event
+ *     description: Open offers, then waiting attendees in line order with their position.
+ *     tags: [Attendees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Waitlist of the event
+ */
+// Get the waitlist of an event
+router.get(
+  '/events/:eventId/waitlist',
+  [
+    param('eventId')
+      .isUUID()
+      .withMessage('Invalid event ID format'),
+    validateRequest
+  ],
+  authorizeEvent('attendees:read', eventIdFromParam('eventId')),
+  getWaitlistController
+);
+
 export default router;
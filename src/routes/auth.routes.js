@@ -1,11 +1,50 @@
 import { Router } from 'express';
-import { body } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import { validateRequest } from '../middleware/validateRequest.middleware.js';
-import { register, login, logout, refreshToken, getMe } from '../controllers/auth.controller.js';
-import { authenticate } from '../middleware/auth.middleware.js';
+import {
+  register,
+  login,
+  logout,
+  refreshToken,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  verifyTwoFactorLogin,
+  requestMagicLink,
+  verifyMagicLink
+} from '../controllers/auth.controller.js';
+import {
+  getMe,
+  updateProfileController,
+  changePasswordController,
+  requestEmailChangeController,
+  confirmEmailChangeController,
+  uploadAvatarController,
+  exportAccountDataController,
+  deleteAccountController,
+  cancelAccountDeletionController,
+  createCalendarFeedController,
+  deleteCalendarFeedController
+} from '../controllers/profile.controller.js';
+import {
+  setupTwoFactorController,
+  confirmTwoFactorController,
+  disableTwoFactorController
+} from '../controllers/twoFactor.controller.js';
+import {
+  getSessionsController,
+  revokeSessionController,
+  revokeAllSessionsController
+} from '../controllers/session.controller.js';
+import { authenticate, rejectApiKey, rejectImpersonation } from '../middleware/auth.middleware.js';
+import { imageUpload } from '../middleware/upload.middleware.js';
 
 const router = Router();
 
+// Avatars are smaller than the event images the upload middleware defaults to
+const MAX_AVATAR_SIZE = 2 * 1024 * 1024; // 2MB
+
 // @route   POST /api/auth/register
 // @desc    Register a new organizer
 // @access  Public
@@ -75,9 +114,16 @@ router.post(
  *                 type: string
  *                 format: password
  *                 example: "your-password"
+ *               device_name:
+ *                 type: string
+ *                 description: Name of the device, shown in the session list
+ *                 example: "Pixel 8"
  *     responses:
  *       200:
- *         description: Successfully authenticated
+ *         description: >
+ *           Successfully authenticated. When two-factor authentication is enabled,
+ *           the response contains twoFactorRequired and a challengeToken instead
+ *           of the access token; complete the login with /api/auth/2fa/verify.
  *         content:
  *           application/json:
  *             schema:
@@ -86,8 +132,19 @@ router.post(
  *                 token:
  *                   type: string
  *                   description: JWT token for authentication
+ *                 twoFactorRequired:
+ *                   type: boolean
+ *                 challengeToken:
+ *                   type: string
+ *                   description: Short-lived token for the second login step
  *       400:
  *         description: Invalid credentials
+ *       403:
+ *         description: Email address not verified (code EMAIL_NOT_VERIFIED) or account suspended (code ACCOUNT_SUSPENDED)
+ *       429:
+ *         description: >
+ *           Too many failed attempts (code TOO_MANY_LOGIN_ATTEMPTS) or account
+ *           temporarily locked (code ACCOUNT_LOCKED). See the Retry-After header.
  *       500:
  *         description: Server error
  */
@@ -96,6 +153,11 @@ router.post(
   [
     body('email').isEmail().withMessage('Please include a valid email'),
     body('password').exists().withMessage('Password is required'),
+    body('device_name')
+      .optional()
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage('Device name must be at most 100 characters'),
   ],
   validateRequest,
   login
@@ -124,7 +186,7 @@ router.post(
  *       200:
  *         description: List of events
  */
-router.post('/logout', authenticate, logout);
+router.post('/logout', authenticate, rejectApiKey, logout);
 
 // @route   POST /api/auth/refresh-token
 // @desc    Refresh access token
@@ -151,29 +213,924 @@ router.post('/logout', authenticate, logout);
  */
 router.post('/refresh-token', refreshToken);
 
-// @route   GET /api/auth/me
-// @desc    Get current organizer profile
-// @access  Private
+// @route   GET /api/auth/verify-email
+// @desc    Verify organizer email address
+// @access  Public
 
 /**
  * @swagger
- * /api/auth/me:
+ * /api/auth/verify-email:
  *   get:
- *     summary: Get current organizer profile
+ *     summary: Verify organizer email address
  *     tags: [Auth]
- *     security:
- *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: status
+ *         name: token
+ *         required: true
  *         schema:
  *           type: string
- *           enum: [draft, published, cancelled, completed]
- *         description: Filter events by status
+ *         description: Token from the verification email
  *     responses:
  *       200:
- *         description: List of events
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired verification link
+ */
+router.get(
+  '/verify-email',
+  [
+    query('token').notEmpty().withMessage('Verification token is required'),
+  ],
+  validateRequest,
+  verifyEmail
+);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend the email verification link
+// @access  Public
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Resend the email verification link
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "organizer@example.com"
+ *     responses:
+ *       200:
+ *         description: Verification link sent if the account is awaiting verification
+ *       429:
+ *         description: A verification email was sent too recently
+ */
+router.post(
+  '/resend-verification',
+  [
+    body('email').isEmail().withMessage('Please include a valid email'),
+  ],
+  validateRequest,
+  resendVerification
+);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Email a password reset link
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "organizer@example.com"
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       422:
+ *         description: Validation failed
+ */
+router.post(
+  '/forgot-password',
+  [
+    body('email').isEmail().withMessage('Please include a valid email'),
+  ],
+  validateRequest,
+  forgotPassword
+);
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the password reset email
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 example: "new-password"
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired reset token
+ *       422:
+ *         description: Validation failed
+ */
+router.post(
+  '/reset-password',
+  [
+    body('token').notEmpty().withMessage('Reset token is required'),
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters long'),
+  ],
+  validateRequest,
+  resetPassword
+);
+
+// @route   POST /api/auth/magic-link
+// @desc    Email a single-use sign-in link
+// @access  Public
+
+/**
+ * @swagger
+ * /api/auth/magic-link:
+ *   post:
+ *     summary: Email a single-use sign-in link
+ *     description: The link is valid for 15 minutes. A new link is sent at most once a minute per account.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "organizer@example.com"
+ *     responses:
+ *       200:
+ *         description: Sign-in link sent if the account exists
+ *       422:
+ *         description: Validation failed
+ */
+router.post(
+  '/magic-link',
+  [
+    body('email').isEmail().withMessage('Please include a valid email'),
+  ],
+  validateRequest,
+  requestMagicLink
+);
+
+// @route   POST /api/auth/magic-link/verify
+// @desc    Sign in with a magic link token
+// @access  Public
+
+/**
+ * @swagger
+ * /api/auth/magic-link/verify:
+ *   post:
+ *     summary: Sign in with a magic link token
+ *     description: >
+ *       Responds like /api/auth/login. When two-factor authentication is enabled a
+ *       challenge token is returned instead, to be completed at /api/auth/2fa/verify.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the sign-in email
+ *               device_name:
+ *                 type: string
+ *                 description: Name of the device, shown in the session list
+ *     responses:
+ *       200:
+ *         description: Successfully authenticated, or two-factor challenge issued
+ *       400:
+ *         description: Invalid or expired sign-in link
+ *       403:
+ *         description: Account suspended
+ */
+router.post(
+  '/magic-link/verify',
+  [
+    body('token').notEmpty().withMessage('Sign-in token is required'),
+    body('device_name')
+      .optional()
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage('Device name must be at most 100 characters'),
+  ],
+  validateRequest,
+  verifyMagicLink
+);
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Complete a two-factor login
+// @access  Public
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete a two-factor login
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Challenge token returned by /api/auth/login
+ *               code:
+ *                 type: string
+ *                 description: Code from the authenticator app
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 description: One of the recovery codes, instead of a code
+ *               device_name:
+ *                 type: string
+ *                 description: Name of the device, shown in the session list
+ *     responses:
+ *       200:
+ *         description: Successfully authenticated
+ *       401:
+ *         description: Invalid code or expired challenge
+ *       429:
+ *         description: Too many failed attempts or account temporarily locked
+ */
+router.post(
+  '/2fa/verify',
+  [
+    body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+    body('code')
+      .if(body('recoveryCode').not().exists())
+      .notEmpty()
+      .withMessage('Authentication code or recovery code is required'),
+    body('recoveryCode').optional().isString(),
+    body('device_name')
+      .optional()
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage('Device name must be at most 100 characters'),
+  ],
+  validateRequest,
+  verifyTwoFactorLogin
+);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns an otpauth URI and a QR code to scan with an authenticator app
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret, otpauth URI and QR code data URL
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/2fa/setup', authenticate, rejectApiKey, rejectImpersonation, setupTwoFactorController);
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Confirm two-factor enrollment
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/2fa/confirm:
+ *   post:
+ *     summary: Confirm two-factor enrollment
+ *     description: Enables two-factor authentication and returns recovery codes, shown only once
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid code or setup not started
+ *       401:
+ *         description: Unauthorized
  */
-router.get('/me', authenticate, getMe);
+router.post(
+  '/2fa/confirm',
+  authenticate,
+  rejectApiKey,
+  rejectImpersonation,
+  [
+    body('code').notEmpty().withMessage('Authentication code is required'),
+  ],
+  validateRequest,
+  confirmTwoFactorController
+);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       401:
+ *         description: Invalid password or code
+ */
+router.post(
+  '/2fa/disable',
+  authenticate,
+  rejectApiKey,
+  rejectImpersonation,
+  [
+    body('password').exists().withMessage('Password is required'),
+    body('code')
+      .if(body('recoveryCode').not().exists())
+      .notEmpty()
+      .withMessage('Authentication code or recovery code is required'),
+    body('recoveryCode').optional().isString(),
+  ],
+  validateRequest,
+  disableTwoFactorController
+);
+
+// @route   GET /api/auth/me
+// @desc    Get current organizer profile
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get current organizer profile
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Organizer profile
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me', authenticate, rejectApiKey, getMe);
+
+// @route   PATCH /api/auth/me
+// @desc    Update current organizer profile
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   patch:
+ *     summary: Update current organizer profile
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               company:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Updated profile
+ *       400:
+ *         description: No profile fields to update
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch(
+  '/me',
+  authenticate,
+  rejectApiKey,
+  [
+    body('name')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Name cannot be empty')
+      .isLength({ max: 100 })
+      .withMessage('Name must be at most 100 characters'),
+    body('phone')
+      .optional({ checkFalsy: true })
+      .isMobilePhone()
+      .withMessage('Please include a valid phone number'),
+    body('company')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Company name cannot be empty')
+      .isLength({ max: 100 })
+      .withMessage('Company name must be at most 100 characters'),
+  ],
+  validateRequest,
+  updateProfileController
+);
+
+// @route   POST /api/auth/me/avatar
+// @desc    Upload a new avatar
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/me/avatar:
+ *   post:
+ *     summary: Upload a new avatar
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - avatar
+ *             properties:
+ *               avatar:
+ *                 type: string
+ *                 format: binary
+ *                 description: JPEG, PNG or WebP image, at most 2MB
+ *     responses:
+ *       200:
+ *         description: Updated profile with the new avatar URL
+ *       400:
+ *         description: No file uploaded
+ *       413:
+ *         description: File too large
+ *       415:
+ *         description: The file's content is not a JPEG, PNG or WebP image
+ */
+router.post(
+  '/me/avatar',
+  authenticate,
+  rejectApiKey,
+  imageUpload('avatar', { maxSize: MAX_AVATAR_SIZE }),
+  uploadAvatarController
+);
+
+// @route   GET /api/auth/me/export
+// @desc    Download all data stored about the current organizer
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/me/export:
+ *   get:
+ *     summary: Download all data stored about the current organizer
+ *     description: >
+ *       The ZIP archive contains profile.json, events.json, attendees.csv and
+ *       payments.csv. With format=json the same data is returned as one document.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [zip, json]
+ *           default: zip
+ *     responses:
+ *       200:
+ *         description: Account data archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/json:
+ *             schema:
+ *               type: object
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/me/export',
+  authenticate,
+  rejectApiKey,
+  [
+    query('format')
+      .optional()
+      .isIn(['zip', 'json'])
+      .withMessage('Format must be zip or json'),
+  ],
+  validateRequest,
+  exportAccountDataController
+);
+
+// @route   DELETE /api/auth/me
+// @desc    Schedule the current organizer's account for deletion
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   delete:
+ *     summary: Schedule the current organizer's account for deletion
+ *     description: >
+ *       The account, its events, attendees and files are deleted once the grace
+ *       period (30 days by default) ends. Payment records are kept for accounting
+ *       in anonymized form. Until then the deletion can be cancelled.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       202:
+ *         description: Deletion scheduled
+ *       401:
+ *         description: Password is incorrect
+ *       409:
+ *         description: Deletion is already scheduled
+ */
+router.delete(
+  '/me',
+  authenticate,
+  rejectApiKey,
+  rejectImpersonation,
+  [
+    body('password').exists().withMessage('Password is required'),
+  ],
+  validateRequest,
+  deleteAccountController
+);
+
+// @route   POST /api/auth/me/cancel-deletion
+// @desc    Cancel a scheduled account deletion
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/me/cancel-deletion:
+ *   post:
+ *     summary: Cancel a scheduled account deletion
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deletion cancelled
+ *       409:
+ *         description: No deletion is scheduled
+ */
+router.post('/me/cancel-deletion', authenticate, rejectApiKey, rejectImpersonation, cancelAccountDeletionController);
+
+// @route   POST /api/auth/me/calendar-feed
+// @desc    Create a calendar feed URL for the current organizer's events
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/me/calendar-feed:
+ *   post:
+ *     summary: Create a calendar feed URL for your events
+ *     description: >
+ *       Returns a secret iCalendar URL that calendar apps can subscribe to. It lists
+ *       your published, postponed, cancelled and completed events from the last 90
+ *       days onwards. Creating a new URL stops the previous one from working.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Feed URL, shown only once
+ *       401:
+ *         description: Unauthorized
+ *   delete:
+ *     summary: Turn off your calendar feed
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Feed turned off
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/me/calendar-feed', authenticate, rejectApiKey, rejectImpersonation, createCalendarFeedController);
+
+// @route   DELETE /api/auth/me/calendar-feed
+// @desc    Turn off the current organizer's calendar feed
+// @access  Private
+router.delete('/me/calendar-feed', authenticate, rejectApiKey, rejectImpersonation, deleteCalendarFeedController);
+
+// @route   POST /api/auth/change-password
+// @desc    Change password of the current organizer
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change password
+ *     description: Signs out every other session of the organizer.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       401:
+ *         description: Current password is incorrect
+ */
+router.post(
+  '/change-password',
+  authenticate,
+  rejectApiKey,
+  rejectImpersonation,
+  [
+    body('currentPassword').notEmpty().withMessage('Current password is required'),
+    body('newPassword')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters long')
+      .custom((value, { req }) => value !== req.body.currentPassword)
+      .withMessage('New password must be different from the current password'),
+  ],
+  validateRequest,
+  changePasswordController
+);
+
+// @route   POST /api/auth/change-email
+// @desc    Request an email change; confirmed from the new address
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/change-email:
+ *   post:
+ *     summary: Request an email change
+ *     description: Sends a confirmation link to the new address. The email only changes once the link is opened.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newEmail
+ *               - password
+ *             properties:
+ *               newEmail:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Confirmation link sent
+ *       401:
+ *         description: Password is incorrect
+ *       409:
+ *         description: Email already registered
+ */
+router.post(
+  '/change-email',
+  authenticate,
+  rejectApiKey,
+  rejectImpersonation,
+  [
+    body('newEmail')
+      .isEmail()
+      .withMessage('Please include a valid email'),
+    body('password').notEmpty().withMessage('Password is required'),
+  ],
+  validateRequest,
+  requestEmailChangeController
+);
+
+// @route   GET /api/auth/confirm-email-change
+// @desc    Confirm a new email address from the emailed link
+// @access  Public
+
+/**
+ * @swagger
+ * /api/auth/confirm-email-change:
+ *   get:
+ *     summary: Confirm a new email address
+ *     description: Signs out every session, since their tokens carry the old address.
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email address updated
+ *       400:
+ *         description: Invalid or expired confirmation link
+ *       409:
+ *         description: Email already registered
+ */
+router.get(
+  '/confirm-email-change',
+  [
+    query('token').notEmpty().withMessage('Confirmation token is required'),
+  ],
+  validateRequest,
+  confirmEmailChangeController
+);
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions of the current organizer
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions of the current organizer
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions with device name, IP, user agent and last use
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', authenticate, rejectApiKey, getSessionsController);
+
+// @route   POST /api/auth/sessions/revoke-all
+// @desc    Sign out everywhere
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/sessions/revoke-all:
+ *   post:
+ *     summary: Sign out of all sessions, including the current one
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/sessions/revoke-all', authenticate, rejectApiKey, rejectImpersonation, revokeAllSessionsController);
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke a single session
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke a single session
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete(
+  '/sessions/:sessionId',
+  authenticate,
+  rejectApiKey,
+  [
+    param('sessionId').isUUID().withMessage('Invalid session ID format'),
+  ],
+  validateRequest,
+  revokeSessionController
+);
 
 export default router;
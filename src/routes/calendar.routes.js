@@ -0,0 +1,52 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Calendar
+ *   description: iCalendar feeds for calendar apps
+ */
+
+import { Router } from 'express';
+import { param } from 'express-validator';
+import { validateRequest } from '../middleware/validateRequest.middleware.js';
+import { getCalendarFeedController } from '../controllers/calendar.controller.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * /api/calendar/feeds/{token}.ics:
+ *   get:
+ *     summary: Get an organizer's events as a calendar feed
+ *     description: >
+ *       Subscribable iCalendar feed. The URL, including its secret token, is
+ *       created with POST /api/auth/me/calendar-feed.
+ *     tags: [Calendar]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: iCalendar feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: No calendar feed uses this token
+ */
+router.get(
+  '/feeds/:token.ics',
+  [
+    param('token')
+      .matches(/^[a-f0-9]{64}$/)
+      .withMessage('Invalid calendar feed token'),
+    validateRequest
+  ],
+  getCalendarFeedController
+);
+
+export default router;
@@ -8,9 +8,16 @@
 import { Router } from 'express';
 import { body, param, query } from 'express-validator';
 import { validateRequest } from '../middleware/validateRequest.middleware.js';
-import { authenticate, authorize } from '../middleware/auth.middleware.js';
-import { validateFileUpload } from '../middleware/validateRequest.middleware.js';
-import multer from 'multer';
+import { isValidTimezone } from '../utils/timezone.util.js';
+import {
+  authenticate,
+  authorize,
+  authorizeEvent,
+  requireScope,
+  rejectApiKey
+} from '../middleware/auth.middleware.js';
+import { imageUpload } from '../middleware/upload.middleware.js';
+import { EVENT_STATUSES } from '../utils/eventLifecycle.util.js';
 import {
   createEventController,
   getEventsController,
@@ -18,15 +25,65 @@ import {
   updateEventController,
   deleteEventController,
   getEventStatsController,
-  publishEventController
+  publishEventController,
+  unpublishEventController,
+  postponeEventController,
+  cancelEventController,
+  completeEventController,
+  duplicateEventController
 } from '../controllers/event.controller.js';
+import { acceptInvitationController } from '../controllers/member.controller.js';
+import memberRoutes from './member.routes.js';
+import scannerDeviceRoutes from './scannerDevice.routes.js';
+import ticketTypeRoutes from './ticketType.routes.js';
+import eventSessionRoutes from './eventSession.routes.js';
+import eventImageRoutes from './eventImage.routes.js';
 
 const router = Router();
-const upload = multer({ dest: 'uploads/' });
 
 // Apply authentication middleware to all routes
 router.use(authenticate);
 
+/**
+ * @swagger
+ * /api/events/invitations/accept:
+ *   post:
+ *     summary: Accept an event team invitation
+ *     tags: [Event Team]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Invitation token from the email
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *       400:
+ *         description: Invalid or expired invitation
+ *       403:
+ *         description: Invitation was sent to a different email address
+ */
+router.post(
+  '/invitations/accept',
+  [
+    body('token')
+      .notEmpty()
+      .withMessage('Invitation token is required'),
+    validateRequest
+  ],
+  rejectApiKey,
+  acceptInvitationController
+);
+
 /**
  * @swagger
  * /api/events:
@@ -40,17 +97,81 @@ router.use(authenticate);
  *         name: status
  *         schema:
  *           type: string
- *           enum: [draft, published, cancelled, completed]
+ *           enum: [draft, published, postponed, cancelled, completed]
  *         description: Filter events by status
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only events ending on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only events starting on or before this date
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches the title or description
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [start_date, created_at, title]
+ *           default: start_date
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
  *     responses:
  *       200:
- *         description: List of events
+ *         description: Page of events with pagination metadata
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Event'
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     events:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Event'
  *       401:
  *         description: Unauthorized
  *       500:
@@ -61,10 +182,47 @@ router.get(
   [
     query('status')
       .optional()
-      .isIn(['draft', 'published', 'cancelled', 'completed'])
+      .isIn(EVENT_STATUSES)
       .withMessage('Invalid status value'),
+    query('category')
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Category must be at most 50 characters'),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('Invalid from date format'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('Invalid to date format'),
+    query('search')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Search must be at most 100 characters'),
+    query('sort')
+      .optional()
+      .isIn(['start_date', 'created_at', 'title'])
+      .withMessage('Sort must be start_date, created_at or title'),
+    query('order')
+      .optional()
+      .isIn(['asc', 'desc'])
+      .withMessage('Order must be asc or desc'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .toInt(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+      .toInt(),
     validateRequest
   ],
+  requireScope('events:read'),
   getEventsController
 );
 
@@ -99,14 +257,21 @@ router.get(
  *               start_date:
  *                 type: string
  *                 format: date-time
- *                 description: Event start date in ISO8601 format
+ *                 description: Event start date in ISO8601 format; without an offset it is local time in the event timezone
  *               end_date:
  *                 type: string
  *                 format: date-time
- *                 description: Event end date in ISO8601 format
+ *                 description: Event end date in ISO8601 format; without an offset it is local time in the event timezone
+ *               timezone:
+ *                 type: string
+ *                 example: Europe/Berlin
+ *                 description: IANA timezone the event takes place in; defaults to the server default timezone
  *               location:
  *                 type: string
  *                 description: Event location
+ *               city:
+ *                 type: string
+ *                 description: City the event takes place in, used by the public event filters
  *               category:
  *                 type: string
  *                 description: Event category
@@ -114,6 +279,9 @@ router.get(
  *                 type: integer
  *                 minimum: 1
  *                 description: Maximum number of attendees
+ *               waitlist_enabled:
+ *                 type: boolean
+ *                 description: Waitlist registrations once capacity is reached instead of rejecting them
  *               is_online:
  *                 type: boolean
  *                 description: Whether the event is online
@@ -124,7 +292,7 @@ router.get(
  *               image:
  *                 type: string
  *                 format: binary
- *                 description: Event image (JPEG, PNG, or WebP, max 5MB)
+ *                 description: Cover image (JPEG, PNG, or WebP, max 5MB), added as the first image of the gallery
  *     responses:
  *       201:
  *         description: Event created successfully
@@ -141,7 +309,8 @@ router.get(
  */
 router.post(
   '/',
-  upload.single('image'),
+  requireScope('events:write'),
+  imageUpload('image'),
   [
     body('title')
       .trim()
@@ -159,10 +328,19 @@ router.post(
     body('end_date')
       .isISO8601()
       .withMessage('Invalid end date format. Use ISO8601 format (e.g., 2023-12-31T23:59:59Z)'),
+    body('timezone')
+      .optional()
+      .custom(isValidTimezone)
+      .withMessage('Timezone must be an IANA timezone name (e.g., Europe/Berlin)'),
     body('location')
       .trim()
       .notEmpty()
       .withMessage('Location is required'),
+    body('city')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('City must be less than 100 characters'),
     body('category')
       .optional()
       .isString()
@@ -171,6 +349,11 @@ router.post(
       .optional()
       .isInt({ min: 1 })
       .withMessage('Capacity must be a positive integer'),
+    body('waitlist_enabled')
+      .optional()
+      .isBoolean()
+      .withMessage('waitlist_enabled must be a boolean')
+      .toBoolean(),
     body('is_online')
       .optional()
       .isBoolean()
@@ -179,8 +362,11 @@ router.post(
       .optional()
       .isURL()
       .withMessage('Invalid online URL format'),
-    validateRequest,
-    validateFileUpload('image', ['image/jpeg', 'image/png', 'image/webp'], 5 * 1024 * 1024) // 5MB max
+    body('image_url')
+      .not()
+      .exists()
+      .withMessage('Upload an image instead; image_url follows the cover image of the gallery'),
+    validateRequest
   ],
   createEventController
 );
@@ -225,6 +411,7 @@ router.get(
       .withMessage('Invalid event ID format'),
     validateRequest
   ],
+  authorizeEvent('event:read'),
   getEventController
 );
 
@@ -233,6 +420,7 @@ router.get(
  * /api/events/{id}:
  *   patch:
  *     summary: Update an existing event
+ *     description: Only the fields listed below can be changed; other fields, such as the owner, slug or status, are ignored.
  *     tags: [Events]
  *     security:
  *       - bearerAuth: []
@@ -260,14 +448,21 @@ router.get(
  *               start_date:
  *                 type: string
  *                 format: date-time
- *                 description: New start date in ISO8601 format
+ *                 description: New start date in ISO8601 format; without an offset it is local time in the event timezone
  *               end_date:
  *                 type: string
  *                 format: date-time
- *                 description: New end date in ISO8601 format
+ *                 description: New end date in ISO8601 format; without an offset it is local time in the event timezone
+ *               timezone:
+ *                 type: string
+ *                 example: Europe/Berlin
+ *                 description: New IANA timezone; the event keeps its start and end instants
  *               location:
  *                 type: string
  *                 description: New event location
+ *               city:
+ *                 type: string
+ *                 description: New event city
  *               category:
  *                 type: string
  *                 description: New event category
@@ -275,6 +470,9 @@ router.get(
  *                 type: integer
  *                 minimum: 1
  *                 description: New maximum number of attendees
+ *               waitlist_enabled:
+ *                 type: boolean
+ *                 description: Waitlist registrations once capacity is reached instead of rejecting them
  *               is_online:
  *                 type: boolean
  *                 description: Whether the event is online
@@ -285,7 +483,7 @@ router.get(
  *               image:
  *                 type: string
  *                 format: binary
- *                 description: New event image (JPEG, PNG, or WebP, max 5MB)
+ *                 description: New cover image (JPEG, PNG, or WebP, max 5MB), replacing the current cover in the gallery
  *     responses:
  *       200:
  *         description: Event updated successfully
@@ -298,7 +496,7 @@ router.get(
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Not the event owner
+ *         description: Forbidden - Event role lacks the required permission
  *       404:
  *         description: Event not found
  *       500:
@@ -306,7 +504,7 @@ router.get(
  */
 router.patch(
   '/:id',
-  upload.single('image'),
+  imageUpload('image'),
   [
     param('id')
       .isUUID()
@@ -326,17 +524,44 @@ router.patch(
       .optional()
       .isISO8601()
       .withMessage('Invalid end date format'),
+    body('timezone')
+      .optional()
+      .custom(isValidTimezone)
+      .withMessage('Timezone must be an IANA timezone name (e.g., Europe/Berlin)'),
+    body('city')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('City must be less than 100 characters'),
     body('capacity')
       .optional()
       .isInt({ min: 1 })
       .withMessage('Capacity must be a positive integer'),
+    body('waitlist_enabled')
+      .optional()
+      .isBoolean()
+      .withMessage('waitlist_enabled must be a boolean')
+      .toBoolean(),
+    body('is_online')
+      .optional()
+      .isBoolean()
+      .withMessage('is_online must be a boolean')
+      .toBoolean(),
     body('online_url')
       .optional()
       .isURL()
       .withMessage('Invalid online URL format'),
-    validateRequest,
-    validateFileUpload('image', ['image/jpeg', 'image/png', 'image/webp'], 5 * 1024 * 1024, true) // 5MB max, optional
+    body('image_url')
+      .not()
+      .exists()
+      .withMessage('Upload an image instead; image_url follows the cover image of the gallery'),
+    body('status')
+      .not()
+      .exists()
+      .withMessage('Use the publish, unpublish, postpone, cancel and complete endpoints to change the status'),
+    validateRequest
   ],
+  authorizeEvent('event:update'),
   updateEventController
 );
 
@@ -364,7 +589,7 @@ router.patch(
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Not the event owner
+ *         description: Forbidden - Event role lacks the required permission
  *       404:
  *         description: Event not found
  *       500:
@@ -378,6 +603,7 @@ router.delete(
       .withMessage('Invalid event ID format'),
     validateRequest
   ],
+  authorizeEvent('event:delete'),
   deleteEventController
 );
 
@@ -409,7 +635,7 @@ router.delete(
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Not the event owner
+ *         description: Forbidden - Event role lacks the required permission
  *       404:
  *         description: Event not found
  *       500:
@@ -423,9 +649,306 @@ router.post(
       .withMessage('Invalid event ID format'),
     validateRequest
   ],
+  authorizeEvent('event:publish'),
   publishEventController
 );
 
+/**
+ * @swagger
+ * /api/events/{id}/unpublish:
+ *   post:
+ *     summary: Take a published event back to draft
+ *     description: Only possible while the event has no attendees; events with attendees must be cancelled.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Event is a draft again
+ *       403:
+ *         description: Forbidden - Event role lacks the required permission
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: Event is not published (code INVALID_STATUS_TRANSITION) or has attendees
+ */
+router.post(
+  '/:id/unpublish',
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Invalid event ID format'),
+    validateRequest
+  ],
+  authorizeEvent('event:publish'),
+  unpublishEventController
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/postpone:
+ *   post:
+ *     summary: Postpone a published event
+ *     description: |
+ *       With new dates the event is rescheduled: it stays published, its sessions move by the same amount
+ *       and attendees are emailed the new dates. Without dates it becomes postponed until it is postponed
+ *       again with new dates. Attendees keep their registration either way.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               start_date:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Without an offset it is local time in the event timezone
+ *               end_date:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Required with start_date
+ *               reason:
+ *                 type: string
+ *                 description: Included in the email to attendees
+ *     responses:
+ *       200:
+ *         description: Event postponed; notified is the number of attendees emailed
+ *       400:
+ *         description: Invalid dates
+ *       403:
+ *         description: Forbidden - Event role lacks the required permission
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: Event cannot be postponed from its status (code INVALID_STATUS_TRANSITION)
+ */
+router.post(
+  '/:id/postpone',
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Invalid event ID format'),
+    body('start_date')
+      .optional()
+      .isISO8601()
+      .withMessage('Invalid start date format'),
+    body('end_date')
+      .if(body('start_date').exists())
+      .notEmpty()
+      .withMessage('End date is required with a new start date')
+      .bail()
+      .isISO8601()
+      .withMessage('Invalid end date format'),
+    body('end_date')
+      .if(body('start_date').not().exists())
+      .not()
+      .exists()
+      .withMessage('A new start date is required with a new end date'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Reason must be at most 1000 characters'),
+    validateRequest
+  ],
+  authorizeEvent('event:publish'),
+  postponeEventController
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/cancel:
+ *   post:
+ *     summary: Cancel an event
+ *     description: |
+ *       Emails every attendee who has not cancelled, including the waitlist. With refund set, every
+ *       captured payment of the event is refunded, which needs an event role with the refund permission.
+ *       A cancelled event can no longer be edited.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Stored on the event and included in the email to attendees
+ *               refund:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Event cancelled, with the number of attendees emailed and refunds made or failed
+ *       403:
+ *         description: Forbidden - Event role lacks the required permission
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: Event is already cancelled or completed (code INVALID_STATUS_TRANSITION)
+ */
+router.post(
+  '/:id/cancel',
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Invalid event ID format'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Reason must be at most 1000 characters'),
+    body('refund')
+      .optional()
+      .isBoolean()
+      .withMessage('refund must be a boolean')
+      .toBoolean(),
+    validateRequest
+  ],
+  authorizeEvent('event:publish'),
+  cancelEventController
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/complete:
+ *   post:
+ *     summary: Mark an event as completed
+ *     description: Published events are completed automatically after their end date; this completes one early once it has started.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Event completed
+ *       403:
+ *         description: Forbidden - Event role lacks the required permission
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: Event is not published (code INVALID_STATUS_TRANSITION) or has not started
+ */
+router.post(
+  '/:id/complete',
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Invalid event ID format'),
+    validateRequest
+  ],
+  authorizeEvent('event:publish'),
+  completeEventController
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/duplicate:
+ *   post:
+ *     summary: Duplicate an event into a new draft
+ *     description: |
+ *       Copies the event's settings, images, ticket types and sessions into a new draft owned by the caller.
+ *       Attendees are only copied with include_attendees, as fresh registrations without check-ins;
+ *       payments are never copied.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID to duplicate
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: Defaults to the original title followed by (copy)
+ *               offset_days:
+ *                 type: integer
+ *                 default: 0
+ *                 description: Days to move the event, sales windows and sessions by
+ *                 example: 28
+ *               include_attendees:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: New draft event with the number of images, ticket types, sessions and attendees copied
+ *       400:
+ *         description: Invalid input data
+ *       403:
+ *         description: Forbidden - Event role lacks the required permission
+ *       404:
+ *         description: Event not found
+ */
+router.post(
+  '/:id/duplicate',
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Invalid event ID format'),
+    body('title')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Title cannot be empty')
+      .isLength({ max: 100 })
+      .withMessage('Title must be less than 100 characters'),
+    body('offset_days')
+      .optional()
+      .isInt({ min: -3650, max: 3650 })
+      .withMessage('offset_days must be a whole number of days')
+      .toInt(),
+    body('include_attendees')
+      .optional()
+      .isBoolean()
+      .withMessage('include_attendees must be a boolean')
+      .toBoolean(),
+    validateRequest
+  ],
+  authorizeEvent('event:update'),
+  duplicateEventController
+);
+
 /**
  * @swagger
  * /api/events/{id}/stats:
@@ -466,7 +989,7 @@ router.post(
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Not the event owner
+ *         description: Forbidden - Event role lacks the required permission
  *       404:
  *         description: Event not found
  *       500:
@@ -480,7 +1003,23 @@ router.get(
       .withMessage('Invalid event ID format'),
     validateRequest
   ],
+  authorizeEvent('event:read'),
   getEventStatsController
 );
 
+// Event team management
+router.use('/:id/members', memberRoutes);
+
+// Scan-only credentials for door devices
+router.use('/:id/scanner-devices', scannerDeviceRoutes);
+
+// Ticket types, prices and sales windows
+router.use('/:id/ticket-types', ticketTypeRoutes);
+
+// Agenda sessions, sign-ups and attendance
+router.use('/:id/sessions', eventSessionRoutes);
+
+// Image gallery and cover image
+router.use('/:id/images', eventImageRoutes);
+
 export default router;
@@ -0,0 +1,375 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Event Images
+ *   description: Image gallery of an event, with generated thumbnail, card and hero variants
+ */
+
+import { Router } from 'express';
+import { body, param } from 'express-validator';
+import { validateRequest } from '../middleware/validateRequest.middleware.js';
+import { authorizeEvent } from '../middleware/auth.middleware.js';
+import { imageUpload } from '../middleware/upload.middleware.js';
+import {
+  getEventImagesController,
+  uploadEventImageController,
+  updateEventImageController,
+  reorderEventImagesController,
+  deleteEventImageController
+} from '../controllers/eventImage.controller.js';
+import { MAX_EVENT_IMAGES } from '../services/eventImage.service.js';
+
+// Mounted under /api/events/:id/images
+const router = Router({ mergeParams: true });
+
+const eventIdValidation = param('id')
+  .isUUID()
+  .withMessage('Invalid event ID format');
+
+const imageIdValidation = param('imageId')
+  .isUUID()
+  .withMessage('Invalid image ID format');
+
+const altTextValidation = body('alt_text')
+  .optional({ nullable: true })
+  .isString()
+  .trim()
+  .isLength({ max: 300 })
+  .withMessage('Alt text must be at most 300 characters');
+
+const isCoverValidation = body('is_cover')
+  .optional()
+  .isBoolean()
+  .withMessage('is_cover must be a boolean')
+  .toBoolean();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EventImageVariant:
+ *       type: object
+ *       properties:
+ *         path:
+ *           type: string
+ *         url:
+ *           type: string
+ *           format: uri
+ *         width:
+ *           type: integer
+ *         height:
+ *           type: integer
+ *     EventImage:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         event_id:
+ *           type: string
+ *           format: uuid
+ *         variants:
+ *           type: object
+ *           description: WebP renditions; thumbnail is 200x200 and card 600x400, both cropped, hero fits within 1600x900
+ *           properties:
+ *             thumbnail:
+ *               $ref: '#/components/schemas/EventImageVariant'
+ *             card:
+ *               $ref: '#/components/schemas/EventImageVariant'
+ *             hero:
+ *               $ref: '#/components/schemas/EventImageVariant'
+ *         width:
+ *           type: integer
+ *           description: Width of the uploaded image
+ *         height:
+ *           type: integer
+ *           description: Height of the uploaded image
+ *         mime_type:
+ *           type: string
+ *           description: Type detected from the uploaded bytes
+ *           example: image/jpeg
+ *         size:
+ *           type: integer
+ *           description: Size of the uploaded file in bytes
+ *         alt_text:
+ *           type: string
+ *           nullable: true
+ *         position:
+ *           type: integer
+ *         is_cover:
+ *           type: boolean
+ *           description: The cover's hero variant is the event's image_url
+ *         uploaded_by:
+ *           type: string
+ *           format: uuid
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/events/{id}/images:
+ *   get:
+ *     summary: Get the image gallery of an event
+ *     description: Images in display order.
+ *     tags: [Event Images]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: List of images
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     images:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/EventImage'
+ *       404:
+ *         description: Event not found
+ */
+router.get(
+  '/',
+  [eventIdValidation, validateRequest],
+  authorizeEvent('event:read'),
+  getEventImagesController
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/images:
+ *   post:
+ *     summary: Upload an image to the gallery
+ *     description: |
+ *       The file type is detected from its content; JPEG, PNG and WebP are accepted.
+ *       The image is stored as thumbnail, card and hero WebP variants, upright and without metadata.
+ *       The first image of an event becomes its cover. An event can have at most 10 images.
+ *     tags: [Event Images]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [image]
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *                 description: JPEG, PNG, or WebP image, max 5MB
+ *               alt_text:
+ *                 type: string
+ *                 maxLength: 300
+ *               is_cover:
+ *                 type: boolean
+ *                 description: Make the image the cover
+ *     responses:
+ *       201:
+ *         description: Image added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     image:
+ *                       $ref: '#/components/schemas/EventImage'
+ *       400:
+ *         description: No image uploaded, or the image could not be processed
+ *       403:
+ *         description: Event role cannot update the event
+ *       409:
+ *         description: The gallery is full
+ *       413:
+ *         description: File too large
+ *       415:
+ *         description: The file is not a JPEG, PNG, or WebP image
+ */
+router.post(
+  '/',
+  imageUpload('image'),
+  [
+    eventIdValidation,
+    altTextValidation,
+    isCoverValidation,
+    validateRequest
+  ],
+  authorizeEvent('event:update'),
+  uploadEventImageController
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/images/order:
+ *   put:
+ *     summary: Set the display order of the gallery
+ *     tags: [Event Images]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [image_ids]
+ *             properties:
+ *               image_ids:
+ *                 type: array
+ *                 description: Every image ID of the event, in the new order
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *     responses:
+ *       200:
+ *         description: Images in the new order
+ *       400:
+ *         description: image_ids does not list every image of the event exactly once
+ *       403:
+ *         description: Event role cannot update the event
+ */
+router.put(
+  '/order',
+  [
+    eventIdValidation,
+    body('image_ids')
+      .isArray({ min: 1, max: MAX_EVENT_IMAGES })
+      .withMessage(`image_ids must be a list of at most ${MAX_EVENT_IMAGES} image IDs`),
+    body('image_ids.*')
+      .isUUID()
+      .withMessage('Invalid image ID format'),
+    validateRequest
+  ],
+  authorizeEvent('event:update'),
+  reorderEventImagesController
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/images/{imageId}:
+ *   patch:
+ *     summary: Update the alt text of an image or make it the cover
+ *     description: The cover's hero variant becomes the event's image_url.
+ *     tags: [Event Images]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               alt_text:
+ *                 type: string
+ *                 nullable: true
+ *                 maxLength: 300
+ *               is_cover:
+ *                 type: boolean
+ *                 description: True makes the image the cover; the cover moves by choosing another image, not by unsetting it
+ *     responses:
+ *       200:
+ *         description: Image updated
+ *       404:
+ *         description: Image not found
+ *       409:
+ *         description: The cover was unset without choosing another image
+ */
+router.patch(
+  '/:imageId',
+  [
+    eventIdValidation,
+    imageIdValidation,
+    altTextValidation,
+    isCoverValidation,
+    validateRequest
+  ],
+  authorizeEvent('event:update'),
+  updateEventImageController
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/images/{imageId}:
+ *   delete:
+ *     summary: Delete an image and all of its variants
+ *     description: Deleting the cover makes the next image in the gallery the cover.
+ *     tags: [Event Images]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Image deleted
+ *       404:
+ *         description: Image not found
+ */
+router.delete(
+  '/:imageId',
+  [eventIdValidation, imageIdValidation, validateRequest],
+  authorizeEvent('event:update'),
+  deleteEventImageController
+);
+
+export default router;
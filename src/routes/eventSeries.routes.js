@@ -0,0 +1,529 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Event Series
+ *   description: Recurring events generated from an RFC 5545 recurrence rule
+ */
+
+import { Router } from 'express';
+import { body, param, query } from 'express-validator';
+import { validateRequest } from '../middleware/validateRequest.middleware.js';
+import { isValidTimezone } from '../utils/timezone.util.js';
+import { requireScope } from '../middleware/auth.middleware.js';
+import {
+  createEventSeriesController,
+  getEventSeriesListController,
+  getEventSeriesController,
+  updateEventSeriesController,
+  generateOccurrencesController,
+  updateOccurrenceController,
+  addSeriesExceptionController,
+  getEventSeriesStatsController
+} from '../controllers/eventSeries.controller.js';
+
+const router = Router();
+
+// Occurrences can be generated at most this far ahead
+const MAX_GENERATION_YEARS = 2;
+
+const seriesIdValidation = param('seriesId')
+  .isUUID()
+  .withMessage('Invalid series ID format');
+
+/**
+ * Check that a generation horizon is in the future and not too far ahead
+ * @param {string} value - ISO 8601 date
+ * @returns {boolean} True if valid
+ */
+const isWithinGenerationHorizon = (value) => {
+  const date = new Date(value);
+  const limit = new Date();
+  limit.setFullYear(limit.getFullYear() + MAX_GENERATION_YEARS);
+
+  if (date <= new Date() || date > limit) {
+    throw new Error(`Date must be in the future and at most ${MAX_GENERATION_YEARS} years ahead`);
+  }
+  return true;
+};
+
+// Template fields copied to every occurrence; optional on create and update
+const templateFieldValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Title cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Title must be less than 100 characters'),
+  body('description')
+    .optional()
+    .trim(),
+  body('location')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Location cannot be empty'),
+  body('category')
+    .optional()
+    .isString()
+    .withMessage('Category must be a string'),
+  body('capacity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Capacity must be a positive integer')
+    .toInt(),
+  body('is_online')
+    .optional()
+    .isBoolean()
+    .withMessage('is_online must be a boolean')
+    .toBoolean(),
+  body('online_url')
+    .optional()
+    .isURL()
+    .withMessage('Invalid online URL format'),
+  body('waitlist_enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('waitlist_enabled must be a boolean')
+    .toBoolean(),
+  body('recurrence_rule')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Recurrence rule cannot be empty'),
+];
+
+/**
+ * @swagger
+ * /api/event-series:
+ *   post:
+ *     summary: Create an event series
+ *     description: >
+ *       start_date and end_date describe the first occurrence; every occurrence
+ *       keeps the same length and the same local start time in the series timezone,
+ *       across daylight saving changes. Occurrences are created as draft events, by
+ *       default for the next 6 months, at most 100 at a time.
+ *     tags: [Event Series]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - location
+ *               - start_date
+ *               - end_date
+ *               - recurrence_rule
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               capacity:
+ *                 type: integer
+ *               is_online:
+ *                 type: boolean
+ *               online_url:
+ *                 type: string
+ *                 format: uri
+ *               waitlist_enabled:
+ *                 type: boolean
+ *               timezone:
+ *                 type: string
+ *                 example: Europe/Berlin
+ *                 description: IANA timezone of the series; cannot be changed later
+ *               start_date:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Without an offset it is local time in the series timezone
+ *               end_date:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Without an offset it is local time in the series timezone
+ *               recurrence_rule:
+ *                 type: string
+ *                 description: RRULE value (daily or less frequent)
+ *                 example: FREQ=WEEKLY;BYDAY=TU;UNTIL=20270101T000000Z
+ *               generate_until:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Generate occurrences up to this date (at most 2 years ahead)
+ *     responses:
+ *       201:
+ *         description: Series created with its first occurrences
+ *       400:
+ *         description: Invalid input or recurrence rule
+ */
+router.post(
+  '/',
+  requireScope('events:write'),
+  [
+    body('title').exists().withMessage('Title is required'),
+    body('location').exists().withMessage('Location is required'),
+    body('recurrence_rule').exists().withMessage('Recurrence rule is required'),
+    ...templateFieldValidation,
+    body('start_date')
+      .isISO8601()
+      .withMessage('Invalid start date format. Use ISO8601 format (e.g., 2023-12-31T23:59:59Z)'),
+    body('end_date')
+      .isISO8601()
+      .withMessage('Invalid end date format. Use ISO8601 format (e.g., 2023-12-31T23:59:59Z)'),
+    body('timezone')
+      .optional()
+      .custom(isValidTimezone)
+      .withMessage('Timezone must be an IANA timezone name (e.g., Europe/Berlin)'),
+    body('generate_until')
+      .optional()
+      .isISO8601()
+      .withMessage('Invalid generate_until date format')
+      .bail()
+      .custom(isWithinGenerationHorizon),
+    validateRequest
+  ],
+  createEventSeriesController
+);
+
+/**
+ * @swagger
+ * /api/event-series:
+ *   get:
+ *     summary: List the event series of the current organizer
+ *     tags: [Event Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated list of series
+ */
+router.get(
+  '/',
+  requireScope('events:read'),
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .toInt(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+      .toInt(),
+    validateRequest
+  ],
+  getEventSeriesListController
+);
+
+/**
+ * @swagger
+ * /api/event-series/{seriesId}:
+ *   get:
+ *     summary: Get a series with its occurrences
+ *     tags: [Event Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Series and occurrences in date order
+ *       404:
+ *         description: Series not found
+ */
+router.get(
+  '/:seriesId',
+  requireScope('events:read'),
+  [seriesIdValidation, validateRequest],
+  getEventSeriesController
+);
+
+/**
+ * @swagger
+ * /api/event-series/{seriesId}:
+ *   patch:
+ *     summary: Update a series and its future occurrences
+ *     description: >
+ *       Template fields are copied to future occurrences unless overridden on the
+ *       occurrence. A new recurrence rule removes future occurrences that no longer
+ *       match (unless they have attendees or a moved date) and generates the new dates.
+ *     tags: [Event Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               capacity:
+ *                 type: integer
+ *               recurrence_rule:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Series updated
+ *       404:
+ *         description: Series not found
+ *       409:
+ *         description: A future occurrence is completed and its changed fields can no longer be edited
+ */
+router.patch(
+  '/:seriesId',
+  requireScope('events:write'),
+  [
+    seriesIdValidation,
+    ...templateFieldValidation,
+    // Occurrence dates are generated in the series timezone, so it is fixed at creation
+    body('timezone')
+      .not()
+      .exists()
+      .withMessage('Timezone of a series cannot be changed'),
+    validateRequest
+  ],
+  updateEventSeriesController
+);
+
+/**
+ * @swagger
+ * /api/event-series/{seriesId}/occurrences:
+ *   post:
+ *     summary: Generate occurrences up to a date
+ *     tags: [Event Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - until
+ *             properties:
+ *               until:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Newly created occurrences
+ *       404:
+ *         description: Series not found
+ */
+router.post(
+  '/:seriesId/occurrences',
+  requireScope('events:write'),
+  [
+    seriesIdValidation,
+    body('until')
+      .isISO8601()
+      .withMessage('Invalid until date format')
+      .bail()
+      .custom(isWithinGenerationHorizon),
+    validateRequest
+  ],
+  generateOccurrencesController
+);
+
+/**
+ * @swagger
+ * /api/event-series/{seriesId}/occurrences/{eventId}:
+ *   patch:
+ *     summary: Override the date, venue or capacity of one occurrence
+ *     tags: [Event Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               start_date:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Without an offset it is local time in the event timezone
+ *               end_date:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Without an offset it is local time in the event timezone
+ *               location:
+ *                 type: string
+ *               capacity:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Occurrence updated
+ *       404:
+ *         description: Series or occurrence not found
+ *       409:
+ *         description: The occurrence is cancelled, or completed and the fields can no longer be edited
+ */
+router.patch(
+  '/:seriesId/occurrences/:eventId',
+  requireScope('events:write'),
+  [
+    seriesIdValidation,
+    param('eventId')
+      .isUUID()
+      .withMessage('Invalid event ID format'),
+    body('start_date')
+      .optional()
+      .isISO8601()
+      .withMessage('Invalid start date format'),
+    body('end_date')
+      .optional()
+      .isISO8601()
+      .withMessage('Invalid end date format'),
+    body('location')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Location cannot be empty'),
+    body('capacity')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Capacity must be a positive integer')
+      .toInt(),
+    validateRequest
+  ],
+  updateOccurrenceController
+);
+
+/**
+ * @swagger
+ * /api/event-series/{seriesId}/exceptions:
+ *   post:
+ *     summary: Remove a date from a series
+ *     description: |
+ *       The occurrence is deleted, or cancelled if it already has attendees. Attendees of a
+ *       cancelled occurrence are emailed with a calendar cancellation, as when cancelling an event.
+ *     tags: [Event Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Original start of the occurrence
+ *     responses:
+ *       200:
+ *         description: Date excluded
+ *       400:
+ *         description: Date is not an occurrence of the series
+ *       409:
+ *         description: Date is already excluded, or its occurrence has attendees and can no longer be cancelled
+ */
+router.post(
+  '/:seriesId/exceptions',
+  requireScope('events:write'),
+  [
+    seriesIdValidation,
+    body('date')
+      .isISO8601()
+      .withMessage('Invalid date format'),
+    validateRequest
+  ],
+  addSeriesExceptionController
+);
+
+/**
+ * @swagger
+ * /api/event-series/{seriesId}/stats:
+ *   get:
+ *     summary: Get attendance across all occurrences of a series
+ *     tags: [Event Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Series totals and per-occurrence attendee counts
+ *       404:
+ *         description: Series not found
+ */
+router.get(
+  '/:seriesId/stats',
+  requireScope('events:read'),
+  [seriesIdValidation, validateRequest],
+  getEventSeriesStatsController
+);
+
+export default router;
@@ -0,0 +1,492 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Sessions
+ *   description: Agenda sessions of an event, attendee sign-ups and per-session attendance
+ */
+
+import { Router } from 'express';
+import { body, param, query } from 'express-validator';
+import { validateRequest } from '../middleware/validateRequest.middleware.js';
+import { authorizeEvent } from '../middleware/auth.middleware.js';
+import {
+  getEventSessionsController,
+  getEventSessionController,
+  createEventSessionController,
+  updateEventSessionController,
+  deleteEventSessionController,
+  getSessionAttendanceController,
+  registerForSessionController,
+  cancelSessionRegistrationController
+} from '../controllers/eventSession.controller.js';
+
+// Mounted under /api/events/:id/sessions
+const router = Router({ mergeParams: true });
+
+const eventIdValidation = param('id')
+  .isUUID()
+  .withMessage('Invalid event ID format');
+
+const sessionIdValidation = param('sessionId')
+  .isUUID()
+  .withMessage('Invalid session ID format');
+
+// Optional on create and update; required fields are added on create
+const sessionFieldValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Title cannot be empty')
+    .isLength({ max: 200 })
+    .withMessage('Title must be at most 200 characters'),
+  body('description')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 5000 })
+    .withMessage('Description must be at most 5000 characters'),
+  body('track')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Track must be at most 100 characters'),
+  body('room')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Room must be at most 100 characters'),
+  body('speakers')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Speakers must be a list of at most 20 speakers'),
+  body('speakers.*.name')
+    .trim()
+    .notEmpty()
+    .withMessage('Speaker name is required')
+    .isLength({ max: 100 })
+    .withMessage('Speaker name must be at most 100 characters'),
+  body('speakers.*.title')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Speaker title must be at most 100 characters'),
+  body('speakers.*.company')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Speaker company must be at most 100 characters'),
+  body('speakers.*.bio')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Speaker bio must be at most 2000 characters'),
+  body('starts_at')
+    .optional()
+    .isISO8601()
+    .withMessage('Start time must be a valid date'),
+  body('ends_at')
+    .optional()
+    .isISO8601()
+    .withMessage('End time must be a valid date'),
+  body('capacity')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Capacity must be a positive integer')
+    .toInt(),
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EventSessionInput:
+ *       type: object
+ *       properties:
+ *         title:
+ *           type: string
+ *           example: Opening keynote
+ *         description:
+ *           type: string
+ *         track:
+ *           type: string
+ *           nullable: true
+ *           example: Main stage
+ *         room:
+ *           type: string
+ *           nullable: true
+ *           example: Hall A
+ *         speakers:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               company:
+ *                 type: string
+ *               bio:
+ *                 type: string
+ *         starts_at:
+ *           type: string
+ *           format: date-time
+ *           description: Without an offset it is local time in the event timezone
+ *         ends_at:
+ *           type: string
+ *           format: date-time
+ *           description: Without an offset it is local time in the event timezone
+ *         capacity:
+ *           type: integer
+ *           nullable: true
+ *           description: Leave empty for a session open to every attendee
+ */
+
+/**
+ * @swagger
+ * /api/events/{id}/sessions:
+ *   get:
+ *     summary: Get the agenda of an event
+ *     description: Sessions in time order, each with the number of attendees signed up, checked in and places remaining.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: query
+ *         name: track
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of sessions
+ *       404:
+ *         description: Event not found
+ */
+router.get(
+  '/',
+  [
+    eventIdValidation,
+    query('track').optional().trim(),
+    validateRequest
+  ],
+  authorizeEvent('event:read'),
+  getEventSessionsController
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/sessions:
+ *   post:
+ *     summary: Add a session to the agenda
+ *     description: The session must take place between the start and end of the event.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/EventSessionInput'
+ *               - required: [title, starts_at, ends_at]
+ *     responses:
+ *       201:
+ *         description: Session created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Event role cannot update the event
+ */
+router.post(
+  '/',
+  [
+    eventIdValidation,
+    body('title').exists().withMessage('Title is required'),
+    body('starts_at').exists().withMessage('Start time is required'),
+    body('ends_at').exists().withMessage('End time is required'),
+    ...sessionFieldValidation,
+    validateRequest
+  ],
+  authorizeEvent('event:update'),
+  createEventSessionController
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/sessions/{sessionId}:
+ *   get:
+ *     summary: Get a session
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session with sign-up and attendance counts
+ *       404:
+ *         description: Session not found
+ */
+router.get(
+  '/:sessionId',
+  [eventIdValidation, sessionIdValidation, validateRequest],
+  authorizeEvent('event:read'),
+  getEventSessionController
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/sessions/{sessionId}:
+ *   patch:
+ *     summary: Update a session
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EventSessionInput'
+ *     responses:
+ *       200:
+ *         description: Session updated
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: Capacity is lower than the number signed up
+ */
+router.patch(
+  '/:sessionId',
+  [
+    eventIdValidation,
+    sessionIdValidation,
+    ...sessionFieldValidation,
+    validateRequest
+  ],
+  authorizeEvent('event:update'),
+  updateEventSessionController
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Delete a session and its sign-ups
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session deleted
+ *       404:
+ *         description: Session not found
+ */
+router.delete(
+  '/:sessionId',
+  [eventIdValidation, sessionIdValidation, validateRequest],
+  authorizeEvent('event:update'),
+  deleteEventSessionController
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/sessions/{sessionId}/attendance:
+ *   get:
+ *     summary: Get the sign-ups and attendance of a session
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session counts and each sign-up with its attendee and check-in time
+ *       404:
+ *         description: Session not found
+ */
+router.get(
+  '/:sessionId/attendance',
+  [eventIdValidation, sessionIdValidation, validateRequest],
+  authorizeEvent('attendees:read'),
+  getSessionAttendanceController
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/sessions/{sessionId}/registrations:
+ *   post:
+ *     summary: Sign an attendee up for a session
+ *     description: Only attendees with a place at the event can sign up, and not for sessions overlapping ones they already signed up for.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [attendee_id]
+ *             properties:
+ *               attendee_id:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       201:
+ *         description: Attendee signed up
+ *       400:
+ *         description: Attendee has no place at the event
+ *       404:
+ *         description: Session or attendee not found
+ *       409:
+ *         description: Already signed up, session full (code SESSION_FULL) or clashing with another session (code SESSION_CLASH)
+ */
+router.post(
+  '/:sessionId/registrations',
+  [
+    eventIdValidation,
+    sessionIdValidation,
+    body('attendee_id')
+      .isUUID()
+      .withMessage('Invalid attendee ID format'),
+    validateRequest
+  ],
+  authorizeEvent('attendees:write'),
+  registerForSessionController
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/sessions/{sessionId}/registrations/{attendeeId}:
+ *   delete:
+ *     summary: Cancel an attendee's sign-up for a session
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: attendeeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Sign-up cancelled
+ *       404:
+ *         description: Session not found or attendee not signed up
+ *       409:
+ *         description: Attendee already attended the session
+ */
+router.delete(
+  '/:sessionId/registrations/:attendeeId',
+  [
+    eventIdValidation,
+    sessionIdValidation,
+    param('attendeeId')
+      .isUUID()
+      .withMessage('Invalid attendee ID format'),
+    validateRequest
+  ],
+  authorizeEvent('attendees:write'),
+  cancelSessionRegistrationController
+);
+
+export default router;
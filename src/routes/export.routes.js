@@ -1,8 +1,9 @@
 import { Router } from 'express';
+import { requireScope } from '../middleware/auth.middleware.js';
 const router = Router();
 
 // Add your export routes here
-router.get('/export', (req, res) => {
+router.get('/export', requireScope('exports:read'), (req, res) => {
     res.json({ message: 'Export route' });
 });
 
@@ -0,0 +1,228 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Event Team
+ *   description: Event team members and their roles
+ */
+
+import { Router } from 'express';
+import { body, param } from 'express-validator';
+import { validateRequest } from '../middleware/validateRequest.middleware.js';
+import { authorizeEvent } from '../middleware/auth.middleware.js';
+import { INVITABLE_EVENT_ROLES } from '../utils/permissions.util.js';
+import {
+  getMembersController,
+  inviteMemberController,
+  updateMemberController,
+  removeMemberController
+} from '../controllers/member.controller.js';
+
+// Mounted under /api/events/:id/members
+const router = Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * /api/events/{id}/members:
+ *   get:
+ *     summary: Get the team of an event
+ *     tags: [Event Team]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Event owner and team members
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a member of this event
+ *       404:
+ *         description: Event not found
+ */
+router.get(
+  '/',
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Invalid event ID format'),
+    validateRequest
+  ],
+  authorizeEvent('event:read'),
+  getMembersController
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/members:
+ *   post:
+ *     summary: Invite someone to the event team
+ *     tags: [Event Team]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [manager, finance, scanner]
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       403:
+ *         description: Event role cannot manage the team
+ *       409:
+ *         description: Email already on the team
+ */
+router.post(
+  '/',
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Invalid event ID format'),
+    body('email')
+      .trim()
+      .isEmail()
+      .withMessage('Please provide a valid email')
+      .toLowerCase(),
+    body('role')
+      .isIn(INVITABLE_EVENT_ROLES)
+      .withMessage(`Role must be one of: ${INVITABLE_EVENT_ROLES.join(', ')}`),
+    validateRequest
+  ],
+  authorizeEvent('members:manage'),
+  inviteMemberController
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/members/{memberId}:
+ *   patch:
+ *     summary: Change the role of a team member
+ *     tags: [Event Team]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Team member ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [manager, finance, scanner]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       403:
+ *         description: Event role cannot manage the team
+ *       404:
+ *         description: Team member not found
+ */
+router.patch(
+  '/:memberId',
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Invalid event ID format'),
+    param('memberId')
+      .isUUID()
+      .withMessage('Invalid member ID format'),
+    body('role')
+      .isIn(INVITABLE_EVENT_ROLES)
+      .withMessage(`Role must be one of: ${INVITABLE_EVENT_ROLES.join(', ')}`),
+    validateRequest
+  ],
+  authorizeEvent('members:manage'),
+  updateMemberController
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/members/{memberId}:
+ *   delete:
+ *     summary: Remove a team member or cancel an invitation
+ *     tags: [Event Team]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Team member ID
+ *     responses:
+ *       204:
+ *         description: Team member removed
+ *       403:
+ *         description: Event role cannot manage the team
+ *       404:
+ *         description: Team member not found
+ */
+router.delete(
+  '/:memberId',
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Invalid event ID format'),
+    param('memberId')
+      .isUUID()
+      .withMessage('Invalid member ID format'),
+    validateRequest
+  ],
+  authorizeEvent('members:manage'),
+  removeMemberController
+);
+
+export default router;
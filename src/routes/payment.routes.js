@@ -1,7 +1,13 @@
 import { Router } from 'express';
 import { body, param } from 'express-validator';
 import { validateRequest } from '../middleware/validateRequest.middleware.js';
-import { authenticate } from '../middleware/auth.middleware.js';
+import {
+  authenticate,
+  authorizeEvent,
+  eventIdFromParam
+} from '../middleware/auth.middleware.js';
+import { findPaymentById } from '../services/payment.service.js';
+import { createError } from '../utils/error.util.js';
 import {
   createPaymentOrder,
   verifyPaymentController,
@@ -13,6 +19,19 @@ import {
 
 const router = Router();
 
+/**
+ * Resolve the event of the payment in the URL
+ */
+const eventIdFromPayment = async (req) => {
+  const payment = await findPaymentById(req.params.paymentId);
+
+  if (!payment) {
+    throw createError(404, 'Payment not found');
+  }
+
+  return payment.event_id;
+};
+
 /**
  * @swagger
  * tags:
@@ -76,6 +95,7 @@ router.post(
       .withMessage('Invalid attendee ID format'),
     validateRequest,
   ],
+  authorizeEvent('payments:write', (req) => req.body.eventId),
   createPaymentOrder
 );
 
@@ -198,6 +218,7 @@ router.post(
       .withMessage('Invalid ticket type ID format'),
     validateRequest,
   ],
+  authorizeEvent('payments:write', eventIdFromParam('eventId')),
   createTicketPaymentLink
 );
 
@@ -265,6 +286,7 @@ router.get(
       .withMessage('Invalid payment ID format'),
     validateRequest,
   ],
+  authorizeEvent('payments:read', eventIdFromPayment),
   getPaymentDetailsController
 );
 
@@ -321,6 +343,7 @@ router.post(
       .withMessage('Amount must be a positive number'),
     validateRequest,
   ],
+  authorizeEvent('payments:refund', eventIdFromPayment),
   refundPaymentController
 );
 
@@ -0,0 +1,196 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Public Events
+ *   description: Unauthenticated discovery of published events for the public website
+ */
+
+import { Router } from 'express';
+import { param, query } from 'express-validator';
+import { validateRequest } from '../middleware/validateRequest.middleware.js';
+import {
+  getPublicEventsController,
+  getPublicEventController,
+  getPublicEventCalendarController
+} from '../controllers/publicEvent.controller.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * /api/public/events:
+ *   get:
+ *     summary: List published events
+ *     description: |
+ *       Published events soonest first, with public fields only. Without a date range only events
+ *       that have not ended are listed. Responses may be cached for a minute.
+ *     tags: [Public Events]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches the title or description
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: online
+ *         schema:
+ *           type: boolean
+ *         description: Only online (true) or in-person (false) events
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only events ending on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only events starting on or before this date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Page of published events
+ *       400:
+ *         description: Invalid filters
+ */
+router.get(
+  '/',
+  [
+    query('search')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Search must be at most 100 characters'),
+    query('category')
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Category must be at most 50 characters'),
+    query('city')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('City must be at most 100 characters'),
+    query('online')
+      .optional()
+      .isBoolean()
+      .withMessage('online must be a boolean')
+      .toBoolean(),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('Invalid from date format'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('Invalid to date format'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+    validateRequest
+  ],
+  getPublicEventsController
+);
+
+/**
+ * @swagger
+ * /api/public/events/{slug}:
+ *   get:
+ *     summary: Get a published event by its slug
+ *     description: |
+ *       The event's public fields with its public ticket types, each showing whether it is on sale and
+ *       how many remain, its agenda and its image gallery. The slug is assigned when the event is
+ *       first published and does not change when the event is renamed.
+ *     tags: [Public Events]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: founders-meetup-3f2a9c1d
+ *     responses:
+ *       200:
+ *         description: Event with ticket types, sessions and images
+ *       304:
+ *         description: Not modified since the cached copy
+ *       404:
+ *         description: No published event has this slug
+ */
+router.get(
+  '/:slug',
+  [
+    param('slug')
+      .matches(/^[a-z0-9-]{1,80}$/)
+      .withMessage('Invalid event slug'),
+    validateRequest
+  ],
+  getPublicEventController
+);
+
+/**
+ * @swagger
+ * /api/public/events/{slug}/event.ics:
+ *   get:
+ *     summary: Download a published event for a calendar app
+ *     description: |
+ *       An iCalendar file with the event, for "add to calendar" links. Online events
+ *       show "Online" as their location; attendees get the joining link with their ticket.
+ *     tags: [Public Events]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: founders-meetup-3f2a9c1d
+ *     responses:
+ *       200:
+ *         description: iCalendar file
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: No published event has this slug
+ */
+router.get(
+  '/:slug/event.ics',
+  [
+    param('slug')
+      .matches(/^[a-z0-9-]{1,80}$/)
+      .withMessage('Invalid event slug'),
+    validateRequest
+  ],
+  getPublicEventCalendarController
+);
+
+export default router;
@@ -1,11 +1,18 @@
 import { Router } from 'express';
 import { body, param } from 'express-validator';
 import { validateRequest } from '../middleware/validateRequest.middleware.js';
-import { authenticate } from '../middleware/auth.middleware.js';
+import {
+  authenticateScanner,
+  authorizeEvent,
+  rejectApiKey,
+  eventIdFromAttendee
+} from '../middleware/auth.middleware.js';
 import {
   scanQRCode,
   getAttendeeForCheckIn,
   manualCheckIn,
+  scanSessionQRCode,
+  manualSessionCheckIn,
 } from '../controllers/scan.controller.js';
 
 const router = Router();
@@ -23,6 +30,7 @@ const router = Router();
  *   post:
  *     summary: Scan a QR code for attendee check-in
  *     tags: [Check-in]
+ *     description: Accepts an organizer access token or a scanner device token for the attendee's event.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -65,6 +73,8 @@ const router = Router();
  *         description: Invalid QR code data
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Event role does not allow check-in
  *       404:
  *         description: Attendee or event not found
  *       500:
@@ -72,7 +82,8 @@ const router = Router();
  */
 router.post(
   '/',
-  authenticate,
+  authenticateScanner,
+  rejectApiKey,
   [
     body('qrData')
       .isString()
@@ -90,6 +101,7 @@ router.post(
  *   get:
  *     summary: Get attendee details for manual check-in
  *     tags: [Check-in]
+ *     description: Accepts an organizer access token or a scanner device token for the attendee's event.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -133,13 +145,14 @@ router.post(
  */
 router.get(
   '/attendees/:attendeeId',
-  authenticate,
+  authenticateScanner,
   [
     param('attendeeId')
       .isUUID()
       .withMessage('Invalid attendee ID format'),
     validateRequest,
   ],
+  authorizeEvent('attendees:checkin', eventIdFromAttendee),
   getAttendeeForCheckIn
 );
 
@@ -149,6 +162,7 @@ router.get(
  *   post:
  *     summary: Manually check in an attendee
  *     tags: [Check-in]
+ *     description: Accepts an organizer access token or a scanner device token for the attendee's event.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -194,14 +208,124 @@ router.get(
  */
 router.post(
   '/attendees/:attendeeId/check-in',
-  authenticate,
+  authenticateScanner,
   [
     param('attendeeId')
       .isUUID()
       .withMessage('Invalid attendee ID format'),
     validateRequest,
   ],
+  authorizeEvent('attendees:checkin', eventIdFromAttendee),
   manualCheckIn
 );
 
+/**
+ * @swagger
+ * /api/scan/sessions/{sessionId}:
+ *   post:
+ *     summary: Scan a QR code at the door of a session
+ *     tags: [Check-in]
+ *     description: |
+ *       Records the attendee's attendance of one session of the agenda; the event check-in is not changed.
+ *       Sessions with a capacity only admit attendees who signed up; sessions without one sign walk-ins up at the door.
+ *       Accepts an organizer access token or a scanner device token for the attendee's event.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - qrData
+ *             properties:
+ *               qrData:
+ *                 type: string
+ *                 description: The QR code data to be verified
+ *     responses:
+ *       200:
+ *         description: Attendee checked in to the session, or already checked in (isDuplicate)
+ *       400:
+ *         description: Invalid QR code, or attendee not signed up for the session (code NOT_SIGNED_UP)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Event role does not allow check-in
+ *       404:
+ *         description: Attendee, event or session not found
+ */
+router.post(
+  '/sessions/:sessionId',
+  authenticateScanner,
+  rejectApiKey,
+  [
+    param('sessionId')
+      .isUUID()
+      .withMessage('Invalid session ID format'),
+    body('qrData')
+      .isString()
+      .withMessage('QR code data must be a string')
+      .notEmpty()
+      .withMessage('QR code data is required'),
+    validateRequest,
+  ],
+  scanSessionQRCode
+);
+
+/**
+ * @swagger
+ * /api/scan/attendees/{attendeeId}/sessions/{sessionId}/check-in:
+ *   post:
+ *     summary: Manually check in an attendee to a session
+ *     tags: [Check-in]
+ *     description: Accepts an organizer access token or a scanner device token for the attendee's event.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: attendeeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Attendee checked in to the session, or already checked in (isDuplicate)
+ *       400:
+ *         description: Attendee cannot be checked in, or is not signed up for the session
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Attendee or session not found
+ */
+router.post(
+  '/attendees/:attendeeId/sessions/:sessionId/check-in',
+  authenticateScanner,
+  [
+    param('attendeeId')
+      .isUUID()
+      .withMessage('Invalid attendee ID format'),
+    param('sessionId')
+      .isUUID()
+      .withMessage('Invalid session ID format'),
+    validateRequest,
+  ],
+  authorizeEvent('attendees:checkin', eventIdFromAttendee),
+  manualSessionCheckIn
+);
+
 export default router;
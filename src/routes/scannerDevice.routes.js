@@ -0,0 +1,175 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Scanner Devices
+ *   description: Event-scoped, scan-only credentials for door devices
+ */
+
+import { Router } from 'express';
+import { body, param } from 'express-validator';
+import { validateRequest } from '../middleware/validateRequest.middleware.js';
+import { authorizeEvent, rejectImpersonation } from '../middleware/auth.middleware.js';
+import {
+  getScannerDevicesController,
+  createScannerDeviceController,
+  revokeScannerDeviceController
+} from '../controllers/scannerDevice.controller.js';
+
+// Mounted under /api/events/:id/scanner-devices
+const router = Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * /api/events/{id}/scanner-devices:
+ *   get:
+ *     summary: List the scanner devices of an event
+ *     tags: [Scanner Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: List of scanner devices
+ *       403:
+ *         description: Event role cannot manage scanner devices
+ *       404:
+ *         description: Event not found
+ */
+router.get(
+  '/',
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Invalid event ID format'),
+    validateRequest
+  ],
+  authorizeEvent('scanners:manage'),
+  getScannerDevicesController
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/scanner-devices:
+ *   post:
+ *     summary: Mint a scan-only token for a door device
+ *     description: The token can only be used on /api/scan routes for this event. It is returned once.
+ *     tags: [Scanner Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Main entrance tablet
+ *               limitToEventWindow:
+ *                 type: boolean
+ *                 description: Only accept the token from shortly before the event starts until shortly after it ends
+ *               validUntil:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Explicit expiry of the token
+ *     responses:
+ *       201:
+ *         description: Device created, token returned
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Event role cannot manage scanner devices
+ */
+router.post(
+  '/',
+  rejectImpersonation,
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Invalid event ID format'),
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Device name is required')
+      .isLength({ max: 100 })
+      .withMessage('Device name must be at most 100 characters'),
+    body('limitToEventWindow')
+      .optional()
+      .isBoolean()
+      .withMessage('limitToEventWindow must be a boolean')
+      .toBoolean(),
+    body('validUntil')
+      .optional()
+      .isISO8601()
+      .withMessage('validUntil must be a valid date'),
+    validateRequest
+  ],
+  authorizeEvent('scanners:manage'),
+  createScannerDeviceController
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/scanner-devices/{deviceId}:
+ *   delete:
+ *     summary: Revoke a scanner device
+ *     tags: [Scanner Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Scanner device ID
+ *     responses:
+ *       200:
+ *         description: Device revoked
+ *       403:
+ *         description: Event role cannot manage scanner devices
+ *       404:
+ *         description: Scanner device not found
+ */
+router.delete(
+  '/:deviceId',
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Invalid event ID format'),
+    param('deviceId')
+      .isUUID()
+      .withMessage('Invalid device ID format'),
+    validateRequest
+  ],
+  authorizeEvent('scanners:manage'),
+  revokeScannerDeviceController
+);
+
+export default router;
@@ -0,0 +1,341 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Ticket Types
+ *   description: Ticket types, prices and sales windows of an event
+ */
+
+import { Router } from 'express';
+import { body, param, query } from 'express-validator';
+import { validateRequest } from '../middleware/validateRequest.middleware.js';
+import { authorizeEvent } from '../middleware/auth.middleware.js';
+import {
+  getTicketTypesController,
+  getTicketTypeController,
+  createTicketTypeController,
+  updateTicketTypeController,
+  deleteTicketTypeController
+} from '../controllers/ticketType.controller.js';
+
+// Mounted under /api/events/:id/ticket-types
+const router = Router({ mergeParams: true });
+
+const eventIdValidation = param('id')
+  .isUUID()
+  .withMessage('Invalid event ID format');
+
+const ticketTypeIdValidation = param('ticketTypeId')
+  .isUUID()
+  .withMessage('Invalid ticket type ID format');
+
+// Optional on create and update; required fields are added on create
+const ticketTypeFieldValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Name must be at most 100 characters'),
+  body('description')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be at most 1000 characters'),
+  body('price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive number')
+    .toFloat(),
+  body('currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 code')
+    .toUpperCase(),
+  body('quantity_available')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Quantity available must be a positive integer')
+    .toInt(),
+  body('min_per_order')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Minimum per order must be at least 1')
+    .toInt(),
+  body('max_per_order')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Maximum per order must be at least 1')
+    .toInt(),
+  body('sales_start')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Sales start must be a valid date'),
+  body('sales_end')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Sales end must be a valid date'),
+  body('visibility')
+    .optional()
+    .isIn(['public', 'hidden'])
+    .withMessage('Visibility must be public or hidden'),
+  body('sort_order')
+    .optional()
+    .isInt()
+    .withMessage('Sort order must be an integer')
+    .toInt(),
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TicketTypeInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Early bird
+ *         description:
+ *           type: string
+ *         price:
+ *           type: number
+ *           example: 499
+ *         currency:
+ *           type: string
+ *           example: INR
+ *         quantity_available:
+ *           type: integer
+ *           nullable: true
+ *           description: Leave empty for unlimited
+ *         min_per_order:
+ *           type: integer
+ *           default: 1
+ *         max_per_order:
+ *           type: integer
+ *           nullable: true
+ *         sales_start:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         sales_end:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         visibility:
+ *           type: string
+ *           enum: [public, hidden]
+ *           default: public
+ *         sort_order:
+ *           type: integer
+ *           default: 0
+ */
+
+/**
+ * @swagger
+ * /api/events/{id}/ticket-types:
+ *   get:
+ *     summary: List the ticket types of an event
+ *     description: Each ticket type includes the number sold and remaining, counted from non-cancelled attendees.
+ *     tags: [Ticket Types]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: query
+ *         name: visibility
+ *         schema:
+ *           type: string
+ *           enum: [public, hidden]
+ *     responses:
+ *       200:
+ *         description: List of ticket types in display order
+ *       404:
+ *         description: Event not found
+ */
+router.get(
+  '/',
+  [
+    eventIdValidation,
+    query('visibility')
+      .optional()
+      .isIn(['public', 'hidden'])
+      .withMessage('Visibility must be public or hidden'),
+    validateRequest
+  ],
+  authorizeEvent('event:read'),
+  getTicketTypesController
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/ticket-types:
+ *   post:
+ *     summary: Create a ticket type
+ *     tags: [Ticket Types]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/TicketTypeInput'
+ *               - required: [name, price]
+ *     responses:
+ *       201:
+ *         description: Ticket type created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Event role cannot update the event
+ */
+router.post(
+  '/',
+  [
+    eventIdValidation,
+    body('name').exists().withMessage('Name is required'),
+    body('price').exists().withMessage('Price is required'),
+    ...ticketTypeFieldValidation,
+    validateRequest
+  ],
+  authorizeEvent('event:update'),
+  createTicketTypeController
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/ticket-types/{ticketTypeId}:
+ *   get:
+ *     summary: Get a ticket type
+ *     tags: [Ticket Types]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: path
+ *         name: ticketTypeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Ticket type with sold counts
+ *       404:
+ *         description: Ticket type not found
+ */
+router.get(
+  '/:ticketTypeId',
+  [eventIdValidation, ticketTypeIdValidation, validateRequest],
+  authorizeEvent('event:read'),
+  getTicketTypeController
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/ticket-types/{ticketTypeId}:
+ *   patch:
+ *     summary: Update a ticket type
+ *     tags: [Ticket Types]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: path
+ *         name: ticketTypeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TicketTypeInput'
+ *     responses:
+ *       200:
+ *         description: Ticket type updated
+ *       404:
+ *         description: Ticket type not found
+ *       409:
+ *         description: Quantity is lower than the number already sold
+ */
+router.patch(
+  '/:ticketTypeId',
+  [
+    eventIdValidation,
+    ticketTypeIdValidation,
+    ...ticketTypeFieldValidation,
+    validateRequest
+  ],
+  authorizeEvent('event:update'),
+  updateTicketTypeController
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/ticket-types/{ticketTypeId}:
+ *   delete:
+ *     summary: Delete a ticket type that has not been sold
+ *     tags: [Ticket Types]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: path
+ *         name: ticketTypeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Ticket type deleted
+ *       404:
+ *         description: Ticket type not found
+ *       409:
+ *         description: Ticket type has been sold
+ */
+router.delete(
+  '/:ticketTypeId',
+  [eventIdValidation, ticketTypeIdValidation, validateRequest],
+  authorizeEvent('event:update'),
+  deleteTicketTypeController
+);
+
+export default router;
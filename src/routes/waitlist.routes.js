@@ -0,0 +1,90 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Waitlist
+ *   description: Public endpoints for attendees offered a place from the waitlist
+ */
+
+import { Router } from 'express';
+import { body } from 'express-validator';
+import { validateRequest } from '../middleware/validateRequest.middleware.js';
+import {
+  acceptWaitlistOfferController,
+  declineWaitlistOfferController
+} from '../controllers/attendee.controller.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * /api/waitlist/offers/accept:
+ *   post:
+ *     summary: Claim a place offered from the waitlist
+ *     tags: [Waitlist]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the offer email
+ *     responses:
+ *       200:
+ *         description: Place confirmed
+ *       400:
+ *         description: Invalid or expired offer
+ *       409:
+ *         description: The event has been cancelled or has ended
+ */
+router.post(
+  '/offers/accept',
+  [
+    body('token')
+      .notEmpty()
+      .withMessage('Offer token is required'),
+    validateRequest
+  ],
+  acceptWaitlistOfferController
+);
+
+/**
+ * @swagger
+ * /api/waitlist/offers/decline:
+ *   post:
+ *     summary: Turn down a place offered from the waitlist
+ *     tags: [Waitlist]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the offer email
+ *     responses:
+ *       200:
+ *         description: Offer declined and the attendee removed from the waitlist
+ *       400:
+ *         description: Invalid or expired offer
+ */
+router.post(
+  '/offers/decline',
+  [
+    body('token')
+      .notEmpty()
+      .withMessage('Offer token is required'),
+    validateRequest
+  ],
+  declineWaitlistOfferController
+);
+
+export default router;
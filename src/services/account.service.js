@@ -0,0 +1,286 @@
+// src/services/account.service.js
+import { supabase } from '../config/supabase.config.js';
+import { createError } from '../utils/error.util.js';
+import { deleteFile, deleteFiles, getPathFromPublicUrl } from '../utils/storage.util.js';
+
+const ORGANIZERS_TABLE = 'organizer_registrations';
+
+// Storage buckets holding organizer files
+const EVENT_IMAGE_BUCKET = 'events';
+const AVATAR_BUCKET = 'avatars';
+
+// Tables with rows that only matter to the organizer they belong to
+const ORGANIZER_OWNED_TABLES = ['refresh_tokens', 'organizer_sessions', 'api_keys', 'event_members'];
+
+/**
+ * Get the events owned by an organizer
+ * @param {string} organizerId - Organizer ID
+ * @returns {Promise<Array>} Events
+ */
+const findOwnedEvents = async (organizerId) => {
+  const { data, error } = await supabase
+    .from('events')
+    .select('*')
+    .eq('organizer_id', organizerId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw createError(500, `Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * Collect everything stored about an organizer's events
+ * @param {string} organizerId - Organizer ID
+ * @returns {Promise<Object>} Events, attendees and payments
+ */
+export const collectOrganizerData = async (organizerId) => {
+  const events = await findOwnedEvents(organizerId);
+
+  if (events.length === 0) {
+    return { events, attendees: [], payments: [] };
+  }
+
+  const eventIds = events.map(event => event.id);
+
+  const [attendeesResult, paymentsResult] = await Promise.all([
+    supabase
+      .from('attendees')
+      .select('*')
+      .in('event_id', eventIds)
+      .order('registration_date', { ascending: true }),
+    supabase
+      .from('payments')
+      .select('id, event_id, attendee_id, order_id, payment_id, amount, currency, status, payment_method, refund_id, created_at, updated_at')
+      .in('event_id', eventIds)
+      .order('created_at', { ascending: true })
+  ]);
+
+  if (attendeesResult.error || paymentsResult.error) {
+    const { message } = attendeesResult.error || paymentsResult.error;
+    throw createError(500, `Database error: ${message}`);
+  }
+
+  return {
+    events,
+    attendees: attendeesResult.data,
+    payments: paymentsResult.data
+  };
+};
+
+/**
+ * Schedule an organizer account for deletion
+ * @param {string} organizerId - Organizer ID
+ * @param {Date} scheduledFor - When the account will be deleted
+ * @returns {Promise<Object>} Updated organizer
+ */
+export const scheduleAccountDeletion = async (organizerId, scheduledFor) => {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from(ORGANIZERS_TABLE)
+    .update({
+      deletion_requested_at: now,
+      deletion_scheduled_for: scheduledFor.toISOString(),
+      updated_at: now
+    })
+    .eq('id', organizerId)
+    .select()
+    .single();
+
+  if (error) {
+    throw createError(500, `Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * Cancel a scheduled account deletion
+ * @param {string} organizerId - Organizer ID
+ * @returns {Promise<Object|null>} Updated organizer, or null if no deletion was scheduled
+ */
+export const cancelAccountDeletion = async (organizerId) => {
+  const { data, error } = await supabase
+    .from(ORGANIZERS_TABLE)
+    .update({
+      deletion_requested_at: null,
+      deletion_scheduled_for: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', organizerId)
+    .not('deletion_scheduled_for', 'is', null)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw createError(500, `Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * Get organizers whose deletion grace period has ended
+ * @param {number} [limit=20] - Maximum number of organizers
+ * @returns {Promise<Array>} Organizers due for deletion
+ */
+export const findAccountsDueForDeletion = async (limit = 20) => {
+  const { data, error } = await supabase
+    .from(ORGANIZERS_TABLE)
+    .select('id, email, avatar_path, deletion_scheduled_for')
+    .lte('deletion_scheduled_for', new Date().toISOString())
+    .order('deletion_scheduled_for', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw createError(500, `Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * Remove a stored file, logging instead of failing
+ * A leftover file must not keep the rest of the account from being deleted.
+ * @param {string} bucket - Storage bucket name
+ * @param {string} path - Path inside the bucket
+ */
+const removeFile = async (bucket, path) => {
+  try {
+    await deleteFile(bucket, path);
+  } catch (error) {
+    console.error(`Error deleting ${bucket}/${path}:`, error);
+  }
+};
+
+/**
+ * Permanently delete an organizer with their events and event series
+ *
+ * Payment records are kept for accounting but stripped of anything that links
+ * them to a person: the gateway IDs, amounts and statuses stay, the attendee,
+ * creator, event and raw gateway payloads are removed.
+ *
+ * @param {Object} organizer - Organizer from findAccountsDueForDeletion
+ * @returns {Promise<Object>} Counts of deleted events and anonymized payments
+ */
+export const purgeOrganizerAccount = async (organizer) => {
+  const events = await findOwnedEvents(organizer.id);
+  const eventIds = events.map(event => event.id);
+
+  let anonymizedPayments = 0;
+
+  if (eventIds.length > 0) {
+    const { data: payments, error: paymentsError } = await supabase
+      .from('payments')
+      .update({
+        event_id: null,
+        attendee_id: null,
+        created_by: null,
+        payment_details: null,
+        refund_details: null,
+        anonymized_at: new Date().toISOString()
+      })
+      .in('event_id', eventIds)
+      .select('id');
+
+    if (paymentsError) {
+      throw createError(500, `Database error: ${paymentsError.message}`);
+    }
+
+    anonymizedPayments = payments.length;
+
+    // Image records go with the events, so their variant files are found beforehand
+    const { data: images, error: imagesError } = await supabase
+      .from('event_images')
+      .select('variants')
+      .in('event_id', eventIds);
+
+    if (imagesError) {
+      throw createError(500, `Database error: ${imagesError.message}`);
+    }
+
+    const imagePaths = images.flatMap(image => Object.values(image.variants || {}).map(variant => variant.path));
+
+    const { error: attendeesError } = await supabase
+      .from('attendees')
+      .delete()
+      .in('event_id', eventIds);
+
+    if (attendeesError) {
+      throw createError(500, `Database error: ${attendeesError.message}`);
+    }
+
+    const { error: eventsError } = await supabase
+      .from('events')
+      .delete()
+      .in('id', eventIds);
+
+    if (eventsError) {
+      throw createError(500, `Database error: ${eventsError.message}`);
+    }
+
+    try {
+      await deleteFiles(EVENT_IMAGE_BUCKET, imagePaths);
+    } catch (error) {
+      console.error(`Error deleting ${EVENT_IMAGE_BUCKET} files of organizer ${organizer.id}:`, error);
+    }
+
+    // Images stored directly on events before they had galleries
+    for (const event of events) {
+      const imagePath = getPathFromPublicUrl(EVENT_IMAGE_BUCKET, event.image_url);
+      if (imagePath && !imagePaths.includes(imagePath)) {
+        await removeFile(EVENT_IMAGE_BUCKET, imagePath);
+      }
+    }
+  }
+
+  // Series go once their occurrences, which are among the events, are gone
+  const { error: seriesError } = await supabase
+    .from('event_series')
+    .delete()
+    .eq('organizer_id', organizer.id);
+
+  if (seriesError) {
+    throw createError(500, `Database error: ${seriesError.message}`);
+  }
+
+  // Payments this organizer took for events owned by someone else
+  const { error: createdByError } = await supabase
+    .from('payments')
+    .update({ created_by: null })
+    .eq('created_by', organizer.id);
+
+  if (createdByError) {
+    throw createError(500, `Database error: ${createdByError.message}`);
+  }
+
+  // Sign-in sessions, API keys and memberships of other organizers' event teams
+  for (const table of ORGANIZER_OWNED_TABLES) {
+    const { error: ownedError } = await supabase
+      .from(table)
+      .delete()
+      .eq('organizer_id', organizer.id);
+
+    if (ownedError) {
+      throw createError(500, `Database error: ${ownedError.message}`);
+    }
+  }
+
+  const { error } = await supabase
+    .from(ORGANIZERS_TABLE)
+    .delete()
+    .eq('id', organizer.id);
+
+  if (error) {
+    throw createError(500, `Database error: ${error.message}`);
+  }
+
+  if (organizer.avatar_path) {
+    await removeFile(AVATAR_BUCKET, organizer.avatar_path);
+  }
+
+  return { deletedEvents: eventIds.length, anonymizedPayments };
+};
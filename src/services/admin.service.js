@@ -0,0 +1,217 @@
+// src/services/admin.service.js
+import { supabase } from '../config/supabase.config.js';
+import { createError } from '../utils/error.util.js';
+import { escapeSearchTerm } from '../utils/query.util.js';
+
+const ORGANIZERS_TABLE = 'organizer_registrations';
+const AUDIT_TABLE = 'admin_audit_logs';
+
+// Organizer columns shown to admins (never password or 2FA secrets)
+const ORGANIZER_COLUMNS = 'id, name, email, company, phone, role, status, email_verified_at, suspended_at, suspension_reason, created_at, updated_at';
+
+/**
+ * List organizers with optional search and status filter
+ * @param {Object} options - Query options
+ * @param {string} [options.search] - Matches name, email or company
+ * @param {string} [options.status] - Organizer status
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=20] - Page size
+ * @returns {Promise<Object>} Organizers and total count
+ */
+export const listOrganizers = async ({ search, status, page = 1, limit = 20 } = {}) => {
+  const offset = (page - 1) * limit;
+
+  let query = supabase
+    .from(ORGANIZERS_TABLE)
+    .select(ORGANIZER_COLUMNS, { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  const term = search ? escapeSearchTerm(search) : '';
+  if (term) {
+    query = query.or(`name.ilike.%${term}%,email.ilike.%${term}%,company.ilike.%${term}%`);
+  }
+
+  const { data, count, error } = await query;
+
+  if (error) {
+    throw createError(500, `Database error: ${error.message}`);
+  }
+
+  return { organizers: data, total: count };
+};
+
+/**
+ * Get an organizer by ID with admin-visible columns
+ * @param {string} organizerId - Organizer ID
+ * @returns {Promise<Object|null>} Organizer or null
+ */
+export const findOrganizerForAdmin = async (organizerId) => {
+  const { data, error } = await supabase
+    .from(ORGANIZERS_TABLE)
+    .select(ORGANIZER_COLUMNS)
+    .eq('id', organizerId)
+    .maybeSingle();
+
+  if (error) {
+    throw createError(500, `Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * Set the status of an organizer
+ * @param {string} organizerId - Organizer ID
+ * @param {Object} updates - Status fields to set
+ * @returns {Promise<Object>} Updated organizer
+ */
+export const updateOrganizerStatus = async (organizerId, updates) => {
+  const { data, error } = await supabase
+    .from(ORGANIZERS_TABLE)
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', organizerId)
+    .select(ORGANIZER_COLUMNS)
+    .single();
+
+  if (error) {
+    throw createError(500, `Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * Get event, attendee and revenue totals for an organizer
+ * Revenue only counts captured payments and is grouped by currency.
+ * @param {string} organizerId - Organizer ID
+ * @returns {Promise<Object>} Totals
+ */
+export const getOrganizerTotals = async (organizerId) => {
+  const { data: events, error: eventsError } = await supabase
+    .from('events')
+    .select('id, status')
+    .eq('organizer_id', organizerId);
+
+  if (eventsError) {
+    throw createError(500, `Database error: ${eventsError.message}`);
+  }
+
+  const eventsByStatus = events.reduce((totals, event) => {
+    totals[event.status] = (totals[event.status] || 0) + 1;
+    return totals;
+  }, {});
+
+  if (events.length === 0) {
+    return { events: { total: 0, byStatus: {} }, attendees: 0, revenue: {} };
+  }
+
+  const eventIds = events.map(event => event.id);
+
+  const [attendeesResult, paymentsResult] = await Promise.all([
+    supabase
+      .from('attendees')
+      .select('id', { count: 'exact', head: true })
+      .in('event_id', eventIds),
+    supabase
+      .from('payments')
+      .select('amount, currency')
+      .in('event_id', eventIds)
+      .eq('status', 'captured')
+  ]);
+
+  if (attendeesResult.error || paymentsResult.error) {
+    const { message } = attendeesResult.error || paymentsResult.error;
+    throw createError(500, `Database error: ${message}`);
+  }
+
+  const revenue = paymentsResult.data.reduce((totals, payment) => {
+    const currency = payment.currency || 'INR';
+    totals[currency] = (totals[currency] || 0) + Number(payment.amount);
+    return totals;
+  }, {});
+
+  return {
+    events: { total: events.length, byStatus: eventsByStatus },
+    attendees: attendeesResult.count,
+    revenue
+  };
+};
+
+/**
+ * Record an admin action in the audit trail
+ * @param {Object} entry - Audit entry
+ * @param {string} entry.adminId - Admin who performed the action
+ * @param {string} entry.action - Action name (e.g. suspend, impersonate)
+ * @param {string} [entry.targetOrganizerId] - Organizer the action was about
+ * @param {string} [entry.reason] - Reason given by the admin
+ * @param {Object} [entry.metadata] - Extra details
+ * @param {string} [entry.ipAddress] - Admin IP address
+ * @returns {Promise<Object>} Stored entry
+ */
+export const recordAdminAction = async ({
+  adminId,
+  action,
+  targetOrganizerId,
+  reason,
+  metadata,
+  ipAddress
+}) => {
+  const { data, error } = await supabase
+    .from(AUDIT_TABLE)
+    .insert([{
+      admin_id: adminId,
+      action,
+      target_organizer_id: targetOrganizerId || null,
+      reason: reason || null,
+      metadata: metadata || {},
+      ip_address: ipAddress || null
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    throw createError(500, `Failed to record audit entry: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * List audit entries, newest first
+ * @param {Object} options - Query options
+ * @param {string} [options.organizerId] - Only entries about this organizer
+ * @param {string} [options.adminId] - Only entries by this admin
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=50] - Page size
+ * @returns {Promise<Object>} Entries and total count
+ */
+export const listAdminActions = async ({ organizerId, adminId, page = 1, limit = 50 } = {}) => {
+  const offset = (page - 1) * limit;
+
+  let query = supabase
+    .from(AUDIT_TABLE)
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (organizerId) {
+    query = query.eq('target_organizer_id', organizerId);
+  }
+
+  if (adminId) {
+    query = query.eq('admin_id', adminId);
+  }
+
+  const { data, count, error } = await query;
+
+  if (error) {
+    throw createError(500, `Database error: ${error.message}`);
+  }
+
+  return { entries: data, total: count };
+};
@@ -0,0 +1,129 @@
+// src/services/apiKey.service.js
+import crypto from 'crypto';
+import { supabase } from '../config/supabase.config.js';
+import { createError } from '../utils/error.util.js';
+import { hashToken, API_KEY_PREFIX } from '../utils/token.util.js';
+
+const TABLE_NAME = 'api_keys';
+
+// Columns that are safe to return to clients (never the key hash)
+const PUBLIC_COLUMNS = 'id, name, prefix, scopes, last_used_at, expires_at, revoked_at, created_at';
+
+// Avoid a write on every request; last-used is only refreshed once a minute
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Create an API key for an organizer
+ * The plain key is returned once; only its hash is stored.
+ * @param {string} organizerId - Organizer ID
+ * @param {Object} options - Key options
+ * @param {string} options.name - Label shown in the key list
+ * @param {string[]} options.scopes - Granted scopes
+ * @param {string} [options.expiresAt] - Optional expiry date
+ * @returns {Promise<Object>} Stored key record and the plain key
+ */
+export const createApiKey = async (organizerId, { name, scopes, expiresAt }) => {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const key = `${API_KEY_PREFIX}${prefix}_${secret}`;
+
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .insert([{
+      organizer_id: organizerId,
+      name,
+      prefix,
+      key_hash: hashToken(key),
+      scopes,
+      expires_at: expiresAt || null
+    }])
+    .select(PUBLIC_COLUMNS)
+    .single();
+
+  if (error) {
+    throw createError(500, `Failed to create API key: ${error.message}`);
+  }
+
+  return { apiKey: data, key };
+};
+
+/**
+ * List the API keys of an organizer
+ * @param {string} organizerId - Organizer ID
+ * @returns {Promise<Array>} API keys
+ */
+export const findApiKeys = async (organizerId) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .select(PUBLIC_COLUMNS)
+    .eq('organizer_id', organizerId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw createError(500, `Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * Revoke an API key
+ * @param {string} organizerId - Owner of the key
+ * @param {string} apiKeyId - API key ID
+ * @returns {Promise<boolean>} True if a key was revoked
+ */
+export const revokeApiKey = async (organizerId, apiKeyId) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', apiKeyId)
+    .eq('organizer_id', organizerId)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) {
+    throw createError(500, `Database error: ${error.message}`);
+  }
+
+  return data.length > 0;
+};
+
+/**
+ * Resolve a presented API key to its record and owner
+ * @param {string} key - Plain API key from the Authorization header
+ * @returns {Promise<Object|null>} Key record with its organizer, or null if unusable
+ */
+export const verifyApiKey = async (key) => {
+  const prefix = key.slice(API_KEY_PREFIX.length).split('_')[0];
+
+  const { data: apiKey, error } = await supabase
+    .from(TABLE_NAME)
+    .select(`${PUBLIC_COLUMNS}, key_hash, organizer:organizer_id (id, email, role, status)`)
+    .eq('prefix', prefix)
+    .maybeSingle();
+
+  if (error) {
+    throw createError(500, `Database error: ${error.message}`);
+  }
+
+  const keyHash = Buffer.from(hashToken(key));
+  if (
+    !apiKey ||
+    apiKey.revoked_at ||
+    (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) ||
+    apiKey.key_hash.length !== keyHash.length ||
+    !crypto.timingSafeEqual(Buffer.from(apiKey.key_hash), keyHash)
+  ) {
+    return null;
+  }
+
+  if (!apiKey.last_used_at || Date.now() - new Date(apiKey.last_used_at) > LAST_USED_RESOLUTION_MS) {
+    await supabase
+      .from(TABLE_NAME)
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', apiKey.id);
+  }
+
+  const { key_hash, ...publicKey } = apiKey;
+  return publicKey;
+};
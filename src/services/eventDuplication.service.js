@@ -0,0 +1,198 @@
+// src/services/eventDuplication.service.js
+import path from 'path';
+import { createEvent, updateEvent, deleteEvent } from '../models/event.model.js';
+import { createTicketType, findTicketTypesByEvent } from '../models/ticketType.model.js';
+import { createEventSession, findEventSessions } from '../models/eventSession.model.js';
+import { findActiveAttendees, createAttendees } from '../models/attendee.model.js';
+import { findEventImages } from '../models/eventImage.model.js';
+import {
+  EVENT_IMAGES_BUCKET,
+  copyEventImages,
+  findEventImagePaths,
+  deleteEventImageFiles
+} from './eventImage.service.js';
+import {
+  uploadFile,
+  downloadFile,
+  getPathFromPublicUrl
+} from '../utils/storage.util.js';
+
+// Event columns that describe the original event's history rather than its configuration
+const EVENT_EXCLUDED_FIELDS = [
+  'id',
+  'organizer_id',
+  'status',
+  'slug',
+  'image_url',
+  'created_at',
+  'updated_at',
+  'published_at',
+  'postponed_at',
+  'cancelled_at',
+  'cancellation_reason',
+  'completed_at',
+  'calendar_sequence',
+  'series_id',
+  'occurrence_date',
+  'overridden_fields'
+];
+
+// Columns of copied rows that are regenerated for the new event
+const ROW_EXCLUDED_FIELDS = ['id', 'event_id', 'created_at', 'updated_at'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Copy a record without some of its columns
+ * @param {Object} record - Record to copy
+ * @param {string[]} excluded - Columns to leave out
+ * @returns {Object} Copied fields
+ */
+const omitFields = (record, excluded) => Object.fromEntries(
+  Object.entries(record).filter(([field]) => !excluded.includes(field))
+);
+
+/**
+ * Move a date by an offset
+ * @param {string|null} value - ISO date or null
+ * @param {number} offsetMs - Offset in milliseconds
+ * @returns {string|null} Shifted ISO date, or null if there was no date
+ */
+const shiftDate = (value, offsetMs) => (
+  value ? new Date(new Date(value).getTime() + offsetMs).toISOString() : value
+);
+
+/**
+ * Give the copy its own copy of an event image from before galleries
+ * Images hosted outside the events bucket are referenced as they are. A failed
+ * copy leaves the new event without an image rather than failing the duplication.
+ * @param {string} imageUrl - Image URL of the original event
+ * @param {string} eventId - ID of the new event
+ * @returns {Promise<string|null>} Image URL for the new event
+ */
+const copyEventImage = async (imageUrl, eventId) => {
+  const sourcePath = getPathFromPublicUrl(EVENT_IMAGES_BUCKET, imageUrl);
+
+  if (!sourcePath) {
+    return imageUrl;
+  }
+
+  try {
+    const { buffer, mimeType } = await downloadFile(EVENT_IMAGES_BUCKET, sourcePath);
+    const { url } = await uploadFile(
+      EVENT_IMAGES_BUCKET,
+      `${eventId}/${path.basename(sourcePath)}`,
+      buffer,
+      mimeType
+    );
+    return url;
+  } catch (error) {
+    console.error(`Error copying image of event ${eventId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Duplicate an event into a new draft
+ * Copies the event's configuration, images, ticket types and sessions. Attendees
+ * are only copied on request, as fresh registrations; payments never are.
+ * If any step fails the partial copy is removed.
+ * @param {Object} event - Event to duplicate
+ * @param {Object} options - Duplication options
+ * @param {string} options.organizerId - Organizer who will own the copy
+ * @param {string} [options.title] - Title of the copy
+ * @param {number} [options.offsetDays] - Days to move every date by
+ * @param {boolean} [options.includeAttendees] - Copy registered attendees
+ * @returns {Promise<Object>} New event with counts of what was copied
+ */
+export const duplicateEvent = async (event, {
+  organizerId,
+  title,
+  offsetDays = 0,
+  includeAttendees = false
+}) => {
+  const offsetMs = offsetDays * MS_PER_DAY;
+
+  let newEvent = await createEvent({
+    ...omitFields(event, EVENT_EXCLUDED_FIELDS),
+    title: title || `${event.title} (copy)`,
+    start_date: shiftDate(event.start_date, offsetMs),
+    end_date: shiftDate(event.end_date, offsetMs),
+    organizer_id: organizerId,
+    status: 'draft'
+  });
+
+  try {
+    let images = 0;
+    if ((await findEventImages(event.id)).length > 0) {
+      ({ event: newEvent, count: images } = await copyEventImages(event, newEvent));
+    } else if (event.image_url) {
+      newEvent = await updateEvent(newEvent.id, {
+        image_url: await copyEventImage(event.image_url, newEvent.id)
+      });
+    }
+
+    // Attendees keep their ticket type through the new ticket type IDs
+    const ticketTypeIds = {};
+    for (const ticketType of await findTicketTypesByEvent(event.id)) {
+      const copy = await createTicketType({
+        ...omitFields(ticketType, ROW_EXCLUDED_FIELDS),
+        sales_start: shiftDate(ticketType.sales_start, offsetMs),
+        sales_end: shiftDate(ticketType.sales_end, offsetMs),
+        event_id: newEvent.id
+      });
+      ticketTypeIds[ticketType.id] = copy.id;
+    }
+
+    const sessions = await findEventSessions(event.id);
+    for (const session of sessions) {
+      await createEventSession({
+        ...omitFields(session, ROW_EXCLUDED_FIELDS),
+        starts_at: shiftDate(session.starts_at, offsetMs),
+        ends_at: shiftDate(session.ends_at, offsetMs),
+        event_id: newEvent.id
+      });
+    }
+
+    let attendees = [];
+    if (includeAttendees) {
+      const registered = (await findActiveAttendees(event.id))
+        .filter(attendee => ['registered', 'checked_in'].includes(attendee.status));
+
+      attendees = await createAttendees(registered.map(attendee => ({
+        event_id: newEvent.id,
+        name: attendee.name,
+        email: attendee.email,
+        phone: attendee.phone,
+        ticket_type: attendee.ticket_type,
+        ticket_type_id: ticketTypeIds[attendee.ticket_type_id] || null,
+        registered_by: organizerId,
+        status: 'registered'
+      })));
+    }
+
+    return {
+      event: newEvent,
+      copied: {
+        images,
+        ticketTypes: Object.keys(ticketTypeIds).length,
+        sessions: sessions.length,
+        attendees: attendees.length
+      }
+    };
+  } catch (error) {
+    // The copy's image records go with it, so find its stored files first
+    const imagePaths = await findEventImagePaths(newEvent).catch(cleanupError => {
+      console.error(`Error finding images of partial copy ${newEvent.id}:`, cleanupError);
+      return [];
+    });
+
+    try {
+      await deleteEvent(newEvent.id);
+      await deleteEventImageFiles(imagePaths);
+    } catch (cleanupError) {
+      console.error(`Error removing partial copy ${newEvent.id}:`, cleanupError);
+    }
+    throw error;
+  }
+};
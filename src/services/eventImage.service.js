@@ -0,0 +1,381 @@
+// src/services/eventImage.service.js
+import crypto from 'crypto';
+import { StatusCodes } from 'http-status-codes';
+import { updateEvent } from '../models/event.model.js';
+import {
+  createEventImage,
+  findEventImageById,
+  findEventImages,
+  updateEventImage,
+  unsetEventCover,
+  deleteEventImage
+} from '../models/eventImage.model.js';
+import { createError } from '../utils/error.util.js';
+import {
+  ALLOWED_IMAGE_TYPES,
+  sniffImageType,
+  createImageVariants
+} from '../utils/image.util.js';
+import {
+  uploadFile,
+  downloadFile,
+  deleteFiles,
+  getPathFromPublicUrl
+} from '../utils/storage.util.js';
+
+export const EVENT_IMAGES_BUCKET = 'events';
+
+export const MAX_EVENT_IMAGES = 10;
+
+// The variant shown wherever an event has a single image, kept in events.image_url
+const COVER_VARIANT = 'hero';
+
+/**
+ * Get the storage paths of every variant of an image
+ * @param {Object} image - Image record
+ * @returns {string[]} Paths in the events bucket
+ */
+const getVariantPaths = (image) => Object.values(image.variants || {}).map(variant => variant.path);
+
+/**
+ * Delete stored files, logging rather than failing if storage is unavailable
+ * @param {string[]} paths - Paths in the events bucket
+ * @returns {Promise<void>}
+ */
+const removeStoredFiles = async (paths) => {
+  try {
+    await deleteFiles(EVENT_IMAGES_BUCKET, paths);
+  } catch (error) {
+    console.error(`Error deleting ${EVENT_IMAGES_BUCKET} files ${paths.join(', ')}:`, error);
+  }
+};
+
+/**
+ * Upload the variants of an image
+ * If any upload fails, the variants already stored are removed.
+ * @param {string} eventId - Event ID
+ * @param {string} imageId - Image ID
+ * @param {Object} variants - Variants by name, with buffer, MIME type and dimensions
+ * @returns {Promise<Object>} Stored variants by name, with path, URL and dimensions
+ */
+const uploadVariants = async (eventId, imageId, variants) => {
+  const stored = {};
+
+  try {
+    for (const [name, variant] of Object.entries(variants)) {
+      const { path, url } = await uploadFile(
+        EVENT_IMAGES_BUCKET,
+        `${eventId}/${imageId}/${name}.webp`,
+        variant.buffer,
+        variant.mimeType
+      );
+      stored[name] = { path, url, width: variant.width, height: variant.height };
+    }
+  } catch (error) {
+    await removeStoredFiles(Object.values(stored).map(variant => variant.path));
+    throw error;
+  }
+
+  return stored;
+};
+
+/**
+ * Point events.image_url at the cover image
+ * @param {Object} event - Event record
+ * @param {Object|null} cover - Cover image, or null if the event has no images left
+ * @returns {Promise<Object>} Updated event
+ */
+const syncEventCover = async (event, cover) => {
+  return updateEvent(event.id, {
+    image_url: cover ? cover.variants[COVER_VARIANT].url : null
+  });
+};
+
+/**
+ * Get the path of an image stored directly in events.image_url, from before galleries
+ * @param {Object} event - Event record
+ * @param {Object[]} images - Gallery images of the event
+ * @returns {string|null} Path in the events bucket, or null if there is none
+ */
+const getLegacyImagePath = (event, images) => {
+  const legacyPath = getPathFromPublicUrl(EVENT_IMAGES_BUCKET, event.image_url);
+
+  if (!legacyPath || images.some(image => getVariantPaths(image).includes(legacyPath))) {
+    return null;
+  }
+
+  return legacyPath;
+};
+
+/**
+ * Find a gallery image of an event, failing if it does not exist
+ * @param {string} eventId - Event ID
+ * @param {string} imageId - Image ID
+ * @returns {Promise<Object>} Image record
+ */
+const getEventImage = async (eventId, imageId) => {
+  const image = await findEventImageById(eventId, imageId);
+
+  if (!image) {
+    throw createError(StatusCodes.NOT_FOUND, 'Image not found');
+  }
+
+  return image;
+};
+
+/**
+ * Add an uploaded image to an event's gallery
+ * The file is identified from its bytes, not its declared type, and stored as
+ * thumbnail, card and hero variants. The first image of an event becomes its cover.
+ * @param {Object} event - Event record
+ * @param {Object} file - Uploaded file with buffer and size
+ * @param {Object} [options] - Image options
+ * @param {string} [options.altText] - Description for screen readers
+ * @param {boolean} [options.isCover] - Make the image the event's cover
+ * @param {string} [options.uploadedBy] - Organizer who uploaded the image
+ * @returns {Promise<Object>} Created image
+ */
+export const addEventImage = async (event, file, { altText = null, isCover = false, uploadedBy = null } = {}) => {
+  const mimeType = sniffImageType(file.buffer);
+
+  if (!mimeType) {
+    throw createError(
+      StatusCodes.UNSUPPORTED_MEDIA_TYPE,
+      `Invalid file type. Allowed types: ${ALLOWED_IMAGE_TYPES.join(', ')}`
+    );
+  }
+
+  const images = await findEventImages(event.id);
+
+  if (images.length >= MAX_EVENT_IMAGES) {
+    throw createError(
+      StatusCodes.CONFLICT,
+      `An event can have at most ${MAX_EVENT_IMAGES} images`,
+      [],
+      'IMAGE_LIMIT_REACHED'
+    );
+  }
+
+  const { width, height, variants } = await createImageVariants(file.buffer);
+
+  const imageId = crypto.randomUUID();
+  const storedVariants = await uploadVariants(event.id, imageId, variants);
+  const cover = isCover || !images.some(image => image.is_cover);
+
+  let image;
+  try {
+    if (cover) {
+      await unsetEventCover(event.id);
+    }
+
+    image = await createEventImage({
+      id: imageId,
+      event_id: event.id,
+      variants: storedVariants,
+      width,
+      height,
+      mime_type: mimeType,
+      size: file.size,
+      alt_text: altText,
+      position: images.length ? Math.max(...images.map(existing => existing.position)) + 1 : 0,
+      is_cover: cover,
+      uploaded_by: uploadedBy
+    });
+  } catch (error) {
+    await removeStoredFiles(Object.values(storedVariants).map(variant => variant.path));
+    throw error;
+  }
+
+  if (cover) {
+    const legacyPath = getLegacyImagePath(event, images);
+
+    await syncEventCover(event, image);
+
+    // The gallery replaces an image stored before events had galleries
+    if (legacyPath) {
+      await removeStoredFiles([legacyPath]);
+    }
+  }
+
+  return image;
+};
+
+/**
+ * Update the alt text or cover flag of a gallery image
+ * @param {Object} event - Event record
+ * @param {string} imageId - Image ID
+ * @param {Object} changes - Changes to apply
+ * @param {string|null} [changes.altText] - New alt text
+ * @param {boolean} [changes.isCover] - True to make the image the cover
+ * @returns {Promise<Object>} Updated image
+ */
+export const updateEventImageDetails = async (event, imageId, { altText, isCover }) => {
+  const image = await getEventImage(event.id, imageId);
+
+  // An event with images always has a cover; it moves by choosing another image
+  if (isCover === false && image.is_cover) {
+    throw createError(
+      StatusCodes.CONFLICT,
+      'Choose another image as the cover instead',
+      [],
+      'COVER_REQUIRED'
+    );
+  }
+
+  const updates = {};
+  if (altText !== undefined) {
+    updates.alt_text = altText;
+  }
+
+  const becomesCover = isCover === true && !image.is_cover;
+  if (becomesCover) {
+    await unsetEventCover(event.id);
+    updates.is_cover = true;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return image;
+  }
+
+  const updatedImage = await updateEventImage(image.id, updates);
+
+  if (becomesCover) {
+    await syncEventCover(event, updatedImage);
+  }
+
+  return updatedImage;
+};
+
+/**
+ * Set the display order of an event's gallery
+ * @param {Object} event - Event record
+ * @param {string[]} imageIds - Every image ID of the event, in the new order
+ * @returns {Promise<Object[]>} Images in the new order
+ */
+export const reorderEventImages = async (event, imageIds) => {
+  const images = await findEventImages(event.id);
+  const existingIds = new Set(images.map(image => image.id));
+
+  if (
+    imageIds.length !== existingIds.size ||
+    new Set(imageIds).size !== imageIds.length ||
+    !imageIds.every(id => existingIds.has(id))
+  ) {
+    throw createError(
+      StatusCodes.BAD_REQUEST,
+      'image_ids must list every image of the event exactly once'
+    );
+  }
+
+  for (const [position, imageId] of imageIds.entries()) {
+    await updateEventImage(imageId, { position });
+  }
+
+  return findEventImages(event.id);
+};
+
+/**
+ * Remove an image from an event's gallery along with all of its variants
+ * Removing the cover makes the next image in the gallery the cover.
+ * @param {Object} event - Event record
+ * @param {string} imageId - Image ID
+ * @returns {Promise<void>}
+ */
+export const removeEventImage = async (event, imageId) => {
+  const image = await getEventImage(event.id, imageId);
+
+  await deleteEventImage(image.id);
+  await removeStoredFiles(getVariantPaths(image));
+
+  if (image.is_cover) {
+    const [nextCover = null] = await findEventImages(event.id);
+
+    if (nextCover) {
+      await updateEventImage(nextCover.id, { is_cover: true });
+    }
+    await syncEventCover(event, nextCover);
+  }
+};
+
+/**
+ * Get the paths of every stored image of an event
+ * Collect them before deleting the event, since its image records go with it.
+ * @param {Object} event - Event record
+ * @returns {Promise<string[]>} Paths in the events bucket
+ */
+export const findEventImagePaths = async (event) => {
+  const images = await findEventImages(event.id);
+  const legacyPath = getLegacyImagePath(event, images);
+
+  return [
+    ...images.flatMap(getVariantPaths),
+    ...(legacyPath ? [legacyPath] : [])
+  ];
+};
+
+/**
+ * Delete the stored images of a deleted event
+ * @param {string[]} paths - Paths from findEventImagePaths
+ * @returns {Promise<void>}
+ */
+export const deleteEventImageFiles = async (paths) => {
+  await removeStoredFiles(paths);
+};
+
+/**
+ * Copy an event's gallery to another event
+ * Images that fail to copy are left out rather than failing the copy.
+ * @param {Object} event - Event to copy from
+ * @param {Object} targetEvent - Event to copy to
+ * @returns {Promise<Object>} Target event with its new cover and the number of images copied
+ */
+export const copyEventImages = async (event, targetEvent) => {
+  const copies = [];
+
+  for (const image of await findEventImages(event.id)) {
+    const imageId = crypto.randomUUID();
+    let storedVariants = {};
+
+    try {
+      const variants = {};
+      for (const [name, variant] of Object.entries(image.variants)) {
+        const { buffer, mimeType } = await downloadFile(EVENT_IMAGES_BUCKET, variant.path);
+        variants[name] = { buffer, mimeType, width: variant.width, height: variant.height };
+      }
+
+      storedVariants = await uploadVariants(targetEvent.id, imageId, variants);
+
+      copies.push(await createEventImage({
+        id: imageId,
+        event_id: targetEvent.id,
+        variants: storedVariants,
+        width: image.width,
+        height: image.height,
+        mime_type: image.mime_type,
+        size: image.size,
+        alt_text: image.alt_text,
+        position: image.position,
+        is_cover: image.is_cover,
+        uploaded_by: image.uploaded_by
+      }));
+    } catch (error) {
+      console.error(`Error copying image ${image.id} to event ${targetEvent.id}:`, error);
+      await removeStoredFiles(Object.values(storedVariants).map(variant => variant.path));
+    }
+  }
+
+  if (copies.length === 0) {
+    return { event: targetEvent, count: 0 };
+  }
+
+  // If the cover itself could not be copied, the first copied image takes its place
+  let cover = copies.find(copy => copy.is_cover);
+  if (!cover) {
+    cover = await updateEventImage(copies[0].id, { is_cover: true });
+  }
+
+  return {
+    event: await syncEventCover(targetEvent, cover),
+    count: copies.length
+  };
+};
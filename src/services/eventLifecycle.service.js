@@ -0,0 +1,203 @@
+// src/services/eventLifecycle.service.js
+import { StatusCodes } from 'http-status-codes';
+import { updateEvent } from '../models/event.model.js';
+import { findActiveAttendees } from '../models/attendee.model.js';
+import { findCapturedPaymentsByEvent, refundPayment } from './payment.service.js';
+import {
+  sendEventCancelledEmail,
+  sendEventPostponedEmail,
+  sendEventUpdatedEmail
+} from '../utils/email.util.js';
+import { formatInTimezone } from '../utils/timezone.util.js';
+import {
+  createCalendarInvite,
+  getEventLocation,
+  nextCalendarSequence
+} from '../utils/calendar.util.js';
+import { canPerformEventAction, findLockedFields } from '../utils/eventLifecycle.util.js';
+import { createError } from '../utils/error.util.js';
+
+// Attendees in these statuses were sent the event for their calendar when they registered
+const CALENDAR_STATUSES = ['registered', 'checked_in'];
+
+/**
+ * Create the calendar update for an attendee's copy of an event
+ * @param {Object} event - Event record
+ * @param {Object} attendee - Attendee record
+ * @param {Object} [options] - Options for createCalendarInvite
+ * @returns {Object|undefined} Calendar invitation, or nothing for attendees without a place
+ */
+const attendeeCalendar = (event, attendee, options) => (
+  CALENDAR_STATUSES.includes(attendee.status)
+    ? createCalendarInvite(event, attendee, options)
+    : undefined
+);
+
+/**
+ * Email every attendee of an event who has not cancelled
+ * A failed email is logged and does not stop the others.
+ * @param {string} eventId - Event ID
+ * @param {Function} send - Sends the email to one attendee
+ * @returns {Promise<number>} Number of attendees emailed
+ */
+const notifyAttendees = async (eventId, send) => {
+  const attendees = await findActiveAttendees(eventId);
+  let notified = 0;
+
+  for (const attendee of attendees.filter(({ email }) => email)) {
+    try {
+      await send(attendee);
+      notified += 1;
+    } catch (emailError) {
+      console.error(`Error emailing attendee ${attendee.id} of event ${eventId}:`, emailError);
+    }
+  }
+
+  return notified;
+};
+
+/**
+ * Refund every captured payment of an event
+ * Refunds are attempted one by one; failures are returned so they can be retried.
+ * @param {string} eventId - Event ID
+ * @param {string} reason - Reason recorded on the refunds
+ * @returns {Promise<Object>} Refunded payments and failures
+ */
+export const refundEventPayments = async (eventId, reason) => {
+  const payments = await findCapturedPaymentsByEvent(eventId);
+  const refunded = [];
+  const failed = [];
+
+  for (const payment of payments) {
+    try {
+      await refundPayment(payment.payment_id, payment.amount, reason);
+      refunded.push(payment);
+    } catch (error) {
+      failed.push({ paymentId: payment.id, message: error.message });
+    }
+  }
+
+  return { refunded, failed };
+};
+
+/**
+ * Tell the attendees of an event that it has been cancelled
+ * @param {Object} event - Cancelled event
+ * @param {Object} [options] - Notification options
+ * @param {string} [options.reason] - Reason given by the organizer
+ * @param {string[]} [options.refundedAttendeeIds] - Attendees whose payment was refunded
+ * @returns {Promise<number>} Number of attendees emailed
+ */
+export const notifyEventCancelled = async (event, { reason, refundedAttendeeIds = [] } = {}) => {
+  return notifyAttendees(event.id, attendee => sendEventCancelledEmail({
+    to: attendee.email,
+    attendeeName: attendee.name,
+    eventName: event.title,
+    reason,
+    refunded: refundedAttendeeIds.includes(attendee.id),
+    calendar: attendeeCalendar(event, attendee, { cancel: true })
+  }));
+};
+
+/**
+ * Fail unless a lifecycle action can be taken from the event's current status
+ * @param {Object} event - Event record
+ * @param {string} action - Action from EVENT_ACTIONS
+ */
+export const assertEventAction = (event, action) => {
+  if (!canPerformEventAction(event.status, action)) {
+    throw createError(
+      StatusCodes.CONFLICT,
+      `Cannot ${action} an event that is ${event.status}`,
+      [],
+      'INVALID_STATUS_TRANSITION'
+    );
+  }
+};
+
+/**
+ * Fail if the event's status does not allow editing some of the fields
+ * @param {Object} event - Event record
+ * @param {string[]} fields - Fields being updated
+ */
+export const assertFieldsEditable = (event, fields) => {
+  const lockedFields = findLockedFields(event.status, fields);
+
+  if (lockedFields.length > 0) {
+    throw createError(
+      StatusCodes.CONFLICT,
+      event.status === 'cancelled'
+        ? 'A cancelled event cannot be edited'
+        : `Cannot edit ${lockedFields.join(', ')} of a ${event.status} event`,
+      [],
+      'EVENT_FIELDS_LOCKED'
+    );
+  }
+};
+
+/**
+ * Cancel an event, refunding its payments if asked, and tell its attendees
+ * Attendees get a calendar cancellation so the event leaves their calendars.
+ * @param {Object} event - Event record
+ * @param {Object} [options] - Cancellation options
+ * @param {string} [options.reason] - Reason given by the organizer
+ * @param {boolean} [options.refund] - Refund every captured payment
+ * @returns {Promise<Object>} Cancelled event, number of attendees emailed and refund results
+ */
+export const cancelEvent = async (event, { reason, refund = false } = {}) => {
+  assertEventAction(event, 'cancel');
+
+  const cancelledEvent = await updateEvent(event.id, {
+    status: 'cancelled',
+    cancelled_at: new Date().toISOString(),
+    cancellation_reason: reason || null,
+    calendar_sequence: nextCalendarSequence(event)
+  });
+
+  const refunds = refund
+    ? await refundEventPayments(event.id, reason || 'Event cancelled')
+    : null;
+
+  const notified = await notifyEventCancelled(cancelledEvent, {
+    reason,
+    refundedAttendeeIds: refunds ? refunds.refunded.map(payment => payment.attendee_id) : []
+  });
+
+  return { event: cancelledEvent, notified, refunds };
+};
+
+/**
+ * Tell the attendees of an event that it has been postponed
+ * @param {Object} event - Postponed event, with its new dates if set
+ * @param {Object} [options] - Notification options
+ * @param {string} [options.reason] - Reason given by the organizer
+ * @param {boolean} [options.rescheduled] - Whether new dates were set
+ * @returns {Promise<number>} Number of attendees emailed
+ */
+export const notifyEventPostponed = async (event, { reason, rescheduled = false } = {}) => {
+  return notifyAttendees(event.id, attendee => sendEventPostponedEmail({
+    to: attendee.email,
+    attendeeName: attendee.name,
+    eventName: event.title,
+    eventDate: rescheduled ? formatInTimezone(event.start_date, event.timezone) : undefined,
+    reason,
+    calendar: attendeeCalendar(event, attendee)
+  }));
+};
+
+/**
+ * Tell the attendees of an event that its time or venue changed
+ * @param {Object} event - Updated event
+ * @returns {Promise<number>} Number of attendees emailed
+ */
+export const notifyEventUpdated = async (event) => {
+  return notifyAttendees(event.id, attendee => sendEventUpdatedEmail({
+    to: attendee.email,
+    attendeeName: attendee.name,
+    eventName: event.title,
+    eventDate: formatInTimezone(event.start_date, event.timezone),
+    eventLocation: getEventLocation(event),
+    calendar: attendeeCalendar(event, attendee)
+  }));
+};
+
@@ -0,0 +1,114 @@
+// src/services/loginThrottle.service.js
+import { MemoryCounterStore } from '../utils/counterStore.util.js';
+
+// Failed attempts on one account before it is locked
+const MAX_FAILURES_PER_EMAIL = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+
+// How long a locked account stays locked
+export const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+// Failures are forgotten after this long without a new one
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+// Failures allowed before backoff kicks in; an IP may be shared by several users
+const FREE_ATTEMPTS_PER_EMAIL = 2;
+const FREE_ATTEMPTS_PER_IP = 10;
+
+// Backoff doubles from 1 second up to 15 minutes
+const BACKOFF_BASE_MS = 1000;
+const MAX_BACKOFF_MS = 15 * 60 * 1000;
+
+let store = new MemoryCounterStore();
+
+/**
+ * Replace the counter store, e.g. with a shared store for multi-node deployments
+ * @param {Object} counterStore - Store implementing hit, get and reset
+ */
+export const setLoginCounterStore = (counterStore) => {
+  store = counterStore;
+};
+
+const emailKey = (email) => `login:email:${email.toLowerCase()}`;
+const lockKey = (email) => `login:lock:${email.toLowerCase()}`;
+const ipKey = (ip) => `login:ip:${ip}`;
+
+/**
+ * Get the time until which a counter imposes a backoff
+ * @param {Object|null} entry - Counter entry
+ * @param {number} freeAttempts - Failures allowed without delay
+ * @returns {number} Timestamp in milliseconds (0 when there is no backoff)
+ */
+const getBackoffUntil = (entry, freeAttempts) => {
+  if (!entry || entry.count <= freeAttempts) {
+    return 0;
+  }
+
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** (entry.count - freeAttempts - 1), MAX_BACKOFF_MS);
+  return entry.lastHitAt + delay;
+};
+
+/**
+ * Check whether a login attempt may go ahead
+ * @param {string} email - Email the attempt is for
+ * @param {string} [ip] - Client IP address
+ * @returns {Promise<Object|null>} null if allowed, otherwise { locked, retryAfter } with retryAfter in seconds
+ */
+export const getLoginBlock = async (email, ip) => {
+  const [lock, emailFailures, ipFailures] = await Promise.all([
+    store.get(lockKey(email)),
+    store.get(emailKey(email)),
+    ip ? store.get(ipKey(ip)) : null
+  ]);
+
+  const now = Date.now();
+
+  if (lock) {
+    return { locked: true, retryAfter: Math.ceil((lock.expiresAt - now) / 1000) };
+  }
+
+  const waitUntil = Math.max(
+    getBackoffUntil(emailFailures, FREE_ATTEMPTS_PER_EMAIL),
+    getBackoffUntil(ipFailures, FREE_ATTEMPTS_PER_IP)
+  );
+
+  if (waitUntil > now) {
+    return { locked: false, retryAfter: Math.ceil((waitUntil - now) / 1000) };
+  }
+
+  return null;
+};
+
+/**
+ * Record a failed login attempt
+ * Locks the account once it reaches the failure limit.
+ * @param {string} email - Email the attempt was for
+ * @param {string} [ip] - Client IP address
+ * @returns {Promise<boolean>} True if this failure locked the account
+ */
+export const recordLoginFailure = async (email, ip) => {
+  const [emailFailures] = await Promise.all([
+    store.hit(emailKey(email), FAILURE_WINDOW_MS),
+    ip ? store.hit(ipKey(ip), FAILURE_WINDOW_MS) : null
+  ]);
+
+  if (emailFailures.count < MAX_FAILURES_PER_EMAIL) {
+    return false;
+  }
+
+  await store.hit(lockKey(email), LOCKOUT_MINUTES * 60 * 1000);
+  await store.reset(emailKey(email));
+
+  return true;
+};
+
+/**
+ * Forget the failed attempts and lock of an account
+ * Called after a successful login or a password reset.
+ * @param {string} email - Account email
+ */
+export const clearLoginFailures = async (email) => {
+  await Promise.all([
+    store.reset(emailKey(email)),
+    store.reset(lockKey(email))
+  ]);
+};
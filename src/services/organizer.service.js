@@ -40,6 +40,80 @@ export const findOrganizerByEmail = async (email) => {
   return data;
 };
 
+/**
+ * Set a new password using a password reset token
+ * The token is consumed in the same update, so it can only be used once.
+ * @param {string} hashedToken - Hash of the reset token
+ * @param {string} hashedPassword - New bcrypt password hash
+ * @returns {Promise<Object|null>} Updated organizer or null if the token is invalid or expired
+ */
+export const resetPasswordWithToken = async (hashedToken, hashedPassword) => {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('organizer_registrations')
+    .update({
+      password: hashedPassword,
+      password_reset_token: null,
+      password_reset_expires: null,
+      password_changed_at: now
+    })
+    .eq('password_reset_token', hashedToken)
+    .gt('password_reset_expires', now)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw createError(500, `Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * Consume a magic sign-in link token
+ * The token is cleared in the same update, so each link works only once.
+ * @param {string} hashedToken - Hash of the magic link token
+ * @returns {Promise<Object|null>} Organizer or null if the token is invalid or expired
+ */
+export const consumeMagicLinkToken = async (hashedToken) => {
+  const { data, error } = await supabase
+    .from('organizer_registrations')
+    .update({
+      magic_link_token: null,
+      magic_link_expires: null
+    })
+    .eq('magic_link_token', hashedToken)
+    .gt('magic_link_expires', new Date().toISOString())
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw createError(500, `Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * Find the organizer a calendar feed token belongs to
+ * @param {string} hashedToken - Hash of the calendar feed token
+ * @returns {Promise<Object|null>} Organizer or null if no feed uses the token
+ */
+export const findOrganizerByCalendarFeedToken = async (hashedToken) => {
+  const { data, error } = await supabase
+    .from('organizer_registrations')
+    .select('id, name, company')
+    .eq('calendar_feed_token', hashedToken)
+    .maybeSingle();
+
+  if (error) {
+    throw createError(500, `Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
 /**
  * Service for organizer-related operations
  */
@@ -170,6 +170,38 @@ export const refundPayment = async (paymentId, amount, reason = 'Refund') => {
   }
 };
 
+/**
+ * Get a payment record from the database
+ * @param {string} paymentId - Payment record ID
+ * @returns {Promise<Object|null>} Payment record or null if not found
+ */
+export const findPaymentById = async (paymentId) => {
+  const { data, error } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('id', paymentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get the captured payments of an event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>} Payment records that can be refunded
+ */
+export const findCapturedPaymentsByEvent = async (eventId) => {
+  const { data, error } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('event_id', eventId)
+    .eq('status', 'captured');
+
+  if (error) throw error;
+  return data;
+};
+
 /**
  * Get payment details
  * @param {string} paymentId - Razorpay payment ID
@@ -0,0 +1,94 @@
+// src/services/publicEvent.service.js
+import { supabase } from '../config/supabase.config.js';
+import { createError } from '../utils/error.util.js';
+import { escapeSearchTerm } from '../utils/query.util.js';
+
+const EVENTS_TABLE = 'events';
+
+// Event columns shown to the public (never the organizer, online link or internal settings)
+const PUBLIC_EVENT_COLUMNS = 'id, slug, title, description, category, start_date, end_date, timezone, location, city, is_online, image_url, capacity, waitlist_enabled, published_at, updated_at, calendar_sequence';
+
+/**
+ * List published events for the public website, soonest first
+ * Without a date range only events that have not ended are listed.
+ * @param {Object} options - Query options
+ * @param {string} [options.search] - Matches title or description
+ * @param {string} [options.category] - Event category
+ * @param {string} [options.city] - City, matched case-insensitively
+ * @param {boolean} [options.online] - Only online (true) or in-person (false) events
+ * @param {string} [options.from] - Only events ending on or after this date
+ * @param {string} [options.to] - Only events starting on or before this date
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=20] - Page size
+ * @returns {Promise<Object>} Events and total count
+ */
+export const listPublishedEvents = async ({
+  search,
+  category,
+  city,
+  online,
+  from,
+  to,
+  page = 1,
+  limit = 20
+} = {}) => {
+  const offset = (page - 1) * limit;
+
+  let query = supabase
+    .from(EVENTS_TABLE)
+    .select(PUBLIC_EVENT_COLUMNS, { count: 'exact' })
+    .eq('status', 'published')
+    .not('slug', 'is', null)
+    .gte('end_date', from || new Date().toISOString())
+    .order('start_date', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (to) {
+    query = query.lte('start_date', to);
+  }
+
+  if (category) {
+    query = query.eq('category', category);
+  }
+
+  if (city) {
+    query = query.ilike('city', escapeSearchTerm(city));
+  }
+
+  if (online !== undefined) {
+    query = query.eq('is_online', online);
+  }
+
+  const term = search ? escapeSearchTerm(search) : '';
+  if (term) {
+    query = query.or(`title.ilike.%${term}%,description.ilike.%${term}%`);
+  }
+
+  const { data, count, error } = await query;
+
+  if (error) {
+    throw createError(500, `Database error: ${error.message}`);
+  }
+
+  return { events: data, total: count };
+};
+
+/**
+ * Get a published event by its slug
+ * @param {string} slug - Event slug
+ * @returns {Promise<Object|null>} Event with public columns, or null
+ */
+export const findPublishedEventBySlug = async (slug) => {
+  const { data, error } = await supabase
+    .from(EVENTS_TABLE)
+    .select(PUBLIC_EVENT_COLUMNS)
+    .eq('slug', slug)
+    .eq('status', 'published')
+    .maybeSingle();
+
+  if (error) {
+    throw createError(500, `Database error: ${error.message}`);
+  }
+
+  return data;
+};
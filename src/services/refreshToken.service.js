@@ -0,0 +1,152 @@
+// src/services/refreshToken.service.js
+import { supabase } from '../config/supabase.config.js';
+import { createError } from '../utils/error.util.js';
+import { generateTokens, verifyToken } from '../utils/jwt.utils.js';
+import { hashToken } from '../utils/token.util.js';
+
+const TABLE_NAME = 'refresh_tokens';
+
+/**
+ * Issue an access token and a persisted refresh token for a session
+ * The session ID doubles as the token family, so rotations stay in it.
+ * @param {Object} user - Token subject
+ * @param {string} user.id - Organizer ID
+ * @param {string} user.email - Organizer email
+ * @param {string} user.role - Organizer role
+ * @param {string} sessionId - Session the tokens belong to
+ * @returns {Promise<Object>} Access and refresh tokens
+ */
+export const issueAuthTokens = async ({ id, email, role }, sessionId) => {
+  const { accessToken, refreshToken } = generateTokens({ id, email, role, sid: sessionId });
+  const { exp } = verifyToken(refreshToken, true);
+
+  const { error } = await supabase
+    .from(TABLE_NAME)
+    .insert([{
+      organizer_id: id,
+      family_id: sessionId,
+      token_hash: hashToken(refreshToken),
+      expires_at: new Date(exp * 1000).toISOString()
+    }]);
+
+  if (error) {
+    throw createError(500, `Failed to store refresh token: ${error.message}`);
+  }
+
+  return { accessToken, refreshToken, sessionId };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * Presenting a token that was already rotated revokes its whole family,
+ * since it means the token has been copied.
+ * @param {string} refreshToken - Refresh token from the cookie
+ * @returns {Promise<Object>} New access and refresh tokens
+ */
+export const rotateRefreshToken = async (refreshToken) => {
+  const decoded = verifyToken(refreshToken, true);
+
+  if (decoded.purpose !== 'refresh') {
+    throw createError(401, 'Invalid refresh token');
+  }
+
+  const { data: stored, error } = await supabase
+    .from(TABLE_NAME)
+    .select('*')
+    .eq('token_hash', hashToken(refreshToken))
+    .maybeSingle();
+
+  if (error) {
+    throw createError(500, `Database error: ${error.message}`);
+  }
+
+  if (!stored || stored.revoked_at) {
+    throw createError(401, 'Invalid refresh token');
+  }
+
+  if (stored.used_at) {
+    await revokeTokenFamily(stored.family_id);
+    throw createError(401, 'Refresh token reuse detected. Please log in again');
+  }
+
+  // Only one request may consume the token, even if two arrive at once
+  const { data: consumed, error: consumeError } = await supabase
+    .from(TABLE_NAME)
+    .update({ used_at: new Date().toISOString() })
+    .eq('id', stored.id)
+    .is('used_at', null)
+    .select()
+    .maybeSingle();
+
+  if (consumeError) {
+    throw createError(500, `Database error: ${consumeError.message}`);
+  }
+
+  if (!consumed) {
+    await revokeTokenFamily(stored.family_id);
+    throw createError(401, 'Refresh token reuse detected. Please log in again');
+  }
+
+  // The new tokens carry the organizer's current role and email, not those signed at login
+  const { data: organizer, error: organizerError } = await supabase
+    .from('organizer_registrations')
+    .select('id, email, role')
+    .eq('id', stored.organizer_id)
+    .maybeSingle();
+
+  if (organizerError) {
+    throw createError(500, `Database error: ${organizerError.message}`);
+  }
+
+  if (!organizer) {
+    await revokeTokenFamily(stored.family_id);
+    throw createError(401, 'Invalid refresh token');
+  }
+
+  return issueAuthTokens(organizer, stored.family_id);
+};
+
+/**
+ * Revoke every token in a family
+ * @param {string} familyId - Token family ID
+ * @returns {Promise<boolean>} Success status
+ */
+export const revokeTokenFamily = async (familyId) => {
+  const { error } = await supabase
+    .from(TABLE_NAME)
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('family_id', familyId)
+    .is('revoked_at', null);
+
+  if (error) {
+    throw createError(500, `Database error: ${error.message}`);
+  }
+
+  return true;
+};
+
+/**
+ * Revoke all refresh tokens of an organizer
+ * @param {string} organizerId - Organizer ID
+ * @param {string} [exceptFamilyId] - Token family to keep (the current session)
+ * @returns {Promise<boolean>} Success status
+ */
+export const revokeAllRefreshTokens = async (organizerId, exceptFamilyId) => {
+  let query = supabase
+    .from(TABLE_NAME)
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('organizer_id', organizerId)
+    .is('revoked_at', null);
+
+  if (exceptFamilyId) {
+    query = query.neq('family_id', exceptFamilyId);
+  }
+
+  const { error } = await query;
+
+  if (error) {
+    throw createError(500, `Database error: ${error.message}`);
+  }
+
+  return true;
+};
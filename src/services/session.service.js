@@ -0,0 +1,201 @@
+// src/services/session.service.js
+import { supabase } from '../config/supabase.config.js';
+import { createError } from '../utils/error.util.js';
+import {
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  revokeAllRefreshTokens
+} from './refreshToken.service.js';
+import { generateAccessToken } from '../utils/jwt.utils.js';
+
+const TABLE_NAME = 'organizer_sessions';
+
+/**
+ * Start a new session and issue its tokens
+ * @param {Object} user - Organizer the session belongs to
+ * @param {string} user.id - Organizer ID
+ * @param {string} user.email - Organizer email
+ * @param {string} user.role - Organizer role
+ * @param {Object} client - Client details
+ * @param {string} [client.deviceName] - Device name reported by the app
+ * @param {string} [client.ipAddress] - Client IP address
+ * @param {string} [client.userAgent] - Client user agent
+ * @returns {Promise<Object>} Access token, refresh token and session ID
+ */
+export const startSession = async (user, { deviceName, ipAddress, userAgent } = {}) => {
+  const now = new Date().toISOString();
+
+  const { data: session, error } = await supabase
+    .from(TABLE_NAME)
+    .insert([{
+      organizer_id: user.id,
+      device_name: deviceName || null,
+      ip_address: ipAddress || null,
+      user_agent: userAgent || null,
+      last_used_at: now
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    throw createError(500, `Failed to create session: ${error.message}`);
+  }
+
+  return issueAuthTokens(user, session.id);
+};
+
+/**
+ * Start a support session in which an admin acts as an organizer
+ * Only a short-lived access token is issued; the session shows up in the
+ * organizer's session list and can be revoked like any other.
+ * @param {Object} user - Organizer being impersonated
+ * @param {Object} admin - Admin starting the session
+ * @param {Object} client - Client details of the admin
+ * @param {string} expiresIn - Token lifetime
+ * @returns {Promise<Object>} Access token and session ID
+ */
+export const startImpersonationSession = async (user, admin, { ipAddress, userAgent } = {}, expiresIn) => {
+  const { data: session, error } = await supabase
+    .from(TABLE_NAME)
+    .insert([{
+      organizer_id: user.id,
+      device_name: `Support session (${admin.email})`,
+      ip_address: ipAddress || null,
+      user_agent: userAgent || null,
+      impersonated_by: admin.id,
+      last_used_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    throw createError(500, `Failed to create session: ${error.message}`);
+  }
+
+  const accessToken = generateAccessToken(
+    { id: user.id, email: user.email, role: user.role, sid: session.id, impersonatedBy: admin.id },
+    expiresIn
+  );
+
+  return { accessToken, sessionId: session.id };
+};
+
+/**
+ * Rotate a session's refresh token and record the activity
+ * @param {string} refreshToken - Refresh token from the cookie
+ * @param {Object} client - Client details
+ * @param {string} [client.ipAddress] - Client IP address
+ * @param {string} [client.userAgent] - Client user agent
+ * @returns {Promise<Object>} New access and refresh tokens
+ */
+export const refreshSession = async (refreshToken, { ipAddress, userAgent } = {}) => {
+  const tokens = await rotateRefreshToken(refreshToken);
+
+  const { error } = await supabase
+    .from(TABLE_NAME)
+    .update({
+      last_used_at: new Date().toISOString(),
+      ...(ipAddress && { ip_address: ipAddress }),
+      ...(userAgent && { user_agent: userAgent })
+    })
+    .eq('id', tokens.sessionId);
+
+  if (error) {
+    throw createError(500, `Database error: ${error.message}`);
+  }
+
+  return tokens;
+};
+
+/**
+ * Find a session by ID
+ * Includes the status of the organizer so suspended accounts can be rejected.
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} Session or null
+ */
+export const findSessionById = async (sessionId) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .select('*, organizer:organizer_id (status)')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (error) {
+    throw createError(500, `Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * List the active sessions of an organizer
+ * @param {string} organizerId - Organizer ID
+ * @returns {Promise<Array>} Sessions, most recently used first
+ */
+export const findActiveSessions = async (organizerId) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .select('id, device_name, ip_address, user_agent, created_at, last_used_at')
+    .eq('organizer_id', organizerId)
+    .is('revoked_at', null)
+    .order('last_used_at', { ascending: false });
+
+  if (error) {
+    throw createError(500, `Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * Revoke a single session and its refresh tokens
+ * @param {string} organizerId - Organizer the session must belong to
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+export const revokeSession = async (organizerId, sessionId) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAME)
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', sessionId)
+    .eq('organizer_id', organizerId)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) {
+    throw createError(500, `Database error: ${error.message}`);
+  }
+
+  await revokeTokenFamily(sessionId);
+
+  return data.length > 0;
+};
+
+/**
+ * Revoke every session of an organizer ("sign out everywhere")
+ * @param {string} organizerId - Organizer ID
+ * @param {string} [exceptSessionId] - Session to keep signed in (the current one)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export const revokeAllSessions = async (organizerId, exceptSessionId) => {
+  let query = supabase
+    .from(TABLE_NAME)
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('organizer_id', organizerId)
+    .is('revoked_at', null);
+
+  if (exceptSessionId) {
+    query = query.neq('id', exceptSessionId);
+  }
+
+  const { data, error } = await query.select('id');
+
+  if (error) {
+    throw createError(500, `Database error: ${error.message}`);
+  }
+
+  await revokeAllRefreshTokens(organizerId, exceptSessionId);
+
+  return data.length;
+};
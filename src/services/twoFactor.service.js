@@ -0,0 +1,158 @@
+// src/services/twoFactor.service.js
+import crypto from 'crypto';
+import { supabase } from '../config/supabase.config.js';
+import OrganizerService from './organizer.service.js';
+import { createError } from '../utils/error.util.js';
+import { hashToken } from '../utils/token.util.js';
+import { generateQRCode } from '../utils/qr.util.js';
+import { generateTotpSecret, verifyTotp, buildOtpAuthUri } from '../utils/totp.util.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Generate a set of recovery codes
+ * @returns {Object} Plain codes (shown once) and their hashes (stored)
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashedCodes: codes.map(code => hashToken(code))
+  };
+};
+
+/**
+ * Start two-factor enrollment by generating a pending secret
+ * @param {Object} organizer - Organizer record
+ * @returns {Promise<Object>} Secret, otpauth URI and QR code data URL
+ */
+export const startTwoFactorSetup = async (organizer) => {
+  if (organizer.two_factor_enabled) {
+    throw createError(409, 'Two-factor authentication is already enabled');
+  }
+
+  const secret = generateTotpSecret();
+  const otpauthUrl = buildOtpAuthUri({
+    secret,
+    accountName: organizer.email,
+    issuer: process.env.TOTP_ISSUER || 'Event Organizer'
+  });
+
+  await OrganizerService.updateOrganizer(organizer.id, {
+    two_factor_pending_secret: secret
+  });
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await generateQRCode(otpauthUrl, { width: 250 })
+  };
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * @param {Object} organizer - Organizer record
+ * @param {string} code - Current TOTP code
+ * @returns {Promise<string[]>} Recovery codes, shown only once
+ */
+export const confirmTwoFactorSetup = async (organizer, code) => {
+  if (organizer.two_factor_enabled) {
+    throw createError(409, 'Two-factor authentication is already enabled');
+  }
+
+  if (!organizer.two_factor_pending_secret) {
+    throw createError(400, 'Two-factor setup has not been started');
+  }
+
+  const step = verifyTotp(organizer.two_factor_pending_secret, code);
+  if (step === null) {
+    throw createError(400, 'Invalid authentication code');
+  }
+
+  const { codes, hashedCodes } = generateRecoveryCodes();
+
+  await OrganizerService.updateOrganizer(organizer.id, {
+    two_factor_enabled: true,
+    two_factor_secret: organizer.two_factor_pending_secret,
+    two_factor_pending_secret: null,
+    two_factor_recovery_codes: hashedCodes,
+    two_factor_last_used_step: step
+  });
+
+  return codes;
+};
+
+/**
+ * Check a second factor for an organizer
+ * A TOTP code can't be replayed, and a recovery code is consumed when used.
+ * @param {Object} organizer - Organizer record
+ * @param {Object} factor - Second factor
+ * @param {string} [factor.code] - TOTP code
+ * @param {string} [factor.recoveryCode] - Recovery code
+ * @returns {Promise<boolean>} Whether the factor is valid
+ */
+export const verifySecondFactor = async (organizer, { code, recoveryCode }) => {
+  if (!organizer.two_factor_enabled) {
+    return false;
+  }
+
+  if (code) {
+    const step = verifyTotp(organizer.two_factor_secret, code);
+
+    if (step === null || step <= (organizer.two_factor_last_used_step ?? -1)) {
+      return false;
+    }
+
+    await OrganizerService.updateOrganizer(organizer.id, {
+      two_factor_last_used_step: step
+    });
+
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hashed = hashToken(recoveryCode.trim().toLowerCase());
+    const remaining = organizer.two_factor_recovery_codes || [];
+
+    if (!remaining.includes(hashed)) {
+      return false;
+    }
+
+    // Only written if the codes are still the ones read, so a code can't be used by two logins at once
+    const { data: updated, error } = await supabase
+      .from('organizer_registrations')
+      .update({ two_factor_recovery_codes: remaining.filter(stored => stored !== hashed) })
+      .eq('id', organizer.id)
+      .contains('two_factor_recovery_codes', remaining)
+      .containedBy('two_factor_recovery_codes', remaining)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      throw createError(500, `Database error: ${error.message}`);
+    }
+
+    return Boolean(updated);
+  }
+
+  return false;
+};
+
+/**
+ * Turn off two-factor authentication
+ * @param {string} organizerId - Organizer ID
+ * @returns {Promise<Object>} Updated organizer
+ */
+export const disableTwoFactor = async (organizerId) => {
+  return OrganizerService.updateOrganizer(organizerId, {
+    two_factor_enabled: false,
+    two_factor_secret: null,
+    two_factor_pending_secret: null,
+    two_factor_recovery_codes: null,
+    two_factor_last_used_step: null
+  });
+};
@@ -0,0 +1,76 @@
+// src/services/waitlist.service.js
+import { findEventById } from '../models/event.model.js';
+import {
+  offerWaitlistSpots,
+  updateAttendee,
+  expireWaitlistOffers
+} from '../models/attendee.model.js';
+import { generateOneTimeToken } from '../utils/token.util.js';
+import { sendWaitlistOfferEmail } from '../utils/email.util.js';
+
+// Time a waitlisted attendee has to claim an offered place
+export const WAITLIST_OFFER_EXPIRES_IN_HOURS = parseInt(process.env.WAITLIST_OFFER_EXPIRES_IN_HOURS, 10) || 24;
+
+/**
+ * Offer any free places of an event to the front of its waitlist
+ * Each offered attendee gets an email with a single-use link to claim the place.
+ * @param {string} eventId - Event ID
+ * @returns {Promise<number>} Number of offers made
+ */
+export const promoteFromWaitlist = async (eventId) => {
+  const offerExpiresAt = new Date(Date.now() + WAITLIST_OFFER_EXPIRES_IN_HOURS * 60 * 60 * 1000);
+  const offered = await offerWaitlistSpots(eventId, offerExpiresAt);
+
+  if (offered.length === 0) {
+    return 0;
+  }
+
+  const event = await findEventById(eventId);
+
+  for (const attendee of offered) {
+    const { token, hashedToken } = generateOneTimeToken();
+    await updateAttendee(attendee.id, { offer_token_hash: hashedToken });
+
+    try {
+      await sendWaitlistOfferEmail({
+        to: attendee.email,
+        attendeeName: attendee.name,
+        eventName: event.title,
+        acceptUrl: `${process.env.FRONTEND_URL}/waitlist/offer?token=${token}`,
+        expiresInHours: WAITLIST_OFFER_EXPIRES_IN_HOURS
+      });
+    } catch (emailError) {
+      console.error('Error sending waitlist offer email:', emailError);
+    }
+  }
+
+  return offered.length;
+};
+
+/**
+ * Promote from the waitlist without failing the caller
+ * Used after changes that may free a place, where the change itself already succeeded.
+ * @param {string} eventId - Event ID
+ */
+export const promoteFromWaitlistSafely = async (eventId) => {
+  try {
+    await promoteFromWaitlist(eventId);
+  } catch (error) {
+    console.error(`Error promoting waitlist of event ${eventId}:`, error);
+  }
+};
+
+/**
+ * Cancel lapsed offers and pass their places on
+ * @returns {Promise<number>} Number of lapsed offers
+ */
+export const processExpiredOffers = async () => {
+  const expired = await expireWaitlistOffers();
+  const eventIds = [...new Set(expired.map(attendee => attendee.event_id))];
+
+  for (const eventId of eventIds) {
+    await promoteFromWaitlistSafely(eventId);
+  }
+
+  return expired.length;
+};
@@ -0,0 +1,263 @@
+/**
+ * iCalendar (RFC 5545) output for events
+ * Times are written in UTC, which every calendar client converts to the
+ * reader's own timezone, so no VTIMEZONE components are needed.
+ */
+
+const CRLF = '\r\n';
+
+// Lines longer than this many octets are folded onto continuation lines
+const MAX_LINE_OCTETS = 75;
+
+const PRODUCT_ID = '-//Passiyo//Events//EN';
+
+/**
+ * Event fields whose change makes calendar clients update their copy
+ * Changing any of them increments the event's calendar sequence.
+ */
+export const CALENDAR_SCHEDULE_FIELDS = ['start_date', 'end_date', 'location', 'city', 'is_online', 'online_url'];
+
+// Calendar status for each event status; drafts are never published to calendars
+const EVENT_STATUS_TO_CALENDAR = {
+  published: 'CONFIRMED',
+  postponed: 'TENTATIVE',
+  cancelled: 'CANCELLED',
+  completed: 'CONFIRMED'
+};
+
+/**
+ * Escape a TEXT value
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Quote a parameter value, such as a common name
+ * @param {string} value - Parameter value
+ * @returns {string} Quoted value
+ */
+const quoteParam = (value) => `"${String(value).replace(/["\r\n]/g, '')}"`;
+
+/**
+ * Fold a content line so no line is longer than 75 octets
+ * Multi-byte characters are never split across lines.
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+const foldLine = (line) => {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length
+    const limit = lines.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (octets + size > limit) {
+      lines.push(current);
+      current = '';
+      octets = 0;
+    }
+
+    current += char;
+    octets += size;
+  }
+
+  lines.push(current);
+  return lines.join(`${CRLF} `);
+};
+
+/**
+ * Format a date as a UTC DATE-TIME value
+ * @param {string|Date} date - Date
+ * @returns {string} Value, e.g. "20250314T130000Z"
+ */
+const formatDateTime = (date) => new Date(date)
+  .toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+/**
+ * Get the host name used to make event UIDs globally unique
+ * @returns {string} Host name
+ */
+const getUidDomain = () => {
+  try {
+    return new URL(process.env.API_URL).hostname;
+  } catch (error) {
+    return 'passiyo';
+  }
+};
+
+/**
+ * Get the calendar UID of an event
+ * It stays the same for the life of the event so clients can match updates.
+ * @param {Object} event - Event record
+ * @returns {string} UID
+ */
+export const getEventUid = (event) => `event-${event.id}@${getUidDomain()}`;
+
+/**
+ * Describe where an event takes place
+ * @param {Object} event - Event record
+ * @returns {string} Venue and city, or the URL of an online event
+ */
+export const getEventLocation = (event) => (
+  event.is_online
+    ? event.online_url || 'Online'
+    : [event.location, event.city].filter(Boolean).join(', ')
+);
+
+/**
+ * Get the calendar sequence of an event's next revision
+ * @param {Object} event - Event before the change
+ * @returns {number} Sequence number
+ */
+export const nextCalendarSequence = (event) => (event.calendar_sequence || 0) + 1;
+
+/**
+ * Check whether an update changes a scheduling field of an event
+ * Dates are compared as instants, since the database and requests format them differently.
+ * @param {Object} event - Event before the update
+ * @param {Object} updates - Fields being updated
+ * @param {string} field - Field from CALENDAR_SCHEDULE_FIELDS
+ * @returns {boolean} True if the value changes
+ */
+const changesField = (event, updates, field) => {
+  if (updates[field] === undefined) {
+    return false;
+  }
+
+  if (field.endsWith('_date') && updates[field] && event[field]) {
+    return new Date(updates[field]).getTime() !== new Date(event[field]).getTime();
+  }
+
+  return (updates[field] || null) !== (event[field] || null);
+};
+
+/**
+ * Get the increment of an event's calendar sequence for an update, if any
+ * @param {Object} event - Event before the update
+ * @param {Object} updates - Fields being updated
+ * @returns {Object} calendar_sequence update, or nothing if no scheduling field changes
+ */
+export const calendarSequenceUpdate = (event, updates) => {
+  if (!CALENDAR_SCHEDULE_FIELDS.some(field => changesField(event, updates, field))) {
+    return {};
+  }
+
+  return { calendar_sequence: nextCalendarSequence(event) };
+};
+
+/**
+ * Build the VEVENT lines of an event
+ * @param {Object} event - Event record
+ * @param {Object} [options] - Component options
+ * @param {string} [options.method] - Calendar method the component is sent with
+ * @param {Object} [options.attendee] - Attendee the invitation is addressed to
+ * @param {Date} [options.now] - Time the calendar is generated
+ * @returns {string[]} Content lines
+ */
+const buildEventLines = (event, { method = 'PUBLISH', attendee, now = new Date() } = {}) => {
+  const location = getEventLocation(event);
+  const status = method === 'CANCEL' ? 'CANCELLED' : EVENT_STATUS_TO_CALENDAR[event.status];
+  const url = event.slug && process.env.FRONTEND_URL
+    ? `${process.env.FRONTEND_URL}/events/${event.slug}`
+    : null;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getEventUid(event)}`,
+    `SEQUENCE:${event.calendar_sequence || 0}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `DTSTART:${formatDateTime(event.start_date)}`,
+    `DTEND:${formatDateTime(event.end_date)}`,
+    `SUMMARY:${escapeText(event.title)}`
+  ];
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (location) {
+    lines.push(`LOCATION:${escapeText(location)}`);
+  }
+  if (url) {
+    lines.push(`URL:${url}`);
+  }
+  if (status) {
+    lines.push(`STATUS:${status}`);
+  }
+  if (event.updated_at) {
+    lines.push(`LAST-MODIFIED:${formatDateTime(event.updated_at)}`);
+  }
+
+  // Invitations name the organizer and the attendee so clients accept them as iTIP messages
+  if (attendee) {
+    const organizerName = process.env.EMAIL_FROM_NAME || 'Event Organizer';
+    const organizerEmail = process.env.EMAIL_FROM_ADDRESS || process.env.SMTP_USER;
+
+    if (organizerEmail) {
+      lines.push(`ORGANIZER;CN=${quoteParam(organizerName)}:mailto:${organizerEmail}`);
+    }
+    lines.push(
+      `ATTENDEE;CN=${quoteParam(attendee.name)};ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED;RSVP=FALSE:mailto:${attendee.email}`
+    );
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Create an iCalendar document
+ * @param {Object[]} events - Events to include
+ * @param {Object} [options] - Calendar options
+ * @param {string} [options.method] - PUBLISH, REQUEST or CANCEL
+ * @param {string} [options.name] - Calendar name shown by subscribing clients
+ * @param {Object} [options.attendee] - Attendee an invitation is addressed to
+ * @returns {string} iCalendar document
+ */
+export const createCalendar = (events, { method = 'PUBLISH', name, attendee } = {}) => {
+  const now = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  events.forEach(event => {
+    lines.push(...buildEventLines(event, { method, attendee, now }));
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join(CRLF) + CRLF;
+};
+
+/**
+ * Create the calendar invitation sent to an attendee by email
+ * @param {Object} event - Event record
+ * @param {Object} attendee - Attendee with name and email
+ * @param {Object} [options] - Invitation options
+ * @param {boolean} [options.cancel] - Remove the event from the attendee's calendar
+ * @returns {Object} Calendar method and content
+ */
+export const createCalendarInvite = (event, attendee, { cancel = false } = {}) => {
+  const method = cancel ? 'CANCEL' : 'REQUEST';
+
+  return {
+    method,
+    content: createCalendar([event], { method, attendee })
+  };
+};
@@ -0,0 +1,85 @@
+/**
+ * Counter stores keep short-lived per-key counters (failed logins etc.).
+ *
+ * A store implements:
+ *  - hit(key, ttlMs)  -> Promise<{ count, lastHitAt, expiresAt }>  increment and extend the expiry
+ *  - get(key)         -> Promise<{ count, lastHitAt, expiresAt } | null>
+ *  - reset(key)       -> Promise<void>
+ *
+ * MemoryCounterStore is only suitable for a single node; multi-node deployments
+ * should provide a shared implementation (e.g. Redis) with the same interface.
+ */
+
+// How often expired entries are swept from memory
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+export class MemoryCounterStore {
+  constructor() {
+    this.entries = new Map();
+
+    // Don't keep the process alive just for the sweeper
+    this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweeper.unref();
+  }
+
+  /**
+   * Increment a counter and extend its expiry
+   * @param {string} key - Counter key
+   * @param {number} ttlMs - Time to live from now, in milliseconds
+   * @returns {Promise<Object>} Updated entry
+   */
+  async hit(key, ttlMs) {
+    const now = Date.now();
+    const current = await this.get(key);
+
+    const entry = {
+      count: (current ? current.count : 0) + 1,
+      lastHitAt: now,
+      expiresAt: now + ttlMs
+    };
+
+    this.entries.set(key, entry);
+    return { ...entry };
+  }
+
+  /**
+   * Get a counter
+   * @param {string} key - Counter key
+   * @returns {Promise<Object|null>} Entry or null if missing or expired
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return { ...entry };
+  }
+
+  /**
+   * Remove a counter
+   * @param {string} key - Counter key
+   */
+  async reset(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Drop expired entries
+   */
+  sweep() {
+    const now = Date.now();
+
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
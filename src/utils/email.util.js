@@ -19,9 +19,10 @@ const transporter = nodemailer.createTransport({
  * @param {string} options.subject - Email subject
  * @param {string} options.text - Plain text email body
  * @param {string} [options.html] - HTML email body
+ * @param {Array} [options.attachments] - Nodemailer attachments
  * @returns {Promise<Object>} Email send result
  */
-export const sendEmail = async ({ to, subject, text, html }) => {
+export const sendEmail = async ({ to, subject, text, html, attachments }) => {
   try {
     if (!to || !subject || (!text && !html)) {
       throw createError(400, 'Missing required email fields');
@@ -33,6 +34,7 @@ export const sendEmail = async ({ to, subject, text, html }) => {
       subject,
       text,
       html: html || text, // Use HTML if provided, otherwise fallback to text
+      attachments,
     });
 
     console.log('Message sent: %s', info.messageId);
@@ -43,6 +45,17 @@ export const sendEmail = async ({ to, subject, text, html }) => {
   }
 };
 
+/**
+ * Attach a calendar invitation to an email
+ * @param {Object} [calendar] - Calendar method and content from createCalendarInvite
+ * @returns {Array|undefined} Nodemailer attachments
+ */
+const calendarAttachments = (calendar) => calendar && [{
+  filename: calendar.method === 'CANCEL' ? 'cancel.ics' : 'invite.ics',
+  content: calendar.content,
+  contentType: `text/calendar; charset=utf-8; method=${calendar.method}`,
+}];
+
 /**
  * Send event registration confirmation email
  * @param {Object} options - Email options
@@ -53,6 +66,7 @@ export const sendEmail = async ({ to, subject, text, html }) => {
  * @param {string} options.eventLocation - Event location
  * @param {string} options.ticketType - Ticket type name
  * @param {string} options.ticketNumber - Ticket number/reference
+ * @param {Object} [options.calendar] - Calendar invitation to attach
  * @returns {Promise<Object>} Email send result
  */
 export const sendRegistrationConfirmation = async ({
@@ -63,6 +77,7 @@ export const sendRegistrationConfirmation = async ({
   eventLocation,
   ticketType,
   ticketNumber,
+  calendar,
 }) => {
   const subject = `Your Ticket for ${eventName}`;
   const text = `
@@ -109,6 +124,589 @@ export const sendRegistrationConfirmation = async ({
     </div>
   `;
 
+  return sendEmail({
+    to,
+    subject,
+    text: text.trim(),
+    html: html.trim(),
+    attachments: calendarAttachments(calendar),
+  });
+};
+
+/**
+ * Send an event cancellation email to an attendee
+ * @param {Object} options - Email options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.attendeeName - Attendee name
+ * @param {string} options.eventName - Event name
+ * @param {string} [options.reason] - Reason given by the organizer
+ * @param {boolean} [options.refunded] - Whether the attendee's payment is being refunded
+ * @param {Object} [options.calendar] - Calendar cancellation to attach
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendEventCancelledEmail = async ({
+  to,
+  attendeeName,
+  eventName,
+  reason,
+  refunded = false,
+  calendar,
+}) => {
+  const subject = `${eventName} has been cancelled`;
+  const refundNote = refunded
+    ? 'Your payment is being refunded and should reach your account within 5-7 business days.'
+    : 'If you paid for a ticket, the organizer will be in touch about a refund.';
+  const text = `
+    Hi ${attendeeName},
+
+    We're sorry to let you know that ${eventName} has been cancelled.
+    ${reason ? `Reason: ${reason}` : ''}
+    ${refundNote}
+
+    Best regards,
+    The Event Organizer Team
+  `;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #dc2626;">${eventName} has been cancelled</h2>
+
+      <p>Hi ${attendeeName},</p>
+
+      <p>We're sorry to let you know that <strong>${eventName}</strong> has been cancelled.</p>
+
+      ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ''}
+
+      <p>${refundNote}</p>
+
+      <p>Best regards,<br>
+      <strong>The Event Organizer Team</strong></p>
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    text: text.trim(),
+    html: html.trim(),
+    attachments: calendarAttachments(calendar),
+  });
+};
+
+/**
+ * Send an event postponement email to an attendee
+ * @param {Object} options - Email options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.attendeeName - Attendee name
+ * @param {string} options.eventName - Event name
+ * @param {string} [options.eventDate] - Formatted new event date, if already known
+ * @param {string} [options.reason] - Reason given by the organizer
+ * @param {Object} [options.calendar] - Updated calendar invitation to attach
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendEventPostponedEmail = async ({
+  to,
+  attendeeName,
+  eventName,
+  eventDate,
+  reason,
+  calendar,
+}) => {
+  const subject = eventDate
+    ? `${eventName} has been rescheduled`
+    : `${eventName} has been postponed`;
+  const dateNote = eventDate
+    ? `The event will now take place on ${eventDate}. Your registration remains valid for the new date.`
+    : 'A new date has not been set yet. We will let you know as soon as it is, and your registration remains valid.';
+  const text = `
+    Hi ${attendeeName},
+
+    ${eventName} has been postponed.
+    ${reason ? `Reason: ${reason}` : ''}
+    ${dateNote}
+
+    Best regards,
+    The Event Organizer Team
+  `;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">${subject}</h2>
+
+      <p>Hi ${attendeeName},</p>
+
+      <p><strong>${eventName}</strong> has been postponed.</p>
+
+      ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ''}
+
+      <p>${dateNote}</p>
+
+      <p>Best regards,<br>
+      <strong>The Event Organizer Team</strong></p>
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    text: text.trim(),
+    html: html.trim(),
+    attachments: calendarAttachments(calendar),
+  });
+};
+
+/**
+ * Send an email telling an attendee that the time or venue of an event changed
+ * @param {Object} options - Email options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.attendeeName - Attendee name
+ * @param {string} options.eventName - Event name
+ * @param {string} options.eventDate - Formatted event date
+ * @param {string} options.eventLocation - Event location
+ * @param {Object} [options.calendar] - Updated calendar invitation to attach
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendEventUpdatedEmail = async ({
+  to,
+  attendeeName,
+  eventName,
+  eventDate,
+  eventLocation,
+  calendar,
+}) => {
+  const subject = `${eventName} has been updated`;
+  const text = `
+    Hi ${attendeeName},
+
+    The details of ${eventName} have changed.
+
+    Event Details:
+    - Date: ${eventDate}
+    - Location: ${eventLocation}
+
+    Your registration remains valid.
+
+    Best regards,
+    The Event Organizer Team
+  `;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">${subject}</h2>
+
+      <p>Hi ${attendeeName},</p>
+
+      <p>The details of <strong>${eventName}</strong> have changed.</p>
+
+      <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <h3 style="margin-top: 0; color: #1f2937;">Event Details</h3>
+        <p><strong>Date:</strong> ${eventDate}</p>
+        <p><strong>Location:</strong> ${eventLocation}</p>
+      </div>
+
+      <p>Your registration remains valid.</p>
+
+      <p>Best regards,<br>
+      <strong>The Event Organizer Team</strong></p>
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    text: text.trim(),
+    html: html.trim(),
+    attachments: calendarAttachments(calendar),
+  });
+};
+
+/**
+ * Send a waitlist offer email
+ * @param {Object} options - Email options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.attendeeName - Attendee name
+ * @param {string} options.eventName - Event name
+ * @param {string} options.acceptUrl - Link to accept or decline the place
+ * @param {number} options.expiresInHours - Hours until the offer lapses
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendWaitlistOfferEmail = async ({
+  to,
+  attendeeName,
+  eventName,
+  acceptUrl,
+  expiresInHours,
+}) => {
+  const subject = `A place opened up for ${eventName}`;
+  const text = `
+    Hi ${attendeeName},
+
+    Good news! A place has opened up for ${eventName} and it is being held for you.
+
+    Claim it here:
+    ${acceptUrl}
+
+    This offer expires in ${expiresInHours} hours, after which the place goes to the next person on the waitlist.
+
+    Best regards,
+    The Event Organizer Team
+  `;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">A place opened up for ${eventName}</h2>
+
+      <p>Hi ${attendeeName},</p>
+
+      <p>Good news! A place has opened up for <strong>${eventName}</strong> and it is being held for you.</p>
+
+      <p style="margin: 30px 0;">
+        <a href="${acceptUrl}" style="background-color: #2563eb; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Claim My Place</a>
+      </p>
+
+      <p>This offer expires in ${expiresInHours} hours, after which the place goes to the next person on the waitlist.</p>
+
+      <p>Best regards,<br>
+      <strong>The Event Organizer Team</strong></p>
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    text: text.trim(),
+    html: html.trim(),
+  });
+};
+
+/**
+ * Send email address verification email
+ * @param {Object} options - Email options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.name - Organizer name
+ * @param {string} options.verifyUrl - Verification link
+ * @param {number} options.expiresInHours - Hours until the link expires
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendVerificationEmail = async ({
+  to,
+  name,
+  verifyUrl,
+  expiresInHours,
+}) => {
+  const subject = 'Verify your email address';
+  const text = `
+    Hi ${name},
+
+    Thanks for signing up! Please confirm your email address by opening the link below:
+    ${verifyUrl}
+
+    This link expires in ${expiresInHours} hours.
+    If you did not create an account, you can ignore this email.
+
+    Best regards,
+    The Event Organizer Team
+  `;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">Verify your email address</h2>
+
+      <p>Hi ${name},</p>
+
+      <p>Thanks for signing up! Please confirm your email address to activate your account.</p>
+
+      <p style="margin: 30px 0;">
+        <a href="${verifyUrl}" style="background-color: #2563eb; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Verify Email</a>
+      </p>
+
+      <p>This link expires in ${expiresInHours} hours.
+      If you did not create an account, you can ignore this email.</p>
+
+      <p>Best regards,<br>
+      <strong>The Event Organizer Team</strong></p>
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    text: text.trim(),
+    html: html.trim(),
+  });
+};
+
+/**
+ * Send confirmation email for a new account email address
+ * @param {Object} options - Email options
+ * @param {string} options.to - New email address
+ * @param {string} options.name - Organizer name
+ * @param {string} options.confirmUrl - Confirmation link
+ * @param {number} options.expiresInHours - Hours until the link expires
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendEmailChangeEmail = async ({
+  to,
+  name,
+  confirmUrl,
+  expiresInHours,
+}) => {
+  const subject = 'Confirm your new email address';
+  const text = `
+    Hi ${name},
+
+    We received a request to use this address for your account. Please confirm it by opening the link below:
+    ${confirmUrl}
+
+    This link expires in ${expiresInHours} hours.
+    If you did not request this change, you can ignore this email.
+
+    Best regards,
+    The Event Organizer Team
+  `;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">Confirm your new email address</h2>
+
+      <p>Hi ${name},</p>
+
+      <p>We received a request to use this address for your account.</p>
+
+      <p style="margin: 30px 0;">
+        <a href="${confirmUrl}" style="background-color: #2563eb; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Confirm Email</a>
+      </p>
+
+      <p>This link expires in ${expiresInHours} hours.
+      If you did not request this change, you can ignore this email.</p>
+
+      <p>Best regards,<br>
+      <strong>The Event Organizer Team</strong></p>
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    text: text.trim(),
+    html: html.trim(),
+  });
+};
+
+/**
+ * Send password reset email
+ * @param {Object} options - Email options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.name - Organizer name
+ * @param {string} options.resetUrl - Link to the password reset page
+ * @param {number} options.expiresInMinutes - Minutes until the link expires
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendPasswordResetEmail = async ({
+  to,
+  name,
+  resetUrl,
+  expiresInMinutes,
+}) => {
+  const subject = 'Reset your password';
+  const text = `
+    Hi ${name},
+
+    We received a request to reset the password for your account.
+
+    Use the link below to choose a new password:
+    ${resetUrl}
+
+    This link expires in ${expiresInMinutes} minutes and can only be used once.
+    If you did not request a password reset, you can ignore this email.
+
+    Best regards,
+    The Event Organizer Team
+  `;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">Reset your password</h2>
+
+      <p>Hi ${name},</p>
+
+      <p>We received a request to reset the password for your account.</p>
+
+      <p style="margin: 30px 0;">
+        <a href="${resetUrl}" style="background-color: #2563eb; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Reset Password</a>
+      </p>
+
+      <p>This link expires in ${expiresInMinutes} minutes and can only be used once.
+      If you did not request a password reset, you can ignore this email.</p>
+
+      <p>Best regards,<br>
+      <strong>The Event Organizer Team</strong></p>
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    text: text.trim(),
+    html: html.trim(),
+  });
+};
+
+/**
+ * Send magic sign-in link email
+ * @param {Object} options - Email options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.name - Organizer name
+ * @param {string} options.loginUrl - Sign-in link
+ * @param {number} options.expiresInMinutes - Minutes until the link expires
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendMagicLinkEmail = async ({
+  to,
+  name,
+  loginUrl,
+  expiresInMinutes,
+}) => {
+  const subject = 'Your sign-in link';
+  const text = `
+    Hi ${name},
+
+    Use the link below to sign in to your account:
+    ${loginUrl}
+
+    This link expires in ${expiresInMinutes} minutes and can only be used once.
+    If you did not request it, you can ignore this email.
+
+    Best regards,
+    The Event Organizer Team
+  `;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">Your sign-in link</h2>
+
+      <p>Hi ${name},</p>
+
+      <p>Use the button below to sign in to your account.</p>
+
+      <p style="margin: 30px 0;">
+        <a href="${loginUrl}" style="background-color: #2563eb; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Sign In</a>
+      </p>
+
+      <p>This link expires in ${expiresInMinutes} minutes and can only be used once.
+      If you did not request it, you can ignore this email.</p>
+
+      <p>Best regards,<br>
+      <strong>The Event Organizer Team</strong></p>
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    text: text.trim(),
+    html: html.trim(),
+  });
+};
+
+/**
+ * Send account lockout notification email
+ * @param {Object} options - Email options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.name - Organizer name
+ * @param {number} options.lockedMinutes - Minutes the account stays locked
+ * @param {string} options.resetUrl - Link to request a password reset
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendAccountLockedEmail = async ({
+  to,
+  name,
+  lockedMinutes,
+  resetUrl,
+}) => {
+  const subject = 'Your account has been temporarily locked';
+  const text = `
+    Hi ${name},
+
+    We noticed several failed attempts to sign in to your account, so we have locked it for ${lockedMinutes} minutes.
+
+    If this was you, you can try again once the lock expires.
+    If it was not you, we recommend resetting your password:
+    ${resetUrl}
+
+    Best regards,
+    The Event Organizer Team
+  `;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">Your account has been temporarily locked</h2>
+
+      <p>Hi ${name},</p>
+
+      <p>We noticed several failed attempts to sign in to your account, so we have locked it for ${lockedMinutes} minutes.</p>
+
+      <p>If this was you, you can try again once the lock expires.
+      If it was not you, we recommend resetting your password.</p>
+
+      <p style="margin: 30px 0;">
+        <a href="${resetUrl}" style="background-color: #2563eb; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Reset Password</a>
+      </p>
+
+      <p>Best regards,<br>
+      <strong>The Event Organizer Team</strong></p>
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    text: text.trim(),
+    html: html.trim(),
+  });
+};
+
+/**
+ * Send account deletion scheduled email
+ * @param {Object} options - Email options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.name - Organizer name
+ * @param {string} options.deletionDate - Formatted date the account will be deleted
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendAccountDeletionScheduledEmail = async ({
+  to,
+  name,
+  deletionDate,
+}) => {
+  const subject = 'Your account is scheduled for deletion';
+  const text = `
+    Hi ${name},
+
+    We received a request to delete your account. Your account, events and attendee data will be permanently deleted on ${deletionDate}.
+
+    Changed your mind? Sign in before then and cancel the deletion from your account settings.
+
+    Best regards,
+    The Event Organizer Team
+  `;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">Your account is scheduled for deletion</h2>
+
+      <p>Hi ${name},</p>
+
+      <p>We received a request to delete your account. Your account, events and attendee data
+      will be permanently deleted on <strong>${deletionDate}</strong>.</p>
+
+      <p>Changed your mind? Sign in before then and cancel the deletion from your account settings.</p>
+
+      <p>Best regards,<br>
+      <strong>The Event Organizer Team</strong></p>
+    </div>
+  `;
+
   return sendEmail({
     to,
     subject,
@@ -166,3 +764,62 @@ export const sendCheckInConfirmation = async ({
     html: html.trim(),
   });
 };
+
+/**
+ * Send event team invitation email
+ * @param {Object} options - Email options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.inviterName - Name of the organizer who sent the invite
+ * @param {string} options.eventName - Event name
+ * @param {string} options.role - Role offered on the event
+ * @param {string} options.acceptUrl - Link to accept the invitation
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendEventInvitationEmail = async ({
+  to,
+  inviterName,
+  eventName,
+  role,
+  acceptUrl,
+}) => {
+  const subject = `You've been invited to help run ${eventName}`;
+  const text = `
+    Hi,
+
+    ${inviterName} has invited you to join the team for ${eventName} as ${role}.
+
+    Accept the invitation here:
+    ${acceptUrl}
+
+    You will need to sign in (or create an account) with this email address.
+
+    Best regards,
+    The Event Organizer Team
+  `;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">Team invitation</h2>
+
+      <p>Hi,</p>
+
+      <p>${inviterName} has invited you to join the team for <strong>${eventName}</strong> as <strong>${role}</strong>.</p>
+
+      <p style="margin: 30px 0;">
+        <a href="${acceptUrl}" style="background-color: #2563eb; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Accept Invitation</a>
+      </p>
+
+      <p>You will need to sign in (or create an account) with this email address.</p>
+
+      <p>Best regards,<br>
+      <strong>The Event Organizer Team</strong></p>
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    text: text.trim(),
+    html: html.trim(),
+  });
+};
@@ -3,12 +3,14 @@
  * @param {number} status - HTTP status code
  * @param {string} message - Error message
  * @param {Array} errors - Array of error objects (optional)
+ * @param {string} [code] - Machine readable error code for clients (optional)
  * @returns {Error} Custom error object
  */
-export const createError = (status, message, errors = []) => {
+export const createError = (status, message, errors = [], code) => {
   const error = new Error(message);
   error.status = status;
   error.errors = errors.length > 0 ? errors : undefined;
+  error.errorCode = code;
   return error;
 };
 
@@ -35,6 +37,7 @@ export const errorHandler = (err, req, res, next) => {
   res.status(status).json({
     status: 'error',
     message,
+    ...(err.errorCode && { code: err.errorCode }),
     ...(err.errors && { errors: err.errors }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
@@ -0,0 +1,55 @@
+/**
+ * Statuses an event moves through
+ * draft -> published -> completed is the usual path; published events can be
+ * postponed and any event that has not ended can be cancelled.
+ */
+export const EVENT_STATUSES = ['draft', 'published', 'postponed', 'cancelled', 'completed'];
+
+/**
+ * Statuses each lifecycle action can be taken from
+ * Postponing an already postponed event sets new dates or pushes it back again.
+ */
+export const EVENT_ACTIONS = {
+  publish: ['draft'],
+  unpublish: ['published'],
+  postpone: ['published', 'postponed'],
+  cancel: ['draft', 'published', 'postponed'],
+  complete: ['published'],
+};
+
+/**
+ * Fields that can no longer be edited once an event reaches a status
+ * Cancelled events are read-only.
+ */
+const LOCKED_FIELDS = {
+  completed: ['start_date', 'end_date', 'location', 'city', 'online_url', 'capacity', 'waitlist_enabled'],
+};
+
+/**
+ * Statuses in which an event no longer takes registrations or check-ins
+ */
+export const CLOSED_EVENT_STATUSES = ['cancelled', 'completed'];
+
+/**
+ * Check whether a lifecycle action can be taken on an event
+ * @param {string} status - Current event status
+ * @param {string} action - Action from EVENT_ACTIONS
+ * @returns {boolean} True if allowed
+ */
+export const canPerformEventAction = (status, action) => {
+  return (EVENT_ACTIONS[action] || []).includes(status);
+};
+
+/**
+ * Get the fields of an update that the event's status does not allow editing
+ * @param {string} status - Current event status
+ * @param {string[]} fields - Fields being updated
+ * @returns {string[]} Fields that cannot be edited
+ */
+export const findLockedFields = (status, fields) => {
+  if (status === 'cancelled') {
+    return fields;
+  }
+
+  return fields.filter(field => (LOCKED_FIELDS[status] || []).includes(field));
+};
@@ -3,6 +3,7 @@ import { createObjectCsvWriter } from 'csv-writer';
 import ExcelJS from 'exceljs';
 import { v4 as uuidv4 } from 'uuid';
 import { createError } from './error.util.js';
+import { formatInTimezone } from './timezone.util.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -137,7 +138,7 @@ export const cleanupExportFile = async (filePath) => {
  */
 const ensureTempDirExists = async () => {
   try {
-    await fs.mkdir(TEMP_DIR, { recursive: true });
+    await fs.promises.mkdir(TEMP_DIR, { recursive: true });
   } catch (error) {
     if (error.code !== 'EEXIST') {
       throw error;
@@ -152,7 +153,7 @@ const ensureTempDirExists = async () => {
  */
 const getFileSize = async (filePath) => {
   try {
-    const stats = await fs.stat(filePath);
+    const stats = await fs.promises.stat(filePath);
     return stats.size;
   } catch (error) {
     console.error('Error getting file size:', error);
@@ -180,9 +181,15 @@ export const formatFileSize = (bytes) => {
  * @param {Array} attendees - Array of attendee objects
  * @param {string} format - Export format ('csv' or 'excel')
  * @param {string} [filename] - Output filename (without extension)
+ * @param {Function} [getTimezone] - Returns the timezone to show an attendee's dates in
  * @returns {Promise<Object>} File information
  */
-export const exportAttendees = async (attendees, format = 'csv', filename = 'attendees') => {
+export const exportAttendees = async (
+  attendees,
+  format = 'csv',
+  filename = 'attendees',
+  getTimezone = () => undefined
+) => {
   const headers = [
     { id: 'id', title: 'ID' },
     { id: 'name', title: 'Name' },
@@ -197,8 +204,10 @@ export const exportAttendees = async (attendees, format = 'csv', filename = 'att
   // Format data for export
   const data = attendees.map(attendee => ({
     ...attendee,
-    registration_date: formatDate(attendee.registration_date),
-    check_in_time: attendee.check_in_time ? formatDate(attendee.check_in_time) : 'N/A',
+    registration_date: formatInTimezone(attendee.registration_date, getTimezone(attendee)),
+    check_in_time: attendee.check_in_time
+      ? formatInTimezone(attendee.check_in_time, getTimezone(attendee))
+      : 'N/A',
   }));
   
   if (format.toLowerCase() === 'excel') {
@@ -208,22 +217,3 @@ export const exportAttendees = async (attendees, format = 'csv', filename = 'att
   // Default to CSV
   return exportToCSV(data, headers, filename);
 };
-
-/**
- * Format date to a readable string
- * @param {string|Date} date - Date to format
- * @returns {string} Formatted date string
- */
-const formatDate = (date) => {
-  if (!date) return '';
-  
-  const d = new Date(date);
-  return d.toLocaleString('en-US', {
-    year: 'numeric',
-    month: 'short',
-    day: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit',
-    hour12: true,
-  });
-};
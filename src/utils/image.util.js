@@ -0,0 +1,102 @@
+import sharp from 'sharp';
+import { createError } from './error.util.js';
+
+/**
+ * Image types accepted for upload, identified by their leading bytes
+ * The MIME type a client declares is not trusted.
+ */
+const IMAGE_SIGNATURES = [
+  {
+    mimeType: 'image/jpeg',
+    extension: '.jpg',
+    matches: (bytes) => bytes.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff]))
+  },
+  {
+    mimeType: 'image/png',
+    extension: '.png',
+    matches: (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  {
+    mimeType: 'image/webp',
+    extension: '.webp',
+    matches: (bytes) => bytes.toString('ascii', 0, 4) === 'RIFF' && bytes.toString('ascii', 8, 12) === 'WEBP'
+  }
+];
+
+export const ALLOWED_IMAGE_TYPES = IMAGE_SIGNATURES.map(({ mimeType }) => mimeType);
+
+/**
+ * File extension for each accepted image type
+ */
+export const IMAGE_EXTENSIONS = Object.fromEntries(
+  IMAGE_SIGNATURES.map(({ mimeType, extension }) => [mimeType, extension])
+);
+
+/**
+ * Sizes generated for every uploaded image
+ * Thumbnails and cards are cropped to fill their box; hero images keep their
+ * aspect ratio. Images are never enlarged.
+ */
+export const IMAGE_VARIANTS = {
+  thumbnail: { width: 200, height: 200, fit: 'cover' },
+  card: { width: 600, height: 400, fit: 'cover' },
+  hero: { width: 1600, height: 900, fit: 'inside' }
+};
+
+// Larger images are rejected before decoding, so a small file can't expand into a huge bitmap
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+const VARIANT_QUALITY = 80;
+
+/**
+ * Identify an image from its content
+ * @param {Buffer} buffer - File content
+ * @returns {string|null} MIME type, or null if it is not an accepted image type
+ */
+export const sniffImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return null;
+  }
+
+  const signature = IMAGE_SIGNATURES.find(({ matches }) => matches(buffer));
+  return signature ? signature.mimeType : null;
+};
+
+/**
+ * Resize an image into every variant
+ * Images are turned upright from their EXIF orientation and re-encoded as WebP,
+ * which also strips metadata such as GPS coordinates.
+ * @param {Buffer} buffer - Image content
+ * @returns {Promise<Object>} Original dimensions and the variants by name
+ */
+export const createImageVariants = async (buffer) => {
+  const options = { limitInputPixels: MAX_INPUT_PIXELS };
+
+  try {
+    const { width, height, orientation } = await sharp(buffer, options).metadata();
+    // EXIF orientations 5 to 8 are rotated a quarter turn, swapping the sides
+    const upright = orientation >= 5
+      ? { width: height, height: width }
+      : { width, height };
+
+    const variants = {};
+    for (const [name, size] of Object.entries(IMAGE_VARIANTS)) {
+      const { data, info } = await sharp(buffer, options)
+        .rotate()
+        .resize({ ...size, withoutEnlargement: true })
+        .webp({ quality: VARIANT_QUALITY })
+        .toBuffer({ resolveWithObject: true });
+
+      variants[name] = {
+        buffer: data,
+        width: info.width,
+        height: info.height,
+        mimeType: 'image/webp'
+      };
+    }
+
+    return { ...upright, variants };
+  } catch (error) {
+    throw createError(400, 'Image could not be processed');
+  }
+};
@@ -1,5 +1,91 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import { createError } from './error.util.js';
+import { getJwtKeys } from '../config/jwt.config.js';
+
+/**
+ * Sign a token with the current signing key
+ * Falls back to the shared secret when no asymmetric key is configured.
+ * @param {Object} payload - Payload to sign
+ * @param {Object} options - Sign options
+ * @param {string} options.expiresIn - Token lifetime
+ * @param {string} [options.jwtid] - Unique token ID
+ * @param {boolean} [options.isRefresh] - Whether the token is a refresh token
+ * @returns {string} Signed token
+ */
+const signToken = (payload, { expiresIn, jwtid, isRefresh = false }) => {
+  const { signingKey } = getJwtKeys();
+  const options = { expiresIn, ...(jwtid && { jwtid }) };
+
+  if (signingKey) {
+    return jwt.sign(payload, signingKey.privateKey, {
+      ...options,
+      algorithm: signingKey.algorithm,
+      keyid: signingKey.kid
+    });
+  }
+
+  const secret = isRefresh
+    ? process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
+    : process.env.JWT_SECRET;
+
+  return jwt.sign(payload, secret, options);
+};
+
+/**
+ * Get the key and algorithm a token must be verified with
+ * Asymmetric tokens are matched to a verification key by their kid header.
+ * @param {string} token - JWT token
+ * @param {boolean} isRefresh - Whether the token is a refresh token
+ * @returns {Object} Key and allowed algorithms
+ */
+const getVerificationKey = (token, isRefresh) => {
+  const { signingKey, verificationKeys } = getJwtKeys();
+
+  if (!signingKey && verificationKeys.size === 0) {
+    const secret = isRefresh
+      ? process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
+      : process.env.JWT_SECRET;
+
+    return { key: secret, algorithms: ['HS256'] };
+  }
+
+  const decoded = jwt.decode(token, { complete: true });
+  const key = decoded && verificationKeys.get(decoded.header.kid);
+
+  if (!key) {
+    throw createError(401, 'Invalid token');
+  }
+
+  return { key: key.publicKey, algorithms: [key.algorithm] };
+};
+
+/**
+ * Get the public verification keys as a JSON Web Key Set
+ * @returns {Object} JWKS document
+ */
+export const getJwks = () => {
+  const { verificationKeys } = getJwtKeys();
+
+  return {
+    keys: [...verificationKeys.values()].map(({ kid, algorithm, publicKey }) => ({
+      ...publicKey.export({ format: 'jwk' }),
+      kid,
+      alg: algorithm,
+      use: 'sig'
+    }))
+  };
+};
+
+/**
+ * Generate an access token
+ * @param {Object} payload - Payload to sign
+ * @param {string} [expiresIn] - Token lifetime (defaults to JWT_ACCESS_EXPIRES_IN)
+ * @returns {string} Signed access token
+ */
+export const generateAccessToken = (payload, expiresIn = process.env.JWT_ACCESS_EXPIRES_IN || '15m') => {
+  return signToken(payload, { expiresIn });
+};
 
 /**
  * Generate JWT tokens
@@ -7,16 +93,16 @@ import { createError } from './error.util.js';
  * @returns {Object} Access and refresh tokens
  */
 export const generateTokens = (payload) => {
-  const accessToken = jwt.sign(
-    payload,
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m' }
-  );
+  const accessToken = generateAccessToken(payload);
 
-  const refreshToken = jwt.sign(
-    payload,
-    process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
+  // Refresh tokens get a unique ID so each one hashes to a distinct value
+  const refreshToken = signToken(
+    { ...payload, purpose: 'refresh' },
+    {
+      expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+      jwtid: crypto.randomUUID(),
+      isRefresh: true
+    }
   );
 
   return { accessToken, refreshToken };
@@ -30,11 +116,9 @@ export const generateTokens = (payload) => {
  */
 export const verifyToken = (token, isRefresh = false) => {
   try {
-    const secret = isRefresh 
-      ? process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
-      : process.env.JWT_SECRET;
-    
-    return jwt.verify(token, secret);
+    const { key, algorithms } = getVerificationKey(token, isRefresh);
+
+    return jwt.verify(token, key, { algorithms });
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       throw createError(401, 'Token expired');
@@ -46,6 +130,33 @@ export const verifyToken = (token, isRefresh = false) => {
   }
 };
 
+/**
+ * Generate a single-purpose token (e.g. email verification links)
+ * @param {string} purpose - What the token may be used for
+ * @param {Object} payload - Payload to sign
+ * @param {string} expiresIn - Token lifetime
+ * @returns {string} Signed token
+ */
+export const generateActionToken = (purpose, payload, expiresIn) => {
+  return signToken({ ...payload, purpose }, { expiresIn });
+};
+
+/**
+ * Verify a single-purpose token
+ * @param {string} token - Token to verify
+ * @param {string} purpose - Expected purpose
+ * @returns {Object} Decoded token payload
+ */
+export const verifyActionToken = (token, purpose) => {
+  const decoded = verifyToken(token);
+
+  if (decoded.purpose !== purpose) {
+    throw createError(401, 'Invalid token');
+  }
+
+  return decoded;
+};
+
 /**
  * Get token from request headers or cookies
  * @param {Object} req - Express request object
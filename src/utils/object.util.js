@@ -0,0 +1,12 @@
+/**
+ * Pick the listed fields that are defined on an object
+ * @param {Object} source - Object to pick from
+ * @param {string[]} fields - Field names
+ * @returns {Object} Picked fields
+ */
+export const pickFields = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) {
+    picked[field] = source[field];
+  }
+  return picked;
+}, {});
@@ -0,0 +1,64 @@
+/**
+ * Roles a team member can hold on an event
+ * The event creator is always the owner; the other roles are granted by invitation.
+ */
+export const EVENT_ROLES = ['owner', 'manager', 'finance', 'scanner'];
+
+/**
+ * Roles that can be assigned through an invitation
+ */
+export const INVITABLE_EVENT_ROLES = ['manager', 'finance', 'scanner'];
+
+/**
+ * Event roles allowed to perform each action
+ */
+export const EVENT_PERMISSIONS = {
+  'event:read': ['owner', 'manager', 'finance', 'scanner'],
+  'event:update': ['owner', 'manager'],
+  'event:publish': ['owner', 'manager'],
+  'event:delete': ['owner'],
+  'members:manage': ['owner', 'manager'],
+  'scanners:manage': ['owner', 'manager'],
+  'attendees:read': ['owner', 'manager', 'finance', 'scanner'],
+  'attendees:write': ['owner', 'manager'],
+  'attendees:checkin': ['owner', 'manager', 'scanner'],
+  'payments:read': ['owner', 'manager', 'finance'],
+  'payments:write': ['owner', 'manager', 'finance'],
+  'payments:refund': ['owner', 'finance'],
+};
+
+/**
+ * Check whether an event role grants a permission
+ * @param {string|null} role - Event role of the user
+ * @param {string} permission - Permission key from EVENT_PERMISSIONS
+ * @returns {boolean} True if allowed
+ */
+export const hasEventPermission = (role, permission) => {
+  return Boolean(role) && (EVENT_PERMISSIONS[permission] || []).includes(role);
+};
+
+/**
+ * Scopes that can be granted to an API key
+ */
+export const API_KEY_SCOPES = [
+  'events:read',
+  'events:write',
+  'attendees:read',
+  'attendees:write',
+  'payments:read',
+  'exports:read',
+];
+
+/**
+ * API key scope required for each event permission
+ * Permissions without a scope (team, devices, deletion, refunds...) are never
+ * available to API keys.
+ */
+export const EVENT_PERMISSION_SCOPES = {
+  'event:read': 'events:read',
+  'event:update': 'events:write',
+  'event:publish': 'events:write',
+  'attendees:read': 'attendees:read',
+  'attendees:write': 'attendees:write',
+  'payments:read': 'payments:read',
+};
@@ -0,0 +1,6 @@
+/**
+ * Escape a search term for use inside a PostgREST or() filter
+ * @param {string} term - Raw search term
+ * @returns {string} Term safe to use in an ilike pattern
+ */
+export const escapeSearchTerm = (term) => term.replace(/[,()%*\\]/g, ' ').trim();
@@ -0,0 +1,87 @@
+import rrule from 'rrule';
+import { createError } from './error.util.js';
+import { DEFAULT_TIMEZONE, toWallClock, fromWallClock } from './timezone.util.js';
+
+const { RRule } = rrule;
+
+// Upper bound on occurrences produced in one go, so a rule without an end can't run away
+export const MAX_OCCURRENCES = 100;
+
+/**
+ * Parse an RFC 5545 RRULE for a series starting at a given date
+ * Only the RRULE line is accepted; the start date and exceptions are stored
+ * on the series. Rules more frequent than daily are rejected.
+ * The rule runs on the wall-clock time of the series timezone, so occurrences
+ * keep their local start time across daylight saving changes.
+ * @param {string} rule - RRULE value, with or without the "RRULE:" prefix
+ * @param {string|Date} startDate - Start of the first occurrence (DTSTART)
+ * @param {string} [timezone] - IANA timezone of the series
+ * @returns {RRule} Parsed rule
+ */
+export const parseRecurrenceRule = (rule, startDate, timezone = DEFAULT_TIMEZONE) => {
+  const ruleText = String(rule).trim().replace(/^RRULE:/i, '');
+
+  if (/[\r\n]/.test(ruleText)) {
+    throw createError(400, 'Recurrence rule must be a single RRULE line');
+  }
+
+  let recurrence;
+  try {
+    const options = RRule.parseString(ruleText);
+    recurrence = new RRule({ ...options, dtstart: toWallClock(new Date(startDate), timezone) });
+  } catch (error) {
+    throw createError(400, 'Invalid recurrence rule');
+  }
+
+  if (recurrence.options.freq > RRule.DAILY) {
+    throw createError(400, 'Recurrence rule cannot repeat more often than daily');
+  }
+
+  return recurrence;
+};
+
+/**
+ * Get the RRULE line of a parsed rule, without DTSTART
+ * @param {RRule} recurrence - Parsed rule
+ * @returns {string} Normalized rule, e.g. "FREQ=WEEKLY;BYDAY=TU"
+ */
+export const toRuleString = (recurrence) => {
+  return RRule.optionsToString({ ...recurrence.origOptions, dtstart: null })
+    .replace(/^RRULE:/, '');
+};
+
+/**
+ * Normalize a date to an ISO string so dates from the database and from the
+ * rule compare equal
+ * @param {string|Date} date - Date to normalize
+ * @returns {string} ISO 8601 string in UTC
+ */
+export const toOccurrenceKey = (date) => new Date(date).toISOString();
+
+/**
+ * List the start dates of a rule's occurrences within a window
+ * @param {RRule} recurrence - Parsed rule
+ * @param {Object} options - Window options
+ * @param {Date} options.until - Last date to include
+ * @param {Date} [options.from] - First date to include (defaults to DTSTART)
+ * @param {string[]} [options.excludedDates] - Occurrence dates that were removed from the series
+ * @param {string} [options.timezone] - IANA timezone the rule was parsed in
+ * @returns {Date[]} Occurrence start dates, at most MAX_OCCURRENCES
+ */
+export const getOccurrenceDates = (recurrence, {
+  until,
+  from,
+  excludedDates = [],
+  timezone = DEFAULT_TIMEZONE
+}) => {
+  const excluded = new Set(excludedDates.map(toOccurrenceKey));
+  const start = from ? toWallClock(from, timezone) : recurrence.options.dtstart;
+
+  return recurrence
+    .between(start, toWallClock(until, timezone), true, (date, index) => (
+      index < MAX_OCCURRENCES + excluded.size
+    ))
+    .map(date => fromWallClock(date, timezone))
+    .filter(date => !excluded.has(toOccurrenceKey(date)))
+    .slice(0, MAX_OCCURRENCES);
+};
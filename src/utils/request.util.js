@@ -0,0 +1,15 @@
+/**
+ * Get details about the client making a request
+ * @param {Object} req - Express request object
+ * @returns {Object} Device name, IP address and user agent
+ */
+export const getClientInfo = (req) => {
+  const deviceName = req.body?.device_name || req.get('X-Device-Name');
+  const userAgent = req.get('User-Agent');
+
+  return {
+    deviceName: deviceName ? String(deviceName).slice(0, 100) : undefined,
+    ipAddress: req.ip,
+    userAgent: userAgent ? userAgent.slice(0, 500) : undefined
+  };
+};
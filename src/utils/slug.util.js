@@ -0,0 +1,24 @@
+/**
+ * Turn text into a URL-safe slug
+ * @param {string} text - Text to convert
+ * @param {number} [maxLength=60] - Maximum slug length
+ * @returns {string} Lowercase words joined by hyphens
+ */
+export const slugify = (text, maxLength = 60) => String(text)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .slice(0, maxLength)
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * Build the public slug of an event
+ * The ID prefix keeps slugs unique without a lookup. The slug is assigned once,
+ * when the event is first published, so links keep working after a rename.
+ * @param {Object} event - Event with id and title
+ * @returns {string} Event slug
+ */
+export const createEventSlug = (event) => {
+  return `${slugify(event.title) || 'event'}-${event.id.slice(0, 8)}`;
+};
@@ -44,6 +44,34 @@ export const uploadFile = async (bucket, path, fileBuffer, mimeType, metadata =
   }
 };
 
+/**
+ * Download a file from Supabase Storage
+ * @param {string} bucket - Storage bucket name
+ * @param {string} path - Path to the file
+ * @returns {Promise<Object>} File buffer and MIME type
+ */
+export const downloadFile = async (bucket, path) => {
+  try {
+    const { data, error } = await supabase.storage
+      .from(bucket)
+      .download(path);
+
+    if (error) {
+      throw createError(500, `Failed to download file: ${error.message}`);
+    }
+
+    return {
+      buffer: Buffer.from(await data.arrayBuffer()),
+      mimeType: data.type
+    };
+  } catch (error) {
+    throw createError(
+      error.status || 500,
+      error.message || 'File download failed'
+    );
+  }
+};
+
 /**
  * Delete a file from Supabase Storage
  * @param {string} bucket - Storage bucket name
@@ -69,6 +97,35 @@ export const deleteFile = async (bucket, path) => {
   }
 };
 
+/**
+ * Delete several files from Supabase Storage in one request
+ * @param {string} bucket - Storage bucket name
+ * @param {string[]} paths - Paths to the files
+ * @returns {Promise<boolean>} True if deletion was successful
+ */
+export const deleteFiles = async (bucket, paths) => {
+  if (paths.length === 0) {
+    return true;
+  }
+
+  try {
+    const { error } = await supabase.storage
+      .from(bucket)
+      .remove(paths);
+
+    if (error) {
+      throw createError(500, `Failed to delete files: ${error.message}`);
+    }
+
+    return true;
+  } catch (error) {
+    throw createError(
+      error.status || 500,
+      error.message || 'File deletion failed'
+    );
+  }
+};
+
 /**
  * Generate a signed URL for a file
  * @param {string} bucket - Storage bucket name
@@ -93,4 +150,20 @@ export const getSignedUrl = async (bucket, path, expiresIn = 3600) => {
       error.message || 'Failed to generate signed URL'
     );
   }
-};
\ No newline at end of file
+};
+/**
+ * Get the storage path of a file from its public URL
+ * @param {string} bucket - Storage bucket name
+ * @param {string} url - Public URL returned by uploadFile
+ * @returns {string|null} Path inside the bucket, or null if the URL is not from this bucket
+ */
+export const getPathFromPublicUrl = (bucket, url) => {
+  if (typeof url !== 'string') {
+    return null;
+  }
+
+  const marker = `/storage/v1/object/public/${bucket}/`;
+  const index = url.indexOf(marker);
+
+  return index === -1 ? null : decodeURIComponent(url.slice(index + marker.length));
+};
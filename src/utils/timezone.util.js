@@ -0,0 +1,198 @@
+/**
+ * Timezone used for events created without one
+ */
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+// IANA names look like Region/City; plain UTC is accepted too
+const IANA_TIMEZONE_PATTERN = /^(UTC|[A-Za-z]+(\/[A-Za-z0-9_+-]+)+)$/;
+
+// A date or date-time without an offset or Z, read as a wall-clock time
+const WALL_CLOCK_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Check that a value is an IANA timezone name known to the runtime
+ * @param {string} timezone - Timezone name, e.g. "Asia/Kolkata"
+ * @returns {boolean} True if valid
+ */
+export const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !IANA_TIMEZONE_PATTERN.test(timezone)) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the wall-clock fields of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} year, month, day, hour, minute and second
+ */
+const getWallClockParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  return Object.fromEntries(
+    parts
+      .filter(({ type }) => type !== 'literal')
+      .map(({ type, value }) => [type, Number(value)])
+  );
+};
+
+/**
+ * Get the UTC offset of a timezone at an instant
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Offset in minutes, e.g. 330 for +05:30
+ */
+export const getTimezoneOffset = (date, timezone) => {
+  const { year, month, day, hour, minute, second } = getWallClockParts(date, timezone);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const instant = date.getTime() - date.getUTCMilliseconds();
+
+  return Math.round((wallClockAsUtc - instant) / 60000);
+};
+
+/**
+ * Format an offset in minutes as ±HH:MM
+ * @param {number} offset - Offset in minutes
+ * @returns {string} Offset, e.g. "+05:30"
+ */
+const formatOffset = (offset) => {
+  const sign = offset < 0 ? '-' : '+';
+  const minutes = Math.abs(offset);
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return `${sign}${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+};
+
+/**
+ * Express an instant as a wall-clock time whose UTC fields are the local fields
+ * Used to run calendar arithmetic, such as recurrence rules, in local time.
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Wall-clock time stored as UTC
+ */
+export const toWallClock = (date, timezone) => {
+  return new Date(date.getTime() + getTimezoneOffset(date, timezone) * 60000);
+};
+
+/**
+ * Get the instant a wall-clock time refers to in a timezone
+ * Times skipped by a DST change move forward by the size of the gap; repeated
+ * times resolve to their first occurrence.
+ * @param {Date} wallClock - Wall-clock time stored as UTC, as returned by toWallClock
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Instant
+ */
+export const fromWallClock = (wallClock, timezone) => {
+  const time = wallClock.getTime();
+
+  // Offsets a day either side bracket any DST change at this time
+  const [offsetBefore, offsetAfter] = [-MS_PER_DAY, MS_PER_DAY]
+    .map(shift => getTimezoneOffset(new Date(time + shift), timezone));
+  const candidates = [time - offsetBefore * 60000, time - offsetAfter * 60000]
+    .filter(instant => toWallClock(new Date(instant), timezone).getTime() === time);
+
+  return new Date(candidates.length ? Math.min(...candidates) : time - offsetBefore * 60000);
+};
+
+/**
+ * Parse a date sent by a client in the context of an event's timezone
+ * Values with an offset or Z are taken as they are; values without one, such as
+ * "2025-03-14T18:30", are read as local time in the timezone.
+ * @param {string} value - ISO 8601 date or date-time
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Instant
+ */
+export const parseDateInTimezone = (value, timezone) => {
+  const match = WALL_CLOCK_PATTERN.exec(String(value));
+
+  if (!match) {
+    return new Date(value);
+  }
+
+  const [year, month, day, hour, minute, second] = match.slice(1).map(part => Number(part || 0));
+  return fromWallClock(new Date(Date.UTC(year, month - 1, day, hour, minute, second)), timezone);
+};
+
+/**
+ * Render an instant as local time with its offset
+ * @param {string|Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {string|null} ISO 8601 date-time, e.g. "2025-03-14T18:30:00+05:30"
+ */
+export const toZonedISOString = (date, timezone) => {
+  if (!date) {
+    return null;
+  }
+
+  const instant = new Date(date);
+  const offset = getTimezoneOffset(instant, timezone);
+
+  return toWallClock(instant, timezone).toISOString().replace(/\.\d{3}Z$/, formatOffset(offset));
+};
+
+/**
+ * Format an instant for people, in a timezone and showing the offset
+ * @param {string|Date} date - Instant
+ * @param {string} [timezone] - IANA timezone, the default timezone if not set
+ * @returns {string} Formatted date, e.g. "Mar 14, 2025, 06:30 PM GMT+5:30"
+ */
+export const formatInTimezone = (date, timezone) => {
+  if (!date) {
+    return '';
+  }
+
+  return new Date(date).toLocaleString('en-US', {
+    timeZone: timezone || DEFAULT_TIMEZONE,
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: true,
+    timeZoneName: 'shortOffset'
+  });
+};
+
+/**
+ * Add the local time of some date fields of a record, as <field>_local
+ * @param {Object} record - Record with the date fields
+ * @param {string[]} fields - Date fields to render
+ * @param {string} [timezone] - IANA timezone
+ * @returns {Object} Record with the local times
+ */
+export const withLocalTimes = (record, fields, timezone = DEFAULT_TIMEZONE) => ({
+  ...record,
+  ...Object.fromEntries(fields.map(field => [
+    `${field}_local`,
+    toZonedISOString(record[field], timezone)
+  ]))
+});
+
+/**
+ * Add the local start and end times of an event for API responses
+ * @param {Object} event - Event record
+ * @returns {Object} Event with timezone, start_date_local and end_date_local
+ */
+export const withLocalDates = (event) => withLocalTimes(
+  { ...event, timezone: event.timezone || DEFAULT_TIMEZONE },
+  ['start_date', 'end_date'],
+  event.timezone || DEFAULT_TIMEZONE
+);
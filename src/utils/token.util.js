@@ -0,0 +1,37 @@
+import crypto from 'crypto';
+
+/**
+ * Hash a token with SHA-256
+ * @param {string} token - Plain token
+ * @returns {string} Hex encoded hash
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Generate a random one-time token
+ * Only the hash should be stored; the plain token is sent to the user.
+ * @param {number} [bytes=32] - Number of random bytes
+ * @returns {Object} Plain token and its hash
+ */
+export const generateOneTimeToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString('hex');
+
+  return {
+    token,
+    hashedToken: hashToken(token)
+  };
+};
+
+/**
+ * Prefix of scanner device tokens
+ * Makes device tokens recognisable without a database lookup.
+ */
+export const SCANNER_TOKEN_PREFIX = 'scn_';
+
+/**
+ * Prefix of API keys
+ * Keys look like psk_<lookup prefix>_<secret>.
+ */
+export const API_KEY_PREFIX = 'psk_';
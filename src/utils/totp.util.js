@@ -0,0 +1,154 @@
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 defaults, which is what authenticator apps expect
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+
+/**
+ * Encode a buffer as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate the HOTP code for a counter (RFC 4226)
+ * @param {Buffer} key - Shared secret
+ * @param {number} counter - Counter value
+ * @returns {string} Zero-padded code
+ */
+const generateHotp = (key, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Get the TOTP time step for a timestamp
+ * @param {number} [timestamp] - Milliseconds since epoch
+ * @returns {number} Time step
+ */
+export const getTimeStep = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 encoded secret
+ */
+export const generateTotpSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Generate the TOTP code for a secret
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} [timestamp] - Milliseconds since epoch
+ * @returns {string} Current code
+ */
+export const generateTotp = (secret, timestamp = Date.now()) => {
+  return generateHotp(base32Decode(secret), getTimeStep(timestamp));
+};
+
+/**
+ * Verify a TOTP code, allowing for small clock drift
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [window=1] - Number of time steps accepted on either side
+ * @returns {number|null} Matching time step, or null if the code is invalid
+ */
+export const verifyTotp = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const currentStep = getTimeStep();
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = generateHotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator apps
+ * @param {Object} options - URI options
+ * @param {string} options.secret - Base32 encoded secret
+ * @param {string} options.accountName - Account label (usually the email)
+ * @param {string} options.issuer - Issuer shown in the app
+ * @returns {string} otpauth URI
+ */
+export const buildOtpAuthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
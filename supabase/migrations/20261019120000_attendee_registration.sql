@@ -0,0 +1,150 @@
+-- Registration and waitlist functions called by src/models/attendee.model.js
+--
+-- Both lock the event row, so concurrent registrations and waitlist offers for
+-- the same event run one after another and cannot hand out more places than
+-- the event capacity or the quantity of a ticket type. Registered, checked-in
+-- and offered attendees hold a place.
+
+-- Register an attendee, or waitlist them once the event or their ticket type is full.
+-- Only the registration fields are read from the payload. Returns the created
+-- attendee, or null when there is no place and the event has no waitlist.
+create or replace function public.register_attendee(attendee jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  target_event public.events%rowtype;
+  target_ticket_type public.ticket_types%rowtype;
+  places_taken integer;
+  has_place boolean;
+  created public.attendees%rowtype;
+begin
+  select * into target_event
+  from public.events
+  where id = (attendee->>'event_id')::uuid
+  for update;
+
+  if not found then
+    raise exception 'Event not found' using errcode = 'P0002';
+  end if;
+
+  select count(*) into places_taken
+  from public.attendees
+  where event_id = target_event.id
+    and status in ('registered', 'checked_in', 'offered');
+
+  has_place := target_event.capacity is null or places_taken < target_event.capacity;
+
+  if attendee->>'ticket_type_id' is not null then
+    select * into target_ticket_type
+    from public.ticket_types
+    where id = (attendee->>'ticket_type_id')::uuid
+      and event_id = target_event.id;
+
+    if not found then
+      raise exception 'Ticket type not found' using errcode = 'P0002';
+    end if;
+
+    select count(*) into places_taken
+    from public.attendees
+    where ticket_type_id = target_ticket_type.id
+      and status in ('registered', 'checked_in', 'offered');
+
+    has_place := has_place and (
+      target_ticket_type.quantity_available is null
+      or places_taken < target_ticket_type.quantity_available
+    );
+  end if;
+
+  if not has_place and not coalesce(target_event.waitlist_enabled, false) then
+    return null;
+  end if;
+
+  insert into public.attendees (
+    event_id,
+    name,
+    email,
+    phone,
+    ticket_type_id,
+    ticket_type,
+    registered_by,
+    registration_date,
+    status,
+    waitlisted_at
+  )
+  values (
+    target_event.id,
+    attendee->>'name',
+    attendee->>'email',
+    attendee->>'phone',
+    target_ticket_type.id,
+    target_ticket_type.name,
+    (attendee->>'registered_by')::uuid,
+    coalesce((attendee->>'registration_date')::timestamptz, now()),
+    case when has_place then 'registered' else 'waitlisted' end,
+    case when has_place then null else now() end
+  )
+  returning * into created;
+
+  return to_jsonb(created);
+end;
+$$;
+
+-- Offer free places to the waitlist, first in line first. Attendees whose ticket
+-- type is full keep their position and the next in line is considered; offering
+-- stops once the event itself is full. Returns the attendees that received an offer.
+create or replace function public.offer_waitlist_spots(event_id uuid, offer_expires_at timestamptz)
+returns setof public.attendees
+language plpgsql
+as $$
+declare
+  target_event public.events%rowtype;
+  candidate public.attendees%rowtype;
+  quantity integer;
+  places_taken integer;
+begin
+  select * into target_event
+  from public.events e
+  where e.id = offer_waitlist_spots.event_id
+  for update;
+
+  if not found or target_event.status in ('cancelled', 'completed') then
+    return;
+  end if;
+
+  for candidate in
+    select *
+    from public.attendees a
+    where a.event_id = target_event.id
+      and a.status = 'waitlisted'
+    order by a.waitlisted_at asc
+  loop
+    select count(*) into places_taken
+    from public.attendees a
+    where a.event_id = target_event.id
+      and a.status in ('registered', 'checked_in', 'offered');
+
+    exit when target_event.capacity is not null and places_taken >= target_event.capacity;
+
+    if candidate.ticket_type_id is not null then
+      select t.quantity_available into quantity
+      from public.ticket_types t
+      where t.id = candidate.ticket_type_id;
+
+      select count(*) into places_taken
+      from public.attendees a
+      where a.ticket_type_id = candidate.ticket_type_id
+        and a.status in ('registered', 'checked_in', 'offered');
+
+      continue when quantity is not null and places_taken >= quantity;
+    end if;
+
+    return query
+      update public.attendees a
+      set status = 'offered',
+          offer_expires_at = offer_waitlist_spots.offer_expires_at
+      where a.id = candidate.id
+      returning a.*;
+  end loop;
+end;
+$$;
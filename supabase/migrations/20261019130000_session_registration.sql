@@ -0,0 +1,48 @@
+-- Session sign-up function called by src/models/eventSession.model.js
+--
+-- It locks the session row, so concurrent sign-ups for the same session run one
+-- after another and cannot go over its capacity.
+
+-- Sign an attendee up for a session of their event. Only the session, event and
+-- attendee IDs are read from the payload. Returns the created registration, or
+-- null when the session is full.
+create or replace function public.register_for_session(registration jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  target_session public.event_sessions%rowtype;
+  places_taken integer;
+  created public.session_registrations%rowtype;
+begin
+  select * into target_session
+  from public.event_sessions
+  where id = (registration->>'session_id')::uuid
+    and event_id = (registration->>'event_id')::uuid
+  for update;
+
+  if not found then
+    raise exception 'Session not found' using errcode = 'P0002';
+  end if;
+
+  if target_session.capacity is not null then
+    select count(*) into places_taken
+    from public.session_registrations
+    where session_id = target_session.id;
+
+    if places_taken >= target_session.capacity then
+      return null;
+    end if;
+  end if;
+
+  insert into public.session_registrations (session_id, event_id, attendee_id)
+  values (
+    target_session.id,
+    target_session.event_id,
+    (registration->>'attendee_id')::uuid
+  )
+  returning * into created;
+
+  return to_jsonb(created);
+end;
+$$;